@@ -0,0 +1,204 @@
+// Auth on the movie bot's routes: firebase-admin token checks (stubbed), chat
+// membership read from the in-memory database, and the own-history and own-vote rules
+process.env.AUTH_MODE = 'firebase';
+process.env.FIREBASE_PROJECT_ID = 'demo-plan-outings';
+process.env.SERVICE_API_KEY = 'svc-key';
+process.env.FIREBASE_USE_MEMORY_DB = 'true';
+process.env.LLM_PROVIDER = 'mock';
+process.env.CACHE_ENABLED = 'false';
+
+// Tokens are "token-<uid>"; anything else fails the way firebase-admin does
+const mockVerifyIdToken = jest.fn(async (token) => {
+  const match = /^token-([a-z]+)$/.exec(token);
+  if (!match) throw Object.assign(new Error('Decoding Firebase ID token failed'), { code: 'auth/argument-error' });
+  return { uid: match[1], sub: match[1], email: `${match[1]}@example.com` };
+});
+
+jest.mock('firebase-admin', () => ({
+  apps: [],
+  initializeApp: jest.fn((options, name) => ({ name, auth: () => ({ verifyIdToken: mockVerifyIdToken }) }))
+}));
+
+const express = require('express');
+const MemoryDatabase = require('../utils/memoryDatabase');
+const firebaseService = require('../services/firebaseService');
+const { auth, requireChatMember } = require('../middleware/auth');
+const { notFoundHandler, errorHandler } = require('../../shared/errors');
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll(async () => {
+  // Mounted the way app.js mounts them
+  const app = express();
+  app.use(express.json());
+  app.use('/api/polls/:chatId', requireChatMember());
+  app.use('/api/history/:chatId', requireChatMember());
+  app.use('/api/polls', require('../routes/polls'));
+  app.use('/api/history', require('../routes/history'));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db = new MemoryDatabase({
+    chats: { c1: { members: { alice: true, bob: { name: 'Bob' }, carol: false } } }
+  });
+  firebaseService.useDatabase(db);
+  mockVerifyIdToken.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+async function request(method, path, { token, body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const options = [{ id: 1, title: 'Funny Business' }, { id: 2, title: 'Night Chase' }];
+
+describe('tokens', () => {
+  test('uses firebase-admin in firebase mode', async () => {
+    expect(auth.mode).toBe('firebase');
+    const response = await request('GET', '/api/polls/c1', { token: 'token-alice' });
+
+    expect(response.status).toBe(200);
+    expect(mockVerifyIdToken).toHaveBeenCalledWith('token-alice');
+  });
+
+  test('no token is a 401 with a challenge', async () => {
+    const response = await request('GET', '/api/polls/c1');
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('AUTH_REQUIRED');
+    expect(response.headers.get('www-authenticate')).toBe('Bearer error="invalid_request"');
+  });
+
+  test.each([
+    ['auth/id-token-expired', 401, 'TOKEN_EXPIRED'],
+    ['auth/id-token-revoked', 401, 'INVALID_TOKEN'],
+    ['auth/argument-error', 401, 'INVALID_TOKEN'],
+    [undefined, 401, 'INVALID_TOKEN'],
+    ['app/network-error', 503, 'AUTH_UNAVAILABLE'],
+    ['auth/internal-error', 503, 'AUTH_UNAVAILABLE']
+  ])('firebase-admin %s becomes %i %s', async (code, status, envelopeCode) => {
+    mockVerifyIdToken.mockRejectedValueOnce(Object.assign(new Error('nope'), { code }));
+    const response = await request('GET', '/api/polls/c1', { token: 'token-alice' });
+
+    expect(response.status).toBe(status);
+    expect(response.body).toMatchObject({ success: false, code: envelopeCode });
+  });
+});
+
+describe('chat membership', () => {
+  test.each(['token-alice', 'token-bob'])('members get in (%s)', async (token) => {
+    expect((await request('GET', '/api/polls/c1', { token })).status).toBe(200);
+  });
+
+  test.each(['token-carol', 'token-dave'])('everyone else gets 403 NOT_A_MEMBER (%s)', async (token) => {
+    const response = await request('GET', '/api/polls/c1', { token });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toMatchObject({ code: 'NOT_A_MEMBER' });
+  });
+
+  test('membership is per chat', async () => {
+    expect((await request('GET', '/api/history/c2', { token: 'token-alice' })).status).toBe(403);
+  });
+
+  test('the service key may act on any chat', async () => {
+    expect((await request('GET', '/api/history/c2', { token: 'svc-key' })).status).toBe(200);
+  });
+
+  test('an invalid chat ID is a 400 before the database is read', async () => {
+    const isMember = jest.spyOn(firebaseService, 'isChatMember');
+    const response = await request('GET', '/api/polls/a%2Eb%23', { token: 'token-alice' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+    expect(isMember).not.toHaveBeenCalled();
+  });
+});
+
+describe('own history', () => {
+  test('members read and write their own history', async () => {
+    const recorded = await request('POST', '/api/history/c1', {
+      token: 'token-alice',
+      body: { movieId: 7, status: 'watched', userId: 'alice' }
+    });
+    expect(recorded.status).toBe(201);
+
+    const read = await request('GET', '/api/history/c1?userId=alice', { token: 'token-alice' });
+    expect(read.body.history).toEqual([expect.objectContaining({ movieId: 7, userId: 'alice' })]);
+  });
+
+  test.each([
+    ['GET', '/api/history/c1?userId=bob', undefined],
+    ['POST', '/api/history/c1', { movieId: 7, status: 'watched', userId: 'bob' }],
+    ['POST', '/api/history/c1/reactions', { movieId: 7, reaction: 'seen_it', userId: 'bob' }],
+    ['DELETE', '/api/history/c1/7?userId=bob', undefined]
+  ])('%s %s for someone else is 403 NOT_YOUR_HISTORY', async (method, path, body) => {
+    const response = await request(method, path, { token: 'token-alice', body });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('NOT_YOUR_HISTORY');
+    expect(await firebaseService.getHistory('user', 'bob')).toEqual([]);
+  });
+
+  test('services may name any user', async () => {
+    const response = await request('POST', '/api/history/c1', {
+      token: 'svc-key',
+      body: { movieId: 7, status: 'watched', userId: 'bob' }
+    });
+    expect(response.status).toBe(201);
+  });
+});
+
+describe('own vote', () => {
+  async function createPoll() {
+    const { body } = await request('POST', '/api/polls/c1', { token: 'token-alice', body: { type: 'movie', options } });
+    return body.poll.id;
+  }
+
+  const votes = async (pollId) => (await db.ref(`chats/c1/polls/${pollId}/votes`).once('value')).val();
+
+  test('members always vote as themselves', async () => {
+    const pollId = await createPoll();
+    const response = await request('POST', `/api/polls/c1/${pollId}/votes`, {
+      token: 'token-alice',
+      body: { voter: 'bob', approvals: ['movie:1'] }
+    });
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(await votes(pollId))).toEqual(['alice']);
+  });
+
+  test('services vote for the voter they name', async () => {
+    const pollId = await createPoll();
+    await request('POST', `/api/polls/c1/${pollId}/votes`, { token: 'svc-key', body: { voter: 'bob', approvals: ['movie:2'] } });
+
+    expect(Object.keys(await votes(pollId))).toEqual(['bob']);
+  });
+
+  test('services must name a voter', async () => {
+    const pollId = await createPoll();
+    const response = await request('POST', `/api/polls/c1/${pollId}/votes`, { token: 'svc-key', body: { approvals: ['movie:2'] } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['"voter" is required']);
+  });
+});
@@ -0,0 +1,150 @@
+// Signed bot webhooks: the HMAC covers the timestamp and the body, stale
+// timestamps are refused, and a request already accepted cannot be replayed
+process.env.BOT_WEBHOOK_SECRET = 'webhook-secret';
+process.env.FIREBASE_USE_MEMORY_DB = 'true';
+process.env.LLM_PROVIDER = 'mock';
+process.env.CACHE_ENABLED = 'false';
+delete process.env.BOT_WEBHOOK_REPLY_URL;
+
+const crypto = require('crypto');
+const express = require('express');
+const botService = require('../services/botService');
+const webhookBotAdapter = require('../services/webhookBotAdapter');
+const { notFoundHandler, errorHandler } = require('../../shared/errors');
+
+let server;
+let baseUrl;
+
+const hmac = (payload) => `sha256=${crypto.createHmac('sha256', 'webhook-secret').update(payload).digest('hex')}`;
+const nowSeconds = () => String(Math.floor(Date.now() / 1000));
+
+// Signed the way a platform relay signs it, unless a header is overridden
+async function post(body, { timestamp = nowSeconds(), signature, headers = {} } = {}) {
+  const raw = JSON.stringify(body);
+  const response = await fetch(`${baseUrl}/api/bot/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(timestamp === null ? {} : { 'X-Bot-Timestamp': timestamp }),
+      'X-Bot-Signature': signature || hmac(`${timestamp}.${raw}`),
+      ...headers
+    },
+    body: raw
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+let counter = 0;
+const message = () => ({ chatId: 'c1', messageId: `m${++counter}`, sender: 'Asha', text: '/help' });
+
+beforeAll(async () => {
+  // Mounted the way app.js mounts it, keeping the raw body for the HMAC
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/api/bot', require('../routes/bot'));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(botService, 'handleMessage').mockResolvedValue({
+    command: { name: 'help', known: true },
+    reply: { text: 'Try /movie', cards: [] }
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/bot/webhook', () => {
+  test('answers a request signed over timestamp and body', async () => {
+    const { status, body } = await post(message());
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, handled: true, command: 'help' });
+    expect(botService.handleMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses the same signed request a second time', async () => {
+    const payload = message();
+    const timestamp = nowSeconds();
+
+    expect((await post(payload, { timestamp })).status).toBe(200);
+    const replay = await post(payload, { timestamp });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('INVALID_SIGNATURE');
+    expect(botService.handleMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses a captured signature sent with a new timestamp', async () => {
+    const payload = message();
+    const captured = hmac(`${nowSeconds()}.${JSON.stringify(payload)}`);
+
+    const { status } = await post(payload, { timestamp: String(Number(nowSeconds()) + 1), signature: captured });
+    expect(status).toBe(401);
+  });
+
+  test.each([
+    ['an old timestamp', String(Number(nowSeconds()) - 301)],
+    ['a timestamp from the future', String(Number(nowSeconds()) + 301)],
+    ['a timestamp in milliseconds', String(Date.now())],
+    ['no timestamp', null]
+  ])('refuses %s, even when correctly signed', async (label, timestamp) => {
+    const { status, body } = await post(message(), { timestamp });
+
+    expect(status).toBe(401);
+    expect(body).toMatchObject({ success: false, code: 'INVALID_SIGNATURE' });
+    expect(botService.handleMessage).not.toHaveBeenCalled();
+  });
+
+  test('refuses a signature over the body alone', async () => {
+    const payload = message();
+    const { status } = await post(payload, { signature: hmac(JSON.stringify(payload)) });
+    expect(status).toBe(401);
+  });
+
+  test('refuses a body changed after signing', async () => {
+    const timestamp = nowSeconds();
+    const signature = hmac(`${timestamp}.${JSON.stringify(message())}`);
+    const { status } = await post({ ...message(), text: '/plan' }, { timestamp, signature });
+    expect(status).toBe(401);
+  });
+});
+
+describe('webhookBotAdapter', () => {
+  test('signs outgoing replies the same way', async () => {
+    const axios = require('axios');
+    const postReply = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+    webhookBotAdapter.replyUrl = 'https://chat.example.com/replies';
+
+    try {
+      await webhookBotAdapter.deliver({ chatId: 'c1', replyTo: 'm1', command: 'help', reply: { text: 'Try /movie', cards: [] } });
+    } finally {
+      webhookBotAdapter.replyUrl = null;
+    }
+
+    const [, body, { headers }] = postReply.mock.calls[0];
+    expect(headers['X-Bot-Signature']).toBe(hmac(`${headers['X-Bot-Timestamp']}.${body}`));
+    expect(webhookBotAdapter.verifyRequest(Buffer.from(body), headers['X-Bot-Signature'], headers['X-Bot-Timestamp'])).toBeNull();
+  });
+
+  test('forgets accepted signatures once they leave the window', () => {
+    const timestamp = '1000000';
+    const raw = Buffer.from('{}');
+    const signature = webhookBotAdapter.sign(timestamp, raw);
+
+    expect(webhookBotAdapter.verifyRequest(raw, signature, timestamp, 1000000 * 1000)).toBeNull();
+    expect(webhookBotAdapter.seen.has(signature)).toBe(true);
+    webhookBotAdapter.forgetExpired(1000000 + 301);
+    expect(webhookBotAdapter.seen.has(signature)).toBe(false);
+  });
+});
@@ -0,0 +1,199 @@
+// The chat watcher and bot command flow, end to end against the in-memory database
+// with the rule-based LLM provider and a stubbed TMDB catalog
+process.env.FIREBASE_USE_MEMORY_DB = 'true';
+process.env.LLM_PROVIDER = 'mock';
+process.env.CACHE_ENABLED = 'false';
+
+const MemoryDatabase = require('../utils/memoryDatabase');
+const firebaseService = require('../services/firebaseService');
+const tmdbService = require('../services/tmdbService');
+const chatWatcherService = require('../services/chatWatcherService');
+const firebaseBotAdapter = require('../services/firebaseBotAdapter');
+const botService = require('../services/botService');
+
+const MOVIES = [
+  { id: 1, title: 'Funny Business', genres: ['Comedy'], vote_average: 7.4, release_date: '2023-05-01', overview: 'A comedy.' },
+  { id: 2, title: 'Night Chase', genres: ['Action'], vote_average: 6.9, release_date: '2022-10-12', overview: 'An action film.' }
+];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves once fn() is truthy, polling the way a client listener would see it
+async function eventually(fn, timeoutMs = 2000) {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const value = await fn();
+    if (value) return value;
+    await wait(10);
+  }
+  throw new Error('Timed out waiting for the condition');
+}
+
+let db;
+
+const say = (chatId, sender, text, extra = {}) =>
+  db.ref(`chats/${chatId}/messages`).push({ sender, senderId: sender.toLowerCase(), text, timestamp: Date.now(), ...extra });
+
+const messagesIn = async (chatId) => {
+  const snapshot = await db.ref(`chats/${chatId}/messages`).once('value');
+  const messages = [];
+  snapshot.forEach(child => {
+    messages.push({ id: child.key, ...child.val() });
+  });
+  return messages;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  db = new MemoryDatabase();
+  firebaseService.useDatabase(db);
+  jest.spyOn(tmdbService, 'getRankedMovies').mockResolvedValue(MOVIES);
+});
+
+afterEach(() => {
+  chatWatcherService.stop();
+  firebaseBotAdapter.stop();
+  jest.restoreAllMocks();
+});
+
+describe('firebaseService.getChatMessages', () => {
+  test('leaves bot replies and commands out of the analysis context', async () => {
+    await say('c1', 'Asha', 'I love comedies');
+    await say('c1', 'Ben', '/movie something light');
+    await say('c1', 'PlanBot', 'Here are some movies', { bot: true });
+    await say('c1', 'Ben', 'Action for me');
+
+    const messages = await firebaseService.getChatMessages('c1');
+    expect(messages.map(msg => msg.text)).toEqual(['Action for me', 'I love comedies']);
+  });
+});
+
+describe('chatWatcherService', () => {
+  beforeEach(() => {
+    chatWatcherService.debounceMs = 20;
+  });
+
+  test('writes suggestions once the group has talked about a movie', async () => {
+    await say('c1', 'Asha', 'old message about a movie', { timestamp: 1 });
+    chatWatcherService.start(['c1']);
+
+    await say('c1', 'Asha', 'Shall we watch a movie tonight?');
+    const trigger = await say('c1', 'Ben', 'Yes! A funny comedy film please');
+
+    const written = await eventually(() => firebaseService.getSuggestions('c1'));
+    expect(written.suggestions.map(movie => movie.title)).toEqual(['Funny Business', 'Night Chase']);
+    expect(written.trigger.messageId).toBe(trigger.key);
+    expect(written.trigger.matches).toEqual(expect.arrayContaining(['movie', 'film']));
+    expect(written.aiSources.analysis).toBe('rule-based');
+  });
+
+  test('debounces a burst of messages into one run', async () => {
+    const write = jest.spyOn(firebaseService, 'writeSuggestions');
+    chatWatcherService.start(['c1']);
+
+    await say('c1', 'Asha', 'movie night?');
+    await say('c1', 'Ben', 'a film sounds great');
+    await say('c1', 'Cleo', 'which movie though');
+
+    await eventually(() => write.mock.calls.length > 0);
+    await wait(60);
+    expect(write).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores chatter that is not about movies', async () => {
+    const write = jest.spyOn(firebaseService, 'writeSuggestions');
+    chatWatcherService.start(['c1']);
+
+    await say('c1', 'Asha', 'Running late, see you at 7');
+    await wait(60);
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('ignores commands and bot replies', async () => {
+    const write = jest.spyOn(firebaseService, 'writeSuggestions');
+    chatWatcherService.start(['c1']);
+
+    await say('c1', 'Asha', '/movie a funny film');
+    await say('c1', 'PlanBot', 'Here are some movies for movie night', { bot: true });
+    await wait(60);
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('picks up chats created after it started', async () => {
+    chatWatcherService.start();
+    await say('new-chat', 'Asha', 'Any good movie to watch? Maybe a film with action');
+
+    const written = await eventually(() => firebaseService.getSuggestions('new-chat'));
+    expect(written.suggestions).toHaveLength(2);
+  });
+});
+
+describe('firebaseBotAdapter', () => {
+  test('answers a command with a bot message in the same chat', async () => {
+    await say('c1', 'Asha', 'I love comedies');
+    const command = await say('c1', 'Ben', '/movie something funny');
+    const message = firebaseService.toChatMessage(command.key, (await command.once('value')).val());
+
+    const result = await firebaseBotAdapter.handle('c1', message);
+
+    expect(result.command.name).toBe('movie');
+    const reply = (await messagesIn('c1')).find(msg => msg.id === result.messageId);
+    expect(reply).toMatchObject({ bot: true, senderId: 'bot', command: 'movie', replyTo: command.key });
+    expect(reply.cards.map(card => card.title)).toEqual(['Funny Business', 'Night Chase']);
+    expect(reply.text).toContain('1. Funny Business');
+  });
+
+  test('does nothing for ordinary messages and bot replies', async () => {
+    const post = jest.spyOn(firebaseService, 'postBotMessage');
+
+    expect(await firebaseBotAdapter.handle('c1', { id: 'a', text: 'hello', bot: false })).toBeNull();
+    expect(await firebaseBotAdapter.handle('c1', { id: 'b', text: '/movie', bot: true })).toBeNull();
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('listens for commands once started, without answering itself', async () => {
+    firebaseBotAdapter.start(['c1']);
+    await say('c1', 'Asha', '/help');
+
+    const botReplies = async () => (await messagesIn('c1')).filter(msg => msg.bot);
+    await eventually(async () => (await botReplies()).length > 0);
+    await wait(30);
+
+    const replies = await botReplies();
+    expect(replies).toHaveLength(1);
+    expect(replies[0].command).toBe('help');
+  });
+});
+
+describe('botService.handleMessage', () => {
+  test('returns null for text that is not a command', async () => {
+    expect(await botService.handleMessage('what are we watching?')).toBeNull();
+  });
+
+  test('answers unknown commands with help', async () => {
+    const { command, reply } = await botService.handleMessage('/dance');
+    expect(command).toMatchObject({ name: 'dance', known: false });
+    expect(reply.text).toContain('/movie');
+  });
+
+  test('asks for a location when /eat has none', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { reply } = await botService.handleMessage('/eat biryani', { chatMessages: [] });
+    expect(reply.cards).toEqual([expect.objectContaining({ type: 'notice', text: expect.stringContaining('location') })]);
+  });
+
+  test('leaves earlier commands and bot replies out of the context', async () => {
+    await botService.handleMessage('/movie', {
+      chatMessages: [
+        { id: '1', sender: 'Asha', text: 'I love comedies' },
+        { id: '2', sender: 'Ben', text: '/movie horror' },
+        { id: '3', sender: 'PlanBot', text: 'Try a horror movie', bot: true }
+      ]
+    });
+
+    const [analysis] = tmdbService.getRankedMovies.mock.calls[0];
+    expect(analysis.genres).toContain('Comedy');
+    expect(analysis.genres).not.toContain('Horror');
+  });
+});
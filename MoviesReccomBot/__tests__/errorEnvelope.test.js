@@ -0,0 +1,105 @@
+// Every movie-bot route answers errors in the shared envelope (shared/errors)
+process.env.FIREBASE_USE_MEMORY_DB = 'true';
+process.env.LLM_PROVIDER = 'mock';
+process.env.CACHE_ENABLED = 'false';
+
+const express = require('express');
+const MemoryDatabase = require('../utils/memoryDatabase');
+const firebaseService = require('../services/firebaseService');
+const { notFoundHandler, errorHandler } = require('../../shared/errors');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/suggestions', require('../routes/suggestions'));
+  app.use('/api/movies', require('../routes/movies'));
+  app.use('/api/polls', require('../routes/polls'));
+  app.use('/api/history', require('../routes/history'));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  firebaseService.useDatabase(new MemoryDatabase());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const options = [{ id: 1, title: 'Funny Business' }, { id: 2, title: 'Night Chase' }];
+
+describe('error envelope', () => {
+  test.each([
+    ['GET', '/api/suggestions/c1?limit=99', null],
+    ['GET', '/api/suggestions?strategy=coin-toss', null],
+    ['GET', '/api/movies/catalog?sortBy=title', null],
+    ['POST', '/api/polls/c1', { type: 'song' }],
+    ['POST', '/api/history/c1', { movieId: 'abc', status: 'watched' }],
+    ['GET', '/api/history/c1?userId=a.b', null]
+  ])('%s %s validation errors', async (method, path, body) => {
+    const response = await request(method, path, body);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ success: false, error: 'Validation error', code: 'VALIDATION_ERROR' });
+    expect(response.body.details.length).toBeGreaterThan(0);
+    expect(response.body.message).toBe(response.body.details[0]);
+  });
+
+  test('an unknown poll is NOT_FOUND', async () => {
+    const response = await request('GET', '/api/polls/c1/missing');
+    expect(response).toEqual({
+      status: 404,
+      body: { success: false, error: 'Not found', code: 'NOT_FOUND', message: 'Poll not found' }
+    });
+  });
+
+  test('a vote without a voter is a validation error', async () => {
+    const { body: created } = await request('POST', '/api/polls/c1', { type: 'movie', options });
+    const response = await request('POST', `/api/polls/c1/${created.poll.id}/votes`, { approvals: ['movie:1'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'VALIDATION_ERROR', details: ['"voter" is required'] });
+  });
+
+  test('closed polls are a CONFLICT with their own code', async () => {
+    const { body: created } = await request('POST', '/api/polls/c1', { type: 'movie', options });
+    await request('POST', `/api/polls/c1/${created.poll.id}/close`);
+    const response = await request('POST', `/api/polls/c1/${created.poll.id}/votes`, { voter: 'Asha', approvals: ['movie:1'] });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({ success: false, error: 'Conflict', code: 'POLL_CLOSED', message: 'Poll is closed' });
+  });
+
+  test('unexpected failures are a 500 without the internal message', async () => {
+    jest.spyOn(firebaseService, 'listPolls').mockRejectedValue(new Error('database exploded'));
+    const response = await request('GET', '/api/polls/c1');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred'
+    });
+  });
+});
@@ -0,0 +1,57 @@
+// Paging through movie suggestions with the rule-based LLM provider and a stubbed TMDB catalog
+process.env.FIREBASE_USE_MEMORY_DB = 'true';
+process.env.LLM_PROVIDER = 'mock';
+
+const MemoryDatabase = require('../utils/memoryDatabase');
+const firebaseService = require('../services/firebaseService');
+const tmdbService = require('../services/tmdbService');
+const cacheService = require('../services/cacheService');
+const suggestionService = require('../services/suggestionService');
+const { MAX_PAGE } = require('../utils/movieFilters');
+
+const MOVIES = Array.from({ length: 50 }, (_, i) => ({
+  id: i + 1,
+  title: `Movie ${i + 1}`,
+  genres: ['Comedy'],
+  vote_average: 7,
+  release_date: '2024-01-01'
+}));
+
+const CHAT = [
+  { id: 'm1', sender: 'Asha', senderId: 'asha', text: 'Let us watch a comedy movie', timestamp: 1 }
+];
+
+const ids = (value) => value.suggestions.map(movie => movie.id);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  firebaseService.useDatabase(new MemoryDatabase());
+  cacheService.enabled = true;
+  jest.spyOn(tmdbService, 'getRankedMovies').mockResolvedValue(MOVIES);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('suggestionService.getSuggestions paging', () => {
+  test('slices every page from one cached ranking', async () => {
+    const pages = [];
+    for (let page = 1; page <= 3; page++) {
+      const { value } = await suggestionService.getSuggestions(CHAT, { chatId: 'paging', limit: 4, page });
+      pages.push(value);
+    }
+
+    expect(pages.map(ids)).toEqual([[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12]]);
+    expect(pages.map(value => value.pagination.total)).toEqual([4 * MAX_PAGE, 4 * MAX_PAGE, 4 * MAX_PAGE]);
+    expect(tmdbService.getRankedMovies).toHaveBeenCalledTimes(1);
+    expect(tmdbService.getRankedMovies.mock.calls[0][1]).not.toHaveProperty('page');
+  });
+
+  test('the last page has no more after it', async () => {
+    const { value } = await suggestionService.getSuggestions(CHAT, { chatId: 'last-page', limit: 5, page: MAX_PAGE });
+
+    expect(ids(value)).toEqual([21, 22, 23, 24, 25]);
+    expect(value.pagination).toEqual({ page: MAX_PAGE, limit: 5, total: 5 * MAX_PAGE, hasMore: false });
+  });
+});
@@ -1,15 +1,29 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const { notFoundHandler, errorHandler } = require('../shared/errors');
+const { auth, requireChatMember } = require('./middleware/auth');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body so bot webhooks can check their HMAC signature
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+// Chat data is only served to signed-in members of that chat
+app.use('/api/suggestions/:chatId', requireChatMember());
+app.use('/api/polls/:chatId', requireChatMember());
+app.use('/api/history/:chatId', requireChatMember());
+app.use('/api/bot/chats/:chatId', requireChatMember());
 
 // Routes
 app.use('/api/suggestions', require('./routes/suggestions'));
+app.use('/api/movies', require('./routes/movies'));
+app.use('/api/polls', require('./routes/polls'));
+app.use('/api/history', require('./routes/history'));
+app.use('/api/outings', require('./routes/outings'));
+app.use('/api/bot', require('./routes/bot'));
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -17,11 +31,18 @@ app.get('/health', (req, res) => {
     status: 'OK', 
     message: 'Movie Suggestor is running!', 
     timestamp: new Date().toISOString(),
+    auth: auth.mode,
     endpoints: {
       health: '/health',
       test: '/test',
       suggestions: '/api/suggestions/:chatId',
-      testSuggestions: '/api/suggestions'
+      testSuggestions: '/api/suggestions',
+      movieCatalog: '/api/movies/catalog',
+      polls: '/api/polls/:chatId',
+      history: '/api/history/:chatId',
+      outingPlan: 'POST /api/outings/plan',
+      botWebhook: 'POST /api/bot/webhook',
+      botCommand: 'POST /api/bot/chats/:chatId/commands'
     }
   });
 });
@@ -31,9 +52,37 @@ app.get('/test', (req, res) => {
   res.json({ message: 'Backend is working!' });
 });
 
+// Anything else gets the shared error envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`🎬 Movie suggestion server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`🎯 Test suggestions: http://localhost:${PORT}/api/suggestions`);
+  if (auth.mode === 'off') {
+    console.warn('⚠️ AUTH_MODE is off: any caller can read any chat. Set FIREBASE_PROJECT_ID and drop AUTH_MODE=off for real deployments');
+  } else {
+    console.log(`🔐 Auth: ${auth.mode} (project ${auth.projectId})`);
+    // Membership lives in chats/{chatId}/members, which only a Realtime Database (or its emulator) has
+    const firebaseService = require('./services/firebaseService');
+    if (!firebaseService.firebaseInitialized || process.env.FIREBASE_USE_MEMORY_DB === 'true') {
+      console.warn('⚠️ No Realtime Database configured: chat membership is read from an empty in-memory store, so every chat route answers 403 NOT_A_MEMBER. Set FIREBASE_DATABASE_EMULATOR_HOST (or the FIREBASE_* credentials) and add chats/{chatId}/members/{uid}, or use AUTH_MODE=off');
+    }
+  }
+
+  // Background watcher that auto-posts suggestions into chats
+  if (process.env.CHAT_WATCHER_ENABLED === 'true') {
+    const chatWatcherService = require('./services/chatWatcherService');
+    const chatIds = (process.env.CHAT_WATCHER_CHAT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    chatWatcherService.start(chatIds);
+  }
+
+  // Answer /movie, /eat and /plan typed in Firebase chats
+  if (process.env.BOT_COMMANDS_ENABLED === 'true') {
+    const firebaseBotAdapter = require('./services/firebaseBotAdapter');
+    const chatIds = (process.env.BOT_COMMANDS_CHAT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    firebaseBotAdapter.start(chatIds);
+  }
 });
\ No newline at end of file
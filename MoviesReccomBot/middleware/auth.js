@@ -0,0 +1,52 @@
+const admin = require('firebase-admin');
+const { createAuth, resolveAuthConfig, TokenError } = require('../../shared/auth');
+const firebaseService = require('../services/firebaseService');
+
+// firebase-admin error codes that mean we could not check the token, rather than a bad token
+const UNAVAILABLE_CODES = ['app/network-error', 'app/network-timeout', 'auth/internal-error'];
+
+// Verify ID tokens with firebase-admin, which handles Google's certificates, expiry,
+// audience and issuer, and accepts Auth emulator tokens when FIREBASE_AUTH_EMULATOR_HOST is set.
+// Uses its own named app so it works whether or not firebaseService initialized one.
+function createAdminVerifier(projectId) {
+  const app = admin.apps.find(existing => existing && existing.name === 'auth')
+    || admin.initializeApp({ projectId }, 'auth');
+
+  return {
+    async verify(token) {
+      try {
+        return await app.auth().verifyIdToken(token);
+      } catch (error) {
+        if (error.code === 'auth/id-token-expired') {
+          throw new TokenError('TOKEN_EXPIRED', 'The ID token has expired; get a fresh one from the client SDK');
+        }
+        if (UNAVAILABLE_CODES.includes(error.code)) {
+          throw new TokenError('AUTH_UNAVAILABLE', `Could not check the ID token: ${error.message}`);
+        }
+        throw new TokenError('INVALID_TOKEN', 'The ID token is invalid');
+      }
+    }
+  };
+}
+
+// Firebase Auth for the REST API (see shared/auth); AUTH_MODE picks firebase, emulator or off.
+// AUTH_MODE=emulator without FIREBASE_AUTH_EMULATOR_HOST keeps the shared verifier,
+// since firebase-admin only skips signature checks when that variable is set.
+const { mode, projectId } = resolveAuthConfig();
+const useAdmin = mode === 'firebase' || (mode === 'emulator' && Boolean(process.env.FIREBASE_AUTH_EMULATOR_HOST));
+const auth = createAuth({ verifier: useAdmin ? createAdminVerifier(projectId) : null });
+
+const isMember = (chatId, uid) => firebaseService.isChatMember(chatId, uid);
+
+// Verify the caller, then check they belong to the chat before any of its data is read.
+// By default the chat comes from the :chatId route parameter.
+const requireChatMember = (getChatId) => [
+  auth.authenticate,
+  auth.requireChatMember(isMember, getChatId)
+];
+
+module.exports = {
+  auth,
+  requireUser: auth.authenticate,
+  requireChatMember
+};
@@ -0,0 +1,126 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const botService = require('../services/botService');
+const webhookBotAdapter = require('../services/webhookBotAdapter');
+const firebaseBotAdapter = require('../services/firebaseBotAdapter');
+const { parseCommand } = require('../utils/botCommands');
+const { ApiError, sendError } = require('../../shared/errors');
+
+const locationSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  city: Joi.string().optional()
+});
+
+// One incoming platform message, plus the recent chat it was sent in
+const webhookSchema = Joi.object({
+  chatId: Joi.string().max(256).required(),
+  messageId: Joi.string().max(256).optional(),
+  sender: Joi.string().max(256).default('Someone'),
+  text: Joi.string().max(4000).required(),
+  messages: Joi.array().items(
+    Joi.object({
+      sender: Joi.string().required(),
+      text: Joi.string().allow('').required(),
+      timestamp: Joi.alternatives(Joi.number(), Joi.date()).optional(),
+      bot: Joi.boolean().optional()
+    })
+  ).max(200).default([]),
+  location: locationSchema.optional()
+});
+
+const commandSchema = Joi.object({
+  text: Joi.string().max(4000).required()
+});
+
+// POST /api/bot/webhook - a chat platform forwards a message; commands get a reply
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!webhookBotAdapter.isConfigured()) {
+      return sendError(res, new ApiError(503, 'Set BOT_WEBHOOK_SECRET to accept bot webhooks', { code: 'BOT_NOT_CONFIGURED' }));
+    }
+    const rejection = webhookBotAdapter.verifyRequest(req.rawBody, req.get('X-Bot-Signature'), req.get('X-Bot-Timestamp'));
+    if (rejection) {
+      return sendError(res, new ApiError(401, rejection, { code: 'INVALID_SIGNATURE' }));
+    }
+
+    const { error, value } = webhookSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) return sendError(res, ApiError.validation(error));
+
+    const run = () => botService.handleMessage(value.text, {
+      chatId: value.chatId,
+      sender: value.sender,
+      chatMessages: value.messages,
+      location: value.location || null
+    });
+
+    // Reply in the response; ordinary chat messages get handled: false
+    if (!webhookBotAdapter.replyUrl) {
+      const result = await run();
+      return res.json({
+        success: true,
+        handled: Boolean(result),
+        command: result ? result.command.name : null,
+        reply: result ? result.reply : null
+      });
+    }
+
+    // Planning can outlast the platform's webhook timeout: answer now, deliver later
+    // Ordinary chat messages are acknowledged and ignored
+    if (!parseCommand(value.text)) {
+      return res.json({ success: true, handled: false, command: null, reply: null });
+    }
+    res.status(202).json({ success: true, handled: true, delivery: 'callback' });
+
+    const result = await run();
+    if (result) {
+      await webhookBotAdapter.deliver({
+        chatId: value.chatId,
+        replyTo: value.messageId || null,
+        command: result.command.name,
+        reply: result.reply
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error handling bot webhook:', error);
+    if (!res.headersSent) sendError(res, error);
+  }
+});
+
+// POST /api/bot/chats/:chatId/commands - run a command for a Firebase chat and
+// post the reply into chats/{chatId}/messages (membership is checked in app.js)
+router.post('/chats/:chatId/commands', async (req, res) => {
+  try {
+    const { error, value } = commandSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) return sendError(res, ApiError.validation(error));
+
+    const { chatId } = req.params;
+    const user = req.user || {};
+    const result = await firebaseBotAdapter.handle(chatId, {
+      id: null,
+      sender: user.name || user.email || 'Someone',
+      text: value.text,
+      bot: false
+    }, {
+      authorization: req.headers.authorization
+    });
+
+    if (!result) {
+      return sendError(res, ApiError.validation(['text must be a bot command such as /movie, /eat or /plan']));
+    }
+
+    res.json({
+      success: true,
+      chatId,
+      command: result.command.name,
+      messageId: result.messageId,
+      reply: result.reply
+    });
+  } catch (error) {
+    console.error('❌ Error running bot command:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const historyService = require('../services/historyService');
+const { REACTIONS } = require('../services/historyService');
+const { HISTORY_STATUSES } = require('../utils/watchHistory');
+const { DATABASE_KEY_PATTERN } = require('../../shared/auth');
+const { ApiError, sendError } = require('../../shared/errors');
+
+// Becomes part of the database path users/{userId}/movieHistory
+const userIdSchema = Joi.string().pattern(DATABASE_KEY_PATTERN)
+  .messages({ 'string.pattern.base': '"userId" must be a user ID (no . # $ / [ ])' });
+
+const movieFields = {
+  movieId: Joi.number().integer().positive().required(),
+  title: Joi.string().max(300).optional(),
+  userId: userIdSchema.optional()
+};
+
+const recordSchema = Joi.object({
+  ...movieFields,
+  status: Joi.string().valid(...HISTORY_STATUSES).required()
+});
+
+const reactionSchema = Joi.object({
+  ...movieFields,
+  reaction: Joi.string().valid(...Object.keys(REACTIONS)).required()
+});
+
+const userQuerySchema = Joi.object({
+  userId: userIdSchema.optional()
+});
+
+function validate(schema, body, res) {
+  const { error, value } = schema.validate(body || {}, { abortEarly: false });
+  if (error) {
+    sendError(res, ApiError.validation(error));
+    return null;
+  }
+  return value;
+}
+
+// Signed-in users only see and change their own history; services (and AUTH_MODE=off) may name anyone.
+// Returns false once it has answered with a 403.
+function checkOwnHistory(req, res, userId) {
+  if (!userId || !req.user || req.user.service || userId === req.user.uid) return true;
+  sendError(res, new ApiError(403, 'You can only use your own history', { code: 'NOT_YOUR_HISTORY' }));
+  return false;
+}
+
+function handleError(res, error, action) {
+  console.error(`❌ Error ${action}:`, error);
+  sendError(res, error);
+}
+
+// GET /api/history/:chatId?userId= - Chat history, or one user's history
+router.get('/:chatId', async (req, res) => {
+  const query = validate(userQuerySchema, req.query, res);
+  if (!query || !checkOwnHistory(req, res, query.userId)) return;
+
+  try {
+    const { userId } = query;
+    const history = userId
+      ? await historyService.getUserHistory(userId)
+      : await historyService.getChatHistory(req.params.chatId);
+
+    res.json({ success: true, scope: userId ? 'user' : 'chat', history });
+  } catch (error) {
+    handleError(res, error, 'fetching history');
+  }
+});
+
+// POST /api/history/:chatId - Record a watched/dismissed/disliked movie
+router.post('/:chatId', async (req, res) => {
+  const value = validate(recordSchema, req.body, res);
+  if (!value || !checkOwnHistory(req, res, value.userId)) return;
+
+  try {
+    const entry = await historyService.record(req.params.chatId, value);
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    handleError(res, error, 'recording history');
+  }
+});
+
+// POST /api/history/:chatId/reactions - "Seen it" and other reactions on a suggestion
+router.post('/:chatId/reactions', async (req, res) => {
+  const value = validate(reactionSchema, req.body, res);
+  if (!value || !checkOwnHistory(req, res, value.userId)) return;
+
+  try {
+    const entry = await historyService.react(req.params.chatId, value);
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    handleError(res, error, 'recording reaction');
+  }
+});
+
+// DELETE /api/history/:chatId/:movieId?userId= - Forget a history entry
+router.delete('/:chatId/:movieId', async (req, res) => {
+  const query = validate(userQuerySchema, req.query, res);
+  if (!query || !checkOwnHistory(req, res, query.userId)) return;
+
+  try {
+    await historyService.remove(req.params.chatId, req.params.movieId, query.userId || null);
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'removing history');
+  }
+});
+
+module.exports = router;
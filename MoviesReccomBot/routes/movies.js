@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const localCatalogService = require('../services/localCatalogService');
+const { catalogQuerySchema } = require('../utils/movieFilters');
+const { ApiError, sendError } = require('../../shared/errors');
+
+// GET /api/movies/catalog - Query the offline movie catalog
+router.get('/catalog', (req, res) => {
+  try {
+    const { error, value } = catalogQuerySchema.validate(req.query, { abortEarly: false });
+    if (error) return sendError(res, ApiError.validation(error));
+
+    const { genre, language, minRating, maxRuntime, minRuntime, sortBy, limit } = value;
+
+    const movies = localCatalogService.query({
+      genres: genre ? genre.split(',') : [],
+      language: language || null,
+      minRating: minRating ?? null,
+      maxRuntime: maxRuntime ?? null,
+      minRuntime: minRuntime ?? null,
+      sortBy,
+      limit: limit || null
+    });
+
+    res.json({
+      success: true,
+      movies: movies,
+      total: movies.length
+    });
+  } catch (error) {
+    console.error('❌ Error querying local catalog:', error);
+    sendError(res, error);
+  }
+});
+
+// GET /api/movies/catalog/stats - Genres and languages available offline
+router.get('/catalog/stats', (req, res) => {
+  res.json({
+    success: true,
+    stats: localCatalogService.getStats()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const firebaseService = require('../services/firebaseService');
+const outingService = require('../services/outingService');
+const { STRATEGIES, DEFAULT_STRATEGY } = require('../utils/groupAggregation');
+const { requireChatMember } = require('../middleware/auth');
+const { DATABASE_KEY_PATTERN } = require('../../shared/auth');
+const { toChatMessages } = require('../../shared/chat');
+const { ApiError, sendError } = require('../../shared/errors');
+
+// One chat, either stored in Firebase (chatId) or sent inline in either
+// service's message shape ({ sender, text } or { sender, content })
+const planSchema = Joi.object({
+  chatId: Joi.string().pattern(DATABASE_KEY_PATTERN, 'Firebase key'),
+  messages: Joi.array().items(
+    Joi.object({
+      sender: Joi.string().required(),
+      text: Joi.string().allow(''),
+      content: Joi.string().allow(''),
+      senderId: Joi.string().optional(),
+      timestamp: Joi.alternatives(Joi.number(), Joi.date()).optional(),
+      bot: Joi.boolean().optional()
+    }).or('text', 'content')
+  ).min(1).max(200),
+  // Needed for food and activity suggestions
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    city: Joi.string().optional()
+  }).optional(),
+  radius: Joi.number().min(100).max(50000).default(5000),
+  strategy: Joi.string().valid(...Object.keys(STRATEGIES)).default(DEFAULT_STRATEGY),
+  limit: Joi.number().integer().min(1).max(10).default(3),
+  refresh: Joi.boolean().default(false)
+}).xor('chatId', 'messages');
+
+// Signed-in callers only; a stored chat also needs the caller to be a member
+const bodyChatId = (req) => (req.body && typeof req.body.chatId === 'string' ? req.body.chatId : null);
+
+// POST /api/outings/plan - one chat in, one plan (movies, food, activities) out
+router.post('/plan', requireChatMember(bodyChatId), async (req, res) => {
+  try {
+    const { error, value } = planSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) return sendError(res, ApiError.validation(error));
+
+    const { chatId, location, radius, strategy, limit, refresh } = value;
+    const chatMessages = toChatMessages(chatId ? await firebaseService.getChatMessages(chatId) : value.messages);
+    if (chatMessages.length === 0) {
+      return sendError(res, ApiError.validation(['The chat has no messages to plan from']));
+    }
+
+    const { plan, errors } = await outingService.planOuting(chatMessages, {
+      chatId: chatId || null,
+      location: location || null,
+      radius,
+      strategy,
+      limit,
+      refresh,
+      // The place service accepts the same Firebase token
+      authorization: req.headers.authorization
+    });
+
+    res.json({
+      success: true,
+      chatId: chatId || null,
+      plan,
+      errors
+    });
+  } catch (error) {
+    console.error('❌ Error planning outing:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const pollService = require('../services/pollService');
+const { ApiError, sendError } = require('../../shared/errors');
+
+const optionId = Joi.string().max(200);
+
+const createPollSchema = Joi.object({
+  type: Joi.string().valid('movie', 'place').required(),
+  method: Joi.string().valid('approval', 'ranked').default('approval'),
+  question: Joi.string().max(200).optional(),
+  createdBy: Joi.string().max(100).optional(),
+  // Movies from /api/suggestions or places from the place service; omit for
+  // movie polls to use the suggestions last posted to the chat
+  options: Joi.array().items(
+    Joi.alternatives().conditional(Joi.ref('...type'), {
+      is: 'movie',
+      then: Joi.object({
+        id: Joi.alternatives(Joi.number(), Joi.string()).required(),
+        title: Joi.string().required()
+      }).unknown(true),
+      otherwise: Joi.object({
+        place_id: Joi.string().required(),
+        name: Joi.string().required()
+      }).unknown(true)
+    })
+  ).max(20).optional()
+});
+
+// Signed-in members always vote as themselves (their uid); `voter` is only
+// read for service calls and when AUTH_MODE=off
+const voteSchema = Joi.object({
+  voter: Joi.string().max(100).optional(),
+  approvals: Joi.array().items(optionId).min(1).optional(),
+  ranking: Joi.array().items(optionId).min(1).optional()
+}).xor('approvals', 'ranking');
+
+function validate(schema, body, res) {
+  const { error, value } = schema.validate(body || {}, { abortEarly: false });
+  if (error) {
+    sendError(res, ApiError.validation(error));
+    return null;
+  }
+  return value;
+}
+
+// PollErrors are ApiErrors and keep their status; anything else is a 500
+function handleError(res, error, action) {
+  if (!(error instanceof ApiError)) console.error(`❌ Error ${action}:`, error);
+  sendError(res, error);
+}
+
+// POST /api/polls/:chatId - Create a poll from a suggestion set
+router.post('/:chatId', async (req, res) => {
+  const value = validate(createPollSchema, req.body, res);
+  if (!value) return;
+
+  try {
+    const poll = await pollService.createPoll(req.params.chatId, value);
+    res.status(201).json({ success: true, poll });
+  } catch (error) {
+    handleError(res, error, 'creating poll');
+  }
+});
+
+// GET /api/polls/:chatId - List a chat's polls
+router.get('/:chatId', async (req, res) => {
+  try {
+    const polls = await pollService.listPolls(req.params.chatId);
+    res.json({ success: true, polls });
+  } catch (error) {
+    handleError(res, error, 'listing polls');
+  }
+});
+
+// GET /api/polls/:chatId/:pollId - Poll with its live tally
+router.get('/:chatId/:pollId', async (req, res) => {
+  try {
+    const poll = await pollService.getPoll(req.params.chatId, req.params.pollId);
+    res.json({ success: true, poll: pollService.present(poll) });
+  } catch (error) {
+    handleError(res, error, 'fetching poll');
+  }
+});
+
+// POST /api/polls/:chatId/:pollId/votes - Cast (or replace) a vote
+router.post('/:chatId/:pollId/votes', async (req, res) => {
+  const value = validate(voteSchema, req.body, res);
+  if (!value) return;
+
+  const voter = req.user && !req.user.service ? req.user.uid : value.voter;
+  if (!voter) {
+    return sendError(res, ApiError.validation(['"voter" is required']));
+  }
+
+  try {
+    const poll = await pollService.castVote(req.params.chatId, req.params.pollId, { ...value, voter });
+    res.json({ success: true, poll });
+  } catch (error) {
+    handleError(res, error, 'casting vote');
+  }
+});
+
+// POST /api/polls/:chatId/:pollId/close - Close the poll and compute the winner
+router.post('/:chatId/:pollId/close', async (req, res) => {
+  try {
+    const poll = await pollService.closePoll(req.params.chatId, req.params.pollId);
+    res.json({ success: true, poll, winner: poll.result.winner });
+  } catch (error) {
+    handleError(res, error, 'closing poll');
+  }
+});
+
+module.exports = router;
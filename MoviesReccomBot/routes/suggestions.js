@@ -3,11 +3,31 @@ const router = express.Router();
 const openAIService = require('../services/openAIService');
 const tmdbService = require('../services/tmdbService');
 const firebaseService = require('../services/firebaseService');
+const suggestionService = require('../services/suggestionService');
+const { suggestionQuerySchema, toCatalogFilters } = require('../utils/movieFilters');
+const { explainMovies } = require('../utils/explanations');
+const { suggestionMessage } = require('../utils/replies');
+const { setCacheHeaders } = require('../../shared/cache');
+const { ApiError, sendError } = require('../../shared/errors');
+
+// Validate ?strategy=, filters and pagination before doing any work
+function validateQuery(req, res) {
+  const { error, value } = suggestionQuerySchema.validate(req.query, { abortEarly: false });
+  if (error) {
+    sendError(res, ApiError.validation(error));
+    return null;
+  }
+  return value;
+}
 
 // GET /api/suggestions/:chatId - MAIN ENDPOINT
 router.get('/:chatId', async (req, res) => {
   try {
     const { chatId } = req.params;
+    const query = validateQuery(req, res);
+    if (!query) return;
+    const { strategy, limit, page, refresh } = query;
+    const filters = toCatalogFilters(query);
     
     console.log(`🎯 Getting movie suggestions for chat: ${chatId}`);
     
@@ -15,21 +35,25 @@ router.get('/:chatId', async (req, res) => {
     const chatMessages = await firebaseService.getChatMessages(chatId);
     console.log(`💬 Found ${chatMessages.length} chat messages`);
     
-    // Step 2: Analyze chat with OpenAI
-    const preferences = await openAIService.analyzeChatForMoviePreferences(chatMessages);
-    console.log(`🤖 Analysis:`, preferences);
-    
-    // Step 3: Get matching movies from TMDB
-    const suggestedMovies = await tmdbService.getMoviesByPreferences(preferences, 4);
-    console.log(`🎬 Found ${suggestedMovies.length} movie suggestions`);
+    // Step 2 & 3: Analyze chat with the LLM and rank movies (cached on the chat content)
+    const cached = await suggestionService.getSuggestions(chatMessages, { chatId, strategy, limit, page, filters, refresh });
+    const { suggestions: suggestedMovies, analysis: preferences, aiSources, pagination } = cached.value;
+    console.log(`🎬 Found ${suggestedMovies.length} movie suggestions (cache ${cached.status})`);
     
-    // Step 4: Format the perfect response
+    // Step 4: Format the perfect response, in the chat's language
+    const locale = (preferences.chatLanguage && preferences.chatLanguage.locale) || 'en';
+    setCacheHeaders(res, cached);
     const response = {
       success: true,
       chatId: chatId,
       suggestions: suggestedMovies,
       analysis: preferences,
-      message: generateSuggestionMessage(suggestedMovies.length, preferences.summary),
+      aiSources: aiSources,
+      strategy: strategy,
+      filters: filters,
+      pagination: pagination,
+      language: locale,
+      message: suggestionMessage(suggestedMovies.length, preferences.summary, locale),
       chatPreview: chatMessages.slice(0, 3).map(msg => `${msg.sender}: ${msg.text}`)
     };
 
@@ -38,47 +62,42 @@ router.get('/:chatId', async (req, res) => {
     
   } catch (error) {
     console.error('❌ Error generating suggestions:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to generate suggestions',
-      message: 'Please try again later'
-    });
+    sendError(res, error);
   }
 });
 
 // Test route without specific chat
 router.get('/', async (req, res) => {
   try {
+    const query = validateQuery(req, res);
+    if (!query) return;
+    const { strategy } = query;
+    const filters = toCatalogFilters(query);
+
     // Use sample chat data for testing
     const sampleMessages = [
       { sender: 'TestUser1', text: 'I love action and comedy movies!' },
       { sender: 'TestUser2', text: 'Something with adventure would be great' }
     ];
     
-    const preferences = await openAIService.analyzeChatForMoviePreferences(sampleMessages);
-    const suggestedMovies = await tmdbService.getMoviesByPreferences(preferences, 3);
+    const analysisMeta = {};
+    const preferences = await openAIService.analyzeChatForMoviePreferences(sampleMessages, analysisMeta);
+    const rankedMovies = await tmdbService.getMoviesByPreferences(preferences, 3, { strategy, filters });
+    const suggestedMovies = explainMovies(rankedMovies, preferences, sampleMessages);
     
     res.json({
       success: true,
       suggestions: suggestedMovies,
       analysis: preferences,
+      aiSources: { analysis: analysisMeta.source },
+      strategy: strategy,
       message: "Test suggestions with sample chat data!",
       note: "Use /api/suggestions/chat1 for specific chat analysis"
     });
   } catch (error) {
-    res.status(500).json({ error: 'Test failed' });
+    console.error('❌ Error generating test suggestions:', error);
+    sendError(res, error);
   }
 });
 
-// Helper function for suggestion messages
-function generateSuggestionMessage(movieCount, summary) {
-  const messages = [
-    `We found ${movieCount} perfect movies for your group! Based on your chat about "${summary}"`,
-    `These ${movieCount} movies match your group's vibe perfectly! You were discussing "${summary}"`,
-    `Great news! We've picked ${movieCount} movies that align with your conversation about "${summary}"`
-  ];
-  
-  return messages[Math.floor(Math.random() * messages.length)];
-}
-
 module.exports = router;
\ No newline at end of file
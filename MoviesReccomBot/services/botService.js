@@ -0,0 +1,58 @@
+const outingService = require('./outingService');
+const { BOT_COMMANDS, parseCommand } = require('../utils/botCommands');
+const { planReply, helpReply, errorReply } = require('../utils/botCards');
+const { toChatMessages } = require('../../shared/chat');
+const { ApiError } = require('../../shared/errors');
+
+// Platform-independent command handling: a chat message in, a reply
+// ({ text, cards }) out. Adapters decide where the reply is posted.
+class BotService {
+  constructor({ limit = parseInt(process.env.BOT_CARD_LIMIT, 10) || 3 } = {}) {
+    this.limit = limit;
+  }
+
+  // Returns { command, reply }, or null when the text is not a command
+  async handleMessage(text, {
+    chatId = null,
+    sender = 'Someone',
+    chatMessages = [],
+    location = null,
+    authorization = null
+  } = {}) {
+    const command = parseCommand(text);
+    if (!command) return null;
+
+    if (!command.known || command.name === 'help') {
+      return { command, reply: helpReply() };
+    }
+
+    // Earlier commands and bot replies say nothing about what the group wants.
+    // Words after the command count as one more message from whoever sent it.
+    const context = toChatMessages(chatMessages).filter(msg => !msg.bot && !parseCommand(msg.text));
+    const messages = command.args
+      ? [...context, { id: 'command', sender, senderId: null, text: command.args, timestamp: Date.now(), bot: false }]
+      : context;
+
+    console.log(`🤖 /${command.name}${chatId ? ` in chat ${chatId}` : ''} (${messages.length} messages of context)`);
+
+    try {
+      const { plan, errors } = await outingService.planOuting(messages, {
+        kinds: BOT_COMMANDS[command.name].kinds,
+        chatId,
+        location,
+        limit: this.limit,
+        authorization
+      });
+      return { command, reply: planReply(plan, errors) };
+    } catch (error) {
+      console.error(`❌ Bot command /${command.name} failed:`, error.message);
+      // ApiError messages are written for users; anything else stays in the logs
+      return {
+        command,
+        reply: errorReply(error instanceof ApiError ? error.message : 'Could not plan that right now, try again in a bit')
+      };
+    }
+  }
+}
+
+module.exports = new BotService();
@@ -0,0 +1,5 @@
+const { createCache, createRedisClient } = require('../../shared/cache');
+require('dotenv').config();
+
+// Optional Redis store; the "redis" package is only needed when REDIS_URL is set
+module.exports = createCache({ redisClient: createRedisClient({ resolveFrom: __dirname }), prefix: 'movies:' });
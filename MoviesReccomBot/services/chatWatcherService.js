@@ -0,0 +1,152 @@
+const firebaseService = require('./firebaseService');
+const suggestionService = require('./suggestionService');
+const { detectMovieIntent } = require('../utils/movieIntent');
+const { DEFAULT_STRATEGY } = require('../utils/groupAggregation');
+const { suggestionMessage } = require('../utils/replies');
+const { parseCommand } = require('../utils/botCommands');
+
+// Listens to chats/{chatId}/messages and, once the group has been talking about
+// what to watch and gone quiet for `debounceMs`, writes fresh suggestions to
+// chats/{chatId}/suggestions.
+class ChatWatcherService {
+  constructor({
+    debounceMs = parseInt(process.env.CHAT_WATCHER_DEBOUNCE_MS, 10) || 5000,
+    contextSize = parseInt(process.env.CHAT_WATCHER_CONTEXT_SIZE, 10) || 10,
+    limit = 4,
+    strategy = DEFAULT_STRATEGY
+  } = {}) {
+    this.debounceMs = debounceMs;
+    this.contextSize = contextSize;
+    this.limit = limit;
+    this.strategy = strategy;
+    this.chats = new Map();
+    this.chatsRef = null;
+    this.running = false;
+  }
+
+  // Watch the given chat IDs, or every chat (including ones created later) when none are given
+  start(chatIds = []) {
+    if (this.running) return;
+
+    const db = firebaseService.db;
+    if (!db) {
+      console.log('🔄 Firebase not initialized, chat watcher not started');
+      return;
+    }
+
+    this.running = true;
+    this.startedAt = Date.now();
+
+    if (chatIds.length > 0) {
+      chatIds.forEach(chatId => this.watchChat(chatId));
+    } else {
+      this.chatsRef = db.ref('chats');
+      this.onChatAdded = (snapshot) => this.watchChat(snapshot.key);
+      this.chatsRef.on('child_added', this.onChatAdded);
+    }
+
+    console.log(`👀 Chat watcher started (${chatIds.length > 0 ? chatIds.join(', ') : 'all chats'})`);
+  }
+
+  stop() {
+    if (this.chatsRef) {
+      this.chatsRef.off('child_added', this.onChatAdded);
+      this.chatsRef = null;
+    }
+
+    this.chats.forEach(state => {
+      clearTimeout(state.timer);
+      state.query.off('child_added', state.listener);
+    });
+    this.chats.clear();
+    this.running = false;
+    console.log('🛑 Chat watcher stopped');
+  }
+
+  watchChat(chatId) {
+    if (this.chats.has(chatId)) return;
+
+    // Only messages sent after the watcher started should trigger anything
+    const query = firebaseService.db
+      .ref(`chats/${chatId}/messages`)
+      .orderByChild('timestamp')
+      .startAt(this.startedAt);
+
+    const state = {
+      query,
+      timer: null,
+      pending: [],
+      generating: false,
+      listener: (snapshot) => this.onMessage(chatId, firebaseService.toChatMessage(snapshot.key, snapshot.val()))
+    };
+
+    this.chats.set(chatId, state);
+    query.on('child_added', state.listener);
+  }
+
+  onMessage(chatId, message) {
+    const state = this.chats.get(chatId);
+    // Commands like "/movie" are answered by the bot directly
+    if (!state || message.bot || parseCommand(message.text)) return;
+
+    state.pending.push(message);
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => this.flush(chatId), this.debounceMs);
+  }
+
+  // Called once the chat has been quiet for debounceMs
+  async flush(chatId) {
+    const state = this.chats.get(chatId);
+    if (!state || state.pending.length === 0) return;
+
+    // A run is already in progress; try again after it finishes
+    if (state.generating) {
+      state.timer = setTimeout(() => this.flush(chatId), this.debounceMs);
+      return;
+    }
+
+    const intent = detectMovieIntent(state.pending);
+    const lastMessage = state.pending[state.pending.length - 1];
+    state.pending = [];
+
+    if (!intent.isMovieTalk) return;
+
+    state.generating = true;
+    try {
+      await this.regenerate(chatId, lastMessage, intent);
+    } catch (error) {
+      console.error(`❌ Chat watcher failed for ${chatId}:`, error.message);
+    } finally {
+      state.generating = false;
+    }
+  }
+
+  async regenerate(chatId, triggerMessage, intent) {
+    console.log(`🎬 Movie talk detected in ${chatId} (${intent.matches.join(', ')}), regenerating suggestions`);
+
+    const chatMessages = (await firebaseService.getChatMessages(chatId, this.contextSize * 5))
+      .slice(0, this.contextSize);
+
+    const { value } = await suggestionService.getSuggestions(chatMessages, {
+      chatId,
+      strategy: this.strategy,
+      limit: this.limit
+    });
+
+    await firebaseService.writeSuggestions(chatId, {
+      suggestions: value.suggestions,
+      summary: value.analysis.summary || '',
+      language: (value.analysis.chatLanguage && value.analysis.chatLanguage.locale) || 'en',
+      message: suggestionMessage(value.suggestions.length, value.analysis.summary || '', value.analysis.chatLanguage && value.analysis.chatLanguage.locale),
+      strategy: this.strategy,
+      aiSources: value.aiSources,
+      trigger: {
+        messageId: triggerMessage.id,
+        matches: intent.matches
+      },
+      generatedAt: Date.now()
+    });
+  }
+}
+
+module.exports = new ChatWatcherService();
@@ -0,0 +1,105 @@
+const firebaseService = require('./firebaseService');
+const botService = require('./botService');
+const { parseCommand } = require('../utils/botCommands');
+
+// Firebase chat adapter: runs commands typed in chats/{chatId}/messages and
+// posts the reply into the same chat as a bot message
+class FirebaseBotAdapter {
+  constructor({
+    botName = process.env.BOT_NAME || 'PlanBot',
+    contextSize = parseInt(process.env.BOT_CONTEXT_SIZE, 10) || 20
+  } = {}) {
+    this.botName = botName;
+    this.contextSize = contextSize;
+    this.chats = new Map();
+    this.chatsRef = null;
+    this.running = false;
+  }
+
+  // Run one command message; returns { command, reply, messageId } or null when it is not a command
+  async handle(chatId, message, { authorization = null } = {}) {
+    if (message.bot || !parseCommand(message.text)) return null;
+
+    const [history, location] = await Promise.all([
+      firebaseService.getChatMessages(chatId, this.contextSize),
+      firebaseService.getChatLocation(chatId)
+    ]);
+
+    const result = await botService.handleMessage(message.text, {
+      chatId,
+      sender: message.sender,
+      chatMessages: history.filter(msg => msg.id !== message.id),
+      location,
+      authorization
+    });
+
+    const messageId = await firebaseService.postBotMessage(chatId, {
+      sender: this.botName,
+      senderId: 'bot',
+      text: result.reply.text,
+      cards: result.reply.cards,
+      command: result.command.name,
+      replyTo: message.id || null
+    });
+
+    return { ...result, messageId };
+  }
+
+  // Listen for commands in the given chat IDs, or every chat when none are given
+  start(chatIds = []) {
+    if (this.running) return;
+
+    const db = firebaseService.db;
+    if (!db) {
+      console.log('🔄 Firebase not initialized, bot command listener not started');
+      return;
+    }
+
+    this.running = true;
+    this.startedAt = Date.now();
+
+    if (chatIds.length > 0) {
+      chatIds.forEach(chatId => this.watchChat(chatId));
+    } else {
+      this.chatsRef = db.ref('chats');
+      this.onChatAdded = (snapshot) => this.watchChat(snapshot.key);
+      this.chatsRef.on('child_added', this.onChatAdded);
+    }
+
+    console.log(`🤖 Bot commands enabled (${chatIds.length > 0 ? chatIds.join(', ') : 'all chats'})`);
+  }
+
+  stop() {
+    if (this.chatsRef) {
+      this.chatsRef.off('child_added', this.onChatAdded);
+      this.chatsRef = null;
+    }
+
+    this.chats.forEach(({ query, listener }) => query.off('child_added', listener));
+    this.chats.clear();
+    this.running = false;
+    console.log('🛑 Bot command listener stopped');
+  }
+
+  watchChat(chatId) {
+    if (this.chats.has(chatId)) return;
+
+    // Commands typed before the listener started have either been answered or gone stale
+    const query = firebaseService.db
+      .ref(`chats/${chatId}/messages`)
+      .orderByChild('timestamp')
+      .startAt(this.startedAt);
+
+    const listener = (snapshot) => {
+      const message = firebaseService.toChatMessage(snapshot.key, snapshot.val());
+      this.handle(chatId, message).catch(error => {
+        console.error(`❌ Bot command failed in ${chatId}:`, error.message);
+      });
+    };
+
+    this.chats.set(chatId, { query, listener });
+    query.on('child_added', listener);
+  }
+}
+
+module.exports = new FirebaseBotAdapter();
@@ -1,14 +1,40 @@
 const admin = require('firebase-admin');
+const MemoryDatabase = require('../utils/memoryDatabase');
+const { toFirebaseValue, sanitizeKey } = require('../utils/firebaseValue');
+const { parseCommand } = require('../utils/botCommands');
 
 class FirebaseService {
   constructor() {
     this.db = null;
+    this.localDb = null;
     this.firebaseInitialized = false;
     this.initializeFirebase();
   }
 
   initializeFirebase() {
     try {
+      // In-memory stand-in for local runs and tests
+      if (process.env.FIREBASE_USE_MEMORY_DB === 'true') {
+        this.useDatabase(new MemoryDatabase());
+        console.log('🧪 Using in-memory Firebase database');
+        return;
+      }
+
+      // Firebase emulator: firebase-admin routes to FIREBASE_DATABASE_EMULATOR_HOST
+      // automatically and needs no credentials
+      if (process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+        const projectId = process.env.FIREBASE_PROJECT_ID || 'demo-plan-outings';
+        admin.initializeApp({
+          projectId,
+          databaseURL: process.env.FIREBASE_DATABASE_URL || `http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST}?ns=${projectId}`
+        });
+
+        this.db = admin.database();
+        this.firebaseInitialized = true;
+        console.log(`🧪 Firebase initialized against emulator ${process.env.FIREBASE_DATABASE_EMULATOR_HOST}`);
+        return;
+      }
+
       // Only initialize if we have valid Firebase config
       if (process.env.FIREBASE_PRIVATE_KEY && 
           process.env.FIREBASE_PROJECT_ID && 
@@ -38,6 +64,24 @@ class FirebaseService {
     }
   }
 
+  // Swap in another database (e.g. MemoryDatabase) that implements the RTDB API
+  useDatabase(db) {
+    this.db = db;
+    this.firebaseInitialized = Boolean(db);
+  }
+
+  // Map a raw message node to the shape the rest of the service uses
+  toChatMessage(id, message) {
+    return {
+      id: id,
+      sender: message.sender || 'Unknown',
+      senderId: message.senderId || message.uid || null,
+      text: message.text || message.message || '',
+      timestamp: message.timestamp || Date.now(),
+      bot: message.bot === true
+    };
+  }
+
   async getChatMessages(chatId, limit = 50) {
     try {
       if (!this.firebaseInitialized || !this.db) {
@@ -58,15 +102,12 @@ class FirebaseService {
         return this.getMockMessages(chatId);
       }
       
+      // Only what members wrote: bot replies and slash commands would otherwise
+      // be analyzed as if a member liked the movies the bot suggested
       const messages = [];
       snapshot.forEach((childSnapshot) => {
-        const message = childSnapshot.val();
-        messages.push({
-          id: childSnapshot.key,
-          sender: message.sender || 'Unknown',
-          text: message.text || message.message || '',
-          timestamp: message.timestamp || Date.now()
-        });
+        const message = this.toChatMessage(childSnapshot.key, childSnapshot.val());
+        if (!message.bot && !parseCommand(message.text)) messages.push(message);
       });
       
       console.log(`✅ Found ${messages.length} real messages for: ${chatId}`);
@@ -78,6 +119,110 @@ class FirebaseService {
     }
   }
 
+  // Publish suggestions to chats/{chatId}/suggestions for clients to listen to
+  async writeSuggestions(chatId, payload) {
+    if (!this.firebaseInitialized || !this.db) {
+      console.log(`🔄 Firebase not initialized, skipping suggestion write for: ${chatId}`);
+      return false;
+    }
+
+    await this.db.ref(`chats/${chatId}/suggestions`).set(toFirebaseValue(payload));
+    console.log(`📤 Wrote suggestions for: ${chatId}`);
+    return true;
+  }
+
+  async getSuggestions(chatId) {
+    const snapshot = await this.getStore().ref(`chats/${chatId}/suggestions`).once('value');
+    return snapshot.exists() ? snapshot.val() : null;
+  }
+
+  // Polls and watch history are kept in Firebase when it is configured, otherwise in memory
+  getStore() {
+    if (this.firebaseInitialized && this.db) return this.db;
+    if (!this.localDb) {
+      console.log('🧪 Firebase not initialized, keeping polls and history in memory');
+      this.localDb = new MemoryDatabase();
+    }
+    return this.localDb;
+  }
+
+  async savePoll(chatId, poll) {
+    await this.getStore().ref(`chats/${chatId}/polls/${poll.id}`).set(toFirebaseValue(poll));
+    return poll;
+  }
+
+  async updatePoll(chatId, pollId, fields) {
+    await this.getStore().ref(`chats/${chatId}/polls/${pollId}`).update(toFirebaseValue(fields));
+  }
+
+  async getPoll(chatId, pollId) {
+    const snapshot = await this.getStore().ref(`chats/${chatId}/polls/${pollId}`).once('value');
+    return snapshot.exists() ? snapshot.val() : null;
+  }
+
+  async listPolls(chatId) {
+    const snapshot = await this.getStore().ref(`chats/${chatId}/polls`).once('value');
+    const polls = [];
+    snapshot.forEach(child => {
+      polls.push(child.val());
+    });
+    return polls;
+  }
+
+  // One vote per voter; voting again replaces the earlier ballot
+  async saveVote(chatId, pollId, vote) {
+    await this.getStore()
+      .ref(`chats/${chatId}/polls/${pollId}/votes/${sanitizeKey(vote.voter)}`)
+      .set(toFirebaseValue(vote));
+  }
+
+  // Bot replies go into the chat itself so every member sees them; bot: true keeps
+  // them out of getChatMessages and so out of later analyses. Returns the new message's key.
+  async postBotMessage(chatId, message) {
+    const ref = this.getStore().ref(`chats/${chatId}/messages`).push();
+    await ref.set(toFirebaseValue({ ...message, bot: true, timestamp: Date.now() }));
+    console.log(`🤖 Posted bot reply to: ${chatId}`);
+    return ref.key;
+  }
+
+  // The group's meeting area, chats/{chatId}/location: { latitude, longitude, city? }
+  async getChatLocation(chatId) {
+    const snapshot = await this.getStore().ref(`chats/${chatId}/location`).once('value');
+    const location = snapshot.exists() ? snapshot.val() : null;
+    return location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude) ? location : null;
+  }
+
+  // Members are listed as chats/{chatId}/members/{uid}: true (or a profile object)
+  async isChatMember(chatId, uid) {
+    if (!uid) return false;
+    const snapshot = await this.getStore().ref(`chats/${chatId}/members/${sanitizeKey(uid)}`).once('value');
+    return snapshot.exists() && snapshot.val() !== false;
+  }
+
+  // Watch history lives at chats/{chatId}/history or users/{userId}/movieHistory
+  historyPath(scope, ownerId) {
+    return scope === 'user' ? `users/${ownerId}/movieHistory` : `chats/${ownerId}/history`;
+  }
+
+  async getHistory(scope, ownerId) {
+    const snapshot = await this.getStore().ref(this.historyPath(scope, ownerId)).once('value');
+    const entries = [];
+    snapshot.forEach(child => {
+      entries.push(child.val());
+    });
+    return entries;
+  }
+
+  async saveHistoryEntry(scope, ownerId, entry) {
+    await this.getStore()
+      .ref(`${this.historyPath(scope, ownerId)}/${sanitizeKey(entry.movieId)}`)
+      .set(toFirebaseValue(entry));
+  }
+
+  async removeHistoryEntry(scope, ownerId, movieId) {
+    await this.getStore().ref(`${this.historyPath(scope, ownerId)}/${sanitizeKey(movieId)}`).remove();
+  }
+
   getMockMessages(chatId) {
     console.log(`🎭 Using mock data for: ${chatId}`);
     
@@ -109,4 +254,4 @@ class FirebaseService {
 }
 
 // ✅ Correct export - create instance
-module.exports = new FirebaseService();
\ No newline at end of file
+module.exports = new FirebaseService();
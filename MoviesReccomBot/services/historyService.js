@@ -0,0 +1,67 @@
+const firebaseService = require('./firebaseService');
+const { HISTORY_STATUSES, buildHistoryRules } = require('../utils/watchHistory');
+
+// Reactions clients can send on a suggestion card, and the history status each records
+const REACTIONS = {
+  seen_it: 'watched',
+  not_interested: 'dismissed',
+  thumbs_down: 'disliked'
+};
+
+// Per-chat and per-user record of watched, dismissed and disliked movies
+class HistoryService {
+  // Record for the user when userId is given, otherwise for the whole chat
+  async record(chatId, { movieId, title = null, status, userId = null }) {
+    const entry = {
+      movieId: Number(movieId),
+      title,
+      status,
+      chatId,
+      userId,
+      recordedAt: Date.now()
+    };
+
+    if (userId) await firebaseService.saveHistoryEntry('user', userId, entry);
+    else await firebaseService.saveHistoryEntry('chat', chatId, entry);
+
+    console.log(`📝 Recorded ${status} for movie ${movieId} (${userId ? `user ${userId}` : `chat ${chatId}`})`);
+    return entry;
+  }
+
+  // A reaction on a suggestion card feeds the same store
+  async react(chatId, { movieId, title, reaction, userId = null }) {
+    return this.record(chatId, { movieId, title, status: REACTIONS[reaction], userId });
+  }
+
+  async remove(chatId, movieId, userId = null) {
+    if (userId) await firebaseService.removeHistoryEntry('user', userId, movieId);
+    else await firebaseService.removeHistoryEntry('chat', chatId, movieId);
+  }
+
+  async getChatHistory(chatId) {
+    return firebaseService.getHistory('chat', chatId);
+  }
+
+  async getUserHistory(userId) {
+    return firebaseService.getHistory('user', userId);
+  }
+
+  // Ranking rules for a chat and the members taking part in it
+  async getRules(chatId, userIds = []) {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))];
+    const [chatHistory, ...userEntries] = await Promise.all([
+      chatId ? this.getChatHistory(chatId) : [],
+      ...uniqueIds.map(userId => this.getUserHistory(userId))
+    ]);
+
+    const userHistories = {};
+    uniqueIds.forEach((userId, index) => {
+      userHistories[userId] = userEntries[index];
+    });
+
+    return buildHistoryRules(chatHistory, userHistories);
+  }
+}
+
+module.exports = new HistoryService();
+module.exports.REACTIONS = REACTIONS;
@@ -0,0 +1,193 @@
+const path = require('path');
+const { readDataset } = require('../tmdbApi/dataset');
+const { resolveGenreIds } = require('../utils/genres');
+const { matchesFilters } = require('../utils/movieFilters');
+const { buildSimilarityIndex, findSimilar, normalizeTitle } = require('../utils/movieSimilarity');
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, '..', 'tmdbApi', 'movies_dataset.csv');
+
+const toNumber = (value, fallback = 0) => {
+  const number = Number(value);
+  return value === '' || value === undefined || Number.isNaN(number) ? fallback : number;
+};
+
+// CSV rows arrive pipe-separated, JSON Lines rows as arrays
+const splitPipe = (value) => {
+  if (Array.isArray(value)) return value;
+  return value ? String(value).split('|').filter(Boolean) : [];
+};
+
+class LocalCatalogService {
+  constructor(datasetPath = process.env.MOVIES_DATASET_PATH || DEFAULT_DATASET_PATH) {
+    this.datasetPath = datasetPath;
+    this.movies = [];
+    this.byId = new Map();
+    this.byGenre = new Map();
+    this.byLanguage = new Map();
+    this.similarityIndex = null;
+    this.loaded = false;
+  }
+
+  // Convert one dataset row into the same shape TMDB's list endpoints return
+  normalizeRow(row) {
+    return {
+      id: toNumber(row.id),
+      title: row.title,
+      release_date: row.release_date || null,
+      vote_average: toNumber(row.rating),
+      vote_count: toNumber(row.vote_count),
+      overview: row.overview || '',
+      poster_path: row.poster_path || null,
+      popularity: toNumber(row.popularity),
+      adult: row.adult === true || row.adult === 'true' || row.adult === '1',
+      original_language: row.original_language || null,
+      genre_ids: splitPipe(row.genre_ids).map(Number),
+      genres: splitPipe(row.genres),
+      runtime: toNumber(row.runtime),
+      budget: toNumber(row.budget),
+      revenue: toNumber(row.revenue),
+      status: row.status || null,
+      tagline: row.tagline || '',
+      director: row.director || null,
+      cast: splitPipe(row.cast),
+      keywords: splitPipe(row.keywords),
+      certification: row.certification || null,
+      source: 'local'
+    };
+  }
+
+  // Parse the dataset and build the genre/language indexes
+  load() {
+    this.movies = [];
+    this.byId.clear();
+    this.byGenre.clear();
+    this.byLanguage.clear();
+    this.similarityIndex = null;
+
+    try {
+      // CSV or JSON Lines, as written by tmdbApi/tmdb_latest_movies.js
+      const rows = readDataset(this.datasetPath);
+
+      rows.forEach(row => {
+        const movie = this.normalizeRow(row);
+        if (!movie.id || !movie.title || this.byId.has(movie.id)) return;
+
+        this.movies.push(movie);
+        this.byId.set(movie.id, movie);
+
+        movie.genre_ids.forEach(genreId => {
+          if (!this.byGenre.has(genreId)) this.byGenre.set(genreId, []);
+          this.byGenre.get(genreId).push(movie);
+        });
+
+        if (movie.original_language) {
+          if (!this.byLanguage.has(movie.original_language)) this.byLanguage.set(movie.original_language, []);
+          this.byLanguage.get(movie.original_language).push(movie);
+        }
+      });
+
+      console.log(`📚 Loaded ${this.movies.length} movies from local catalog`);
+    } catch (error) {
+      console.error('❌ Error loading local movie catalog:', error.message);
+    }
+
+    this.loaded = true;
+    return this.movies;
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  getAll() {
+    this.ensureLoaded();
+    return [...this.movies];
+  }
+
+  getById(id) {
+    this.ensureLoaded();
+    return this.byId.get(Number(id)) || null;
+  }
+
+  // Exact (normalized) title match first, then the shortest title containing the query
+  findByTitle(title) {
+    this.ensureLoaded();
+    const key = normalizeTitle(title);
+    if (!key) return null;
+
+    const exact = this.movies.find(movie => normalizeTitle(movie.title) === key);
+    if (exact) return exact;
+
+    const partial = this.movies
+      .filter(movie => normalizeTitle(movie.title).includes(key))
+      .sort((a, b) => a.title.length - b.title.length);
+    return partial[0] || null;
+  }
+
+  // Content-based neighbours of any movie (from the catalog or from TMDB)
+  findSimilar(movie, limit = 10) {
+    this.ensureLoaded();
+    if (!this.similarityIndex) this.similarityIndex = buildSimilarityIndex(this.movies);
+    return findSimilar(this.similarityIndex, movie, { limit });
+  }
+
+  // Query the catalog; genres accept names ("sci-fi") or TMDB IDs
+  query({
+    genres = [],
+    language = null,
+    minRating = null,
+    maxRuntime = null,
+    minRuntime = null,
+    includeAdult = false,
+    releasedAfter = null,
+    sortBy = 'popularity',
+    limit = null
+  } = {}) {
+    this.ensureLoaded();
+
+    const genreIds = resolveGenreIds(genres);
+
+    // Start from the narrowest index available
+    let candidates = this.movies;
+    if (language) {
+      candidates = this.byLanguage.get(language) || [];
+    }
+    if (genreIds.length > 0) {
+      const inGenres = new Set();
+      genreIds.forEach(id => (this.byGenre.get(id) || []).forEach(movie => inGenres.add(movie)));
+      candidates = candidates.filter(movie => inGenres.has(movie));
+    }
+
+    // Same predicate the TMDB results go through (utils/movieFilters)
+    const results = candidates.filter(movie => {
+      if (!matchesFilters(movie, { minRating, maxRuntime, includeAdult, releasedAfter })) return false;
+      if (minRuntime !== null && movie.runtime < minRuntime) return false;
+      return true;
+    });
+
+    const sorters = {
+      popularity: (a, b) => b.popularity - a.popularity,
+      rating: (a, b) => b.vote_average - a.vote_average,
+      release_date: (a, b) => String(b.release_date).localeCompare(String(a.release_date))
+    };
+    results.sort(sorters[sortBy] || sorters.popularity);
+
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  // Languages and genres available in the catalog, with counts
+  getStats() {
+    this.ensureLoaded();
+    const count = (index) => Object.fromEntries(
+      [...index.entries()].map(([key, movies]) => [key, movies.length])
+    );
+
+    return {
+      totalMovies: this.movies.length,
+      genres: count(this.byGenre),
+      languages: count(this.byLanguage)
+    };
+  }
+}
+
+module.exports = new LocalCatalogService();
\ No newline at end of file
@@ -1,12 +1,33 @@
-const OpenAI = require('openai');
+const { LLMRegistry } = require('../../shared/llm');
+const { detectChatLanguage, MULTILINGUAL_NOTE, LOCALE_NAMES } = require('../../shared/language');
+const {
+  extractMemberPreferences,
+  normalizeMember,
+  deriveGroupGenres
+} = require('../utils/memberPreferences');
+const { extractMentionedMovies } = require('../utils/mentionedMovies');
+const { extractLanguagePreferences, toLanguageCode } = require('../utils/movieLanguages');
+const { moviePreferencesSchema } = require('../utils/llmSchemas');
 require('dotenv').config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Provider and model are configurable per task (LLM_MOVIE_PREFERENCES_PROVIDER,
+// LLM_PROVIDER, ...); OpenAI gpt-3.5-turbo stays the default
+const DEFAULT_LLM = { provider: 'openai', model: 'gpt-3.5-turbo' };
 
 class OpenAIService {
-  async analyzeChatForMoviePreferences(chatMessages) {
+  constructor() {
+    this.llm = new LLMRegistry({
+      defaults: DEFAULT_LLM,
+      mockHandlers: {
+        movie_preferences: ({ context }) => this.fallbackAnalysis(context.messages)
+      }
+    });
+  }
+
+  // `meta.source` is set to 'ai', 'repaired', 'rule-based' or 'fallback'
+  async analyzeChatForMoviePreferences(chatMessages, meta = {}) {
+    const chatLanguage = detectChatLanguage(chatMessages);
+
     try {
       const conversationText = chatMessages
         .map(msg => `${msg.sender}: ${msg.text}`)
@@ -17,6 +38,10 @@ class OpenAIService {
       const prompt = `
       Analyze this group chat conversation and understand what types of movies these people would enjoy together.
       Look for: genre preferences, mood, themes, mentioned actors/directors, and overall vibe.
+      Also record what each person individually likes, dislikes, and hard-vetoes (genres they refuse to watch).
+      List any movie titles they bring up as a reference point ("something like Interstellar") in mentioned_movies, using the official title.
+      ${MULTILINGUAL_NOTE}
+      If they ask for films in a particular language or industry (Bollywood, Marathi, Tamil...), list ISO 639-1 codes in "languages".
       
       Conversation:
       ${conversationText}
@@ -27,41 +52,83 @@ class OpenAIService {
         "themes": ["friendship", "adventure"],
         "mood": "light-hearted",
         "mentioned_movies": [],
-        "summary": "brief summary of what the group wants"
+        "languages": ["hi"],
+        "members": [
+          { "name": "sender name", "likes": ["action"], "dislikes": ["drama"], "vetoes": ["horror"] }
+        ],
+        "summary": "brief summary of what the group wants, written in ${LOCALE_NAMES[chatLanguage.locale]}"
       }
       `;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are a movie expert analyzing group chats to suggest perfect movies. Always respond with valid JSON format only."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
+      const { data, source, provider } = await this.llm.completeJSON('movie_preferences', {
+        system: "You are a movie expert analyzing group chats to suggest perfect movies. Always respond with valid JSON format only.",
+        prompt: prompt,
         temperature: 0.7,
-        max_tokens: 500
+        maxTokens: 800,
+        json: true,
+        context: { messages: chatMessages }
+      }, {
+        schema: moviePreferencesSchema,
+        fallback: () => this.fallbackAnalysis(chatMessages)
       });
 
-      const content = response.choices[0].message.content;
-      console.log("OpenAI Analysis Result:", content);
+      console.log(`LLM Analysis Result (${provider || 'none'}, ${source}):`, data);
       
-      return JSON.parse(content);
+      meta.source = source;
+      return this.withLanguages(this.withMembers(data, chatMessages), chatMessages, chatLanguage);
     } catch (error) {
-      console.error('OpenAI API error:', error);
-      // Fallback analysis
-      return {
-        genres: ["action", "comedy", "drama"],
-        themes: ["adventure", "friendship"],
-        mood: "entertaining",
-        mentioned_movies: [],
-        summary: "Group looking for enjoyable movies together"
-      };
+      console.error('LLM analysis error:', error.message);
+      meta.source = 'fallback';
+      return this.fallbackAnalysis(chatMessages);
+    }
+  }
+
+  // Map LLM language names to TMDB original_language codes (falling back to
+  // the rule-based lexicon) and record the chat's own language for replies
+  withLanguages(analysis, chatMessages, chatLanguage = detectChatLanguage(chatMessages)) {
+    const fromModel = (analysis.languages || []).map(toLanguageCode).filter(Boolean);
+    const languages = fromModel.length > 0 ? fromModel : extractLanguagePreferences(chatMessages);
+
+    return { ...analysis, languages: [...new Set(languages)], chatLanguage };
+  }
+
+  // Make sure every analysis carries normalized per-member preferences
+  withMembers(analysis, chatMessages) {
+    const members = Array.isArray(analysis.members) && analysis.members.length > 0
+      ? analysis.members.map(normalizeMember)
+      : extractMemberPreferences(chatMessages);
+
+    return { ...analysis, members };
+  }
+
+  // Rule-based analysis used when OpenAI is unavailable
+  fallbackAnalysis(chatMessages) {
+    const members = extractMemberPreferences(chatMessages);
+    const genres = deriveGroupGenres(members);
+    const mentionedMovies = extractMentionedMovies(chatMessages);
+
+    // Generic genres would drown out a "something like X" request, so only default when there's neither
+    const defaultGenres = mentionedMovies.length > 0 ? [] : ["action", "comedy", "drama"];
+
+    return {
+      genres: genres.length > 0 ? genres : defaultGenres,
+      themes: ["adventure", "friendship"],
+      mood: "entertaining",
+      mentioned_movies: mentionedMovies,
+      languages: extractLanguagePreferences(chatMessages),
+      chatLanguage: detectChatLanguage(chatMessages),
+      members,
+      summary: this.fallbackSummary(genres, mentionedMovies)
+    };
+  }
+
+  fallbackSummary(genres, mentionedMovies) {
+    if (mentionedMovies.length > 0) {
+      return `Group looking for movies like ${mentionedMovies.join(', ')}`;
     }
+    return genres.length > 0
+      ? `Group looking for ${genres.join(', ').toLowerCase()} movies together`
+      : "Group looking for enjoyable movies together";
   }
 }
 
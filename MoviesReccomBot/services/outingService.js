@@ -0,0 +1,100 @@
+const suggestionService = require('./suggestionService');
+const placeServiceClient = require('./placeServiceClient');
+const { detectOutingIntent, OUTING_KINDS } = require('../utils/outingIntent');
+const { detectChatLanguage } = require('../../shared/language');
+const { ApiError, errorEnvelope } = require('../../shared/errors');
+
+// Google place types that answer "where do we eat"; every other place is an activity
+const FOOD_TYPES = ['restaurant', 'food', 'cafe', 'bar', 'bakery', 'meal_takeaway', 'meal_delivery'];
+
+const isFoodPlace = (place) => (place.types || []).some(type => FOOD_TYPES.includes(type));
+
+// An engine failure as it appears in the plan's `errors`, in the shared envelope
+const engineError = (engine, error) => {
+  const { success, ...envelope } = errorEnvelope(error);
+  return { engine, ...envelope };
+};
+
+// Outing gateway: reads one chat, works out whether the group wants a movie,
+// food, an activity or a mix, and asks the movie and place engines for each part
+class OutingService {
+  // Returns { plan, errors }; throws only when every engine that was asked failed.
+  // `kinds` forces the parts to plan (e.g. ['food'] for the bot's /eat) instead of detecting them.
+  async planOuting(chatMessages, {
+    kinds: requestedKinds = null,
+    chatId = null,
+    location = null,
+    radius = 5000,
+    strategy,
+    limit = 3,
+    refresh = false,
+    authorization = null
+  } = {}) {
+    const intent = detectOutingIntent(chatMessages);
+    // No clear signal: ask both engines and let their own analyses decide
+    const detectedKinds = intent.kinds.length > 0 ? intent.kinds : OUTING_KINDS;
+    const kinds = requestedKinds && requestedKinds.length > 0
+      ? OUTING_KINDS.filter(kind => requestedKinds.includes(kind))
+      : detectedKinds;
+    const wantsPlaces = kinds.includes('food') || kinds.includes('activity');
+    const errors = [];
+
+    const attempt = (engine, run) => run().catch(error => {
+      console.error(`❌ Outing ${engine} engine failed:`, error.message);
+      errors.push(engineError(engine, error));
+      return null;
+    });
+
+    if (wantsPlaces && !location) {
+      errors.push(engineError('places', new ApiError(400, 'Send the group\'s location to get food and activity suggestions', { code: 'LOCATION_REQUIRED' })));
+    }
+
+    console.log(`🧭 Planning outing (${kinds.join(' + ')})${chatId ? ` for chat ${chatId}` : ''}`);
+
+    const [movies, places] = await Promise.all([
+      kinds.includes('movie')
+        ? attempt('movies', () => suggestionService.getSuggestions(chatMessages, { chatId, strategy, limit, refresh }))
+        : null,
+      wantsPlaces && location
+        ? attempt('places', () => placeServiceClient.getRecommendations(chatMessages, { location, radius, refresh, authorization }))
+        : null
+    ]);
+
+    if (!movies && !places) {
+      const failure = errors.find(error => error.code !== 'LOCATION_REQUIRED') || errors[0];
+      throw new ApiError(failure.code === 'LOCATION_REQUIRED' ? 400 : 502, failure.message, { code: failure.code });
+    }
+
+    return {
+      plan: {
+        kinds,
+        intent,
+        language: detectChatLanguage(chatMessages).locale,
+        movies: movies ? this.movieSection(movies.value) : null,
+        food: places && kinds.includes('food') ? this.placeSection(places, isFoodPlace, limit) : null,
+        activities: places && kinds.includes('activity')
+          ? { ...this.placeSection(places, place => !isFoodPlace(place), limit), ideas: places.activities || [] }
+          : null
+      },
+      errors
+    };
+  }
+
+  movieSection({ suggestions, analysis, aiSources }) {
+    return {
+      summary: analysis.summary || '',
+      suggestions,
+      aiSources
+    };
+  }
+
+  placeSection({ places = [], analysis = {}, metadata = {} }, predicate, limit) {
+    return {
+      summary: analysis.summary || '',
+      places: places.filter(predicate).slice(0, limit),
+      aiSources: metadata.aiSources || {}
+    };
+  }
+}
+
+module.exports = new OutingService();
@@ -0,0 +1,56 @@
+const axios = require('axios');
+const { ApiError } = require('../../shared/errors');
+const { toPlaceMessages } = require('../../shared/chat');
+require('dotenv').config();
+
+// The place service runs the LLM analysis, Google Places search and personalization
+// in one request, so it gets a generous timeout
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// HTTP client for place-suggestion-service, used by the outing gateway
+class PlaceServiceClient {
+  constructor() {
+    this.baseURL = (process.env.PLACE_SERVICE_URL || 'http://localhost:3001').replace(/\/+$/, '');
+    this.timeoutMs = parseInt(process.env.PLACE_SERVICE_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    // Used when there is no user token to forward (e.g. chat bot commands)
+    this.serviceKey = process.env.SERVICE_API_KEY || null;
+  }
+
+  // POST /api/recommendations with the chat in the place service's message shape,
+  // forwarding the caller's Authorization header, or the service key without one.
+  // Returns its `data`: { analysis, recommendations, places, activities, metadata }
+  async getRecommendations(chatMessages, { location, radius = 5000, refresh = false, authorization = null }) {
+    const credentials = authorization || (this.serviceKey ? `Bearer ${this.serviceKey}` : null);
+
+    try {
+      const response = await axios.post(`${this.baseURL}/api/recommendations`, {
+        messages: toPlaceMessages(chatMessages),
+        location,
+        radius
+      }, {
+        params: refresh ? { refresh: 'true' } : {},
+        headers: credentials ? { Authorization: credentials } : {},
+        timeout: this.timeoutMs
+      });
+
+      return response.data.data;
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  // Keep the place service's own message when it answered, otherwise say why it could not be reached
+  toApiError(error) {
+    const body = error.response && error.response.data;
+    if (body && (body.message || body.error)) {
+      const details = body.details ? `: ${body.details.join('; ')}` : '';
+      return ApiError.upstream('places', `${body.message || body.error}${details}`);
+    }
+    if (error.code === 'ECONNABORTED') {
+      return ApiError.upstream('places', `no response within ${this.timeoutMs}ms`);
+    }
+    return ApiError.upstream('places', `unreachable at ${this.baseURL} (${error.code || error.message})`);
+  }
+}
+
+module.exports = new PlaceServiceClient();
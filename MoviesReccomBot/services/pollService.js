@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const firebaseService = require('./firebaseService');
+const { tally } = require('../utils/voting');
+const { ApiError } = require('../../shared/errors');
+
+// Poll problems the caller can fix; sent in the shared error envelope
+class PollError extends ApiError {
+  constructor(message, status = 400, options = {}) {
+    super(status, message, options);
+    this.name = 'PollError';
+  }
+}
+
+// Turn a TMDB movie or a Places result into a poll option
+function toPollOption(type, item) {
+  if (type === 'movie') {
+    return {
+      id: `movie:${item.id}`,
+      kind: 'movie',
+      label: item.title,
+      details: {
+        id: item.id,
+        title: item.title,
+        poster_path: item.poster_path || null,
+        release_date: item.release_date || null,
+        vote_average: item.vote_average || null
+      }
+    };
+  }
+
+  return {
+    id: `place:${item.place_id}`,
+    kind: 'place',
+    label: item.name,
+    details: {
+      place_id: item.place_id,
+      name: item.name,
+      address: item.formatted_address || item.vicinity || null,
+      rating: item.rating || null,
+      price_level: item.price_level || null
+    }
+  };
+}
+
+// Group polls over movie suggestions or place results
+class PollService {
+  async createPoll(chatId, { type, method = 'approval', question, options, createdBy = null }) {
+    let items = options;
+
+    // No explicit options: poll the suggestions last posted to the chat
+    if (!items || items.length === 0) {
+      const posted = type === 'movie' ? await firebaseService.getSuggestions(chatId) : null;
+      items = posted && posted.suggestions ? posted.suggestions : [];
+    }
+
+    const pollOptions = [];
+    items.forEach(item => {
+      const option = toPollOption(type, item);
+      if (!pollOptions.some(existing => existing.id === option.id)) pollOptions.push(option);
+    });
+
+    if (pollOptions.length < 2) {
+      throw new PollError('A poll needs at least two distinct options');
+    }
+
+    const poll = {
+      id: crypto.randomUUID(),
+      chatId,
+      type,
+      method,
+      question: question || (type === 'movie' ? 'Which movie should we watch?' : 'Where should we go?'),
+      options: pollOptions,
+      status: 'open',
+      createdBy,
+      createdAt: Date.now(),
+      closedAt: null,
+      result: null
+    };
+
+    await firebaseService.savePoll(chatId, poll);
+    console.log(`🗳️ Created ${method} poll ${poll.id} for chat ${chatId}`);
+    return this.present(poll);
+  }
+
+  async getPoll(chatId, pollId) {
+    const poll = await firebaseService.getPoll(chatId, pollId);
+    if (!poll) throw new PollError('Poll not found', 404);
+    return poll;
+  }
+
+  async listPolls(chatId) {
+    const polls = await firebaseService.listPolls(chatId);
+    return polls.map(poll => this.present(poll));
+  }
+
+  async castVote(chatId, pollId, { voter, approvals, ranking }) {
+    const poll = await this.getPoll(chatId, pollId);
+    if (poll.status !== 'open') throw new PollError('Poll is closed', 409, { code: 'POLL_CLOSED' });
+
+    const choices = poll.method === 'ranked' ? ranking : approvals;
+    if (!choices || choices.length === 0) {
+      throw new PollError(poll.method === 'ranked'
+        ? 'Ranked polls need a "ranking" of option IDs'
+        : 'Approval polls need "approvals" with at least one option ID');
+    }
+
+    const validIds = new Set(poll.options.map(option => option.id));
+    const unknown = choices.filter(optionId => !validIds.has(optionId));
+    if (unknown.length > 0) {
+      throw new PollError(`Unknown option IDs: ${unknown.join(', ')}`);
+    }
+
+    const vote = { voter, votedAt: Date.now() };
+    if (poll.method === 'ranked') vote.ranking = [...new Set(ranking)];
+    else vote.approvals = [...new Set(approvals)];
+
+    await firebaseService.saveVote(chatId, pollId, vote);
+    return this.present(await this.getPoll(chatId, pollId));
+  }
+
+  async closePoll(chatId, pollId) {
+    const poll = await this.getPoll(chatId, pollId);
+    if (poll.status !== 'open') throw new PollError('Poll is already closed', 409, { code: 'POLL_CLOSED' });
+
+    const result = tally(poll.method, poll.options, Object.values(poll.votes || {}));
+    const closedAt = Date.now();
+
+    await firebaseService.updatePoll(chatId, pollId, { status: 'closed', closedAt, result });
+    console.log(`🏁 Closed poll ${pollId}: ${result.winner ? result.winner.label : 'no winner'}`);
+    return this.present({ ...poll, status: 'closed', closedAt, result });
+  }
+
+  // Votes are summarized (who voted, live tally) rather than returned as stored
+  present(poll) {
+    const votes = Object.values(poll.votes || {});
+    const rest = { ...poll };
+    delete rest.votes;
+
+    return {
+      ...rest,
+      voters: votes.map(vote => vote.voter),
+      tally: poll.result || tally(poll.method, poll.options, votes)
+    };
+  }
+}
+
+module.exports = new PollService();
+module.exports.PollError = PollError;
@@ -0,0 +1,66 @@
+const openAIService = require('./openAIService');
+const tmdbService = require('./tmdbService');
+const cacheService = require('./cacheService');
+const historyService = require('./historyService');
+const { DEFAULT_STRATEGY } = require('../utils/groupAggregation');
+const { MAX_PAGE } = require('../utils/movieFilters');
+const { explainMovies } = require('../utils/explanations');
+const { normalizeMessages, hashKey } = require('../../shared/cache');
+
+// Fallback results are not cached, so the next request retries the LLM
+const isCacheable = (result) => result.aiSources.analysis !== 'fallback';
+
+// Chat analysis -> ranked movies, shared by the REST routes and the chat watcher
+class SuggestionService {
+  // Chat analysis only depends on the messages, so it is cached on its own and
+  // shared by every strategy and limit
+  async analyzeChat(chatMessages, { refresh = false } = {}) {
+    const messages = normalizeMessages(chatMessages);
+    const { value } = await cacheService.wrap(hashKey('movie-analysis', { messages }), async () => {
+      const meta = {};
+      const analysis = await openAIService.analyzeChatForMoviePreferences(chatMessages, meta);
+      return { analysis, aiSources: { analysis: meta.source } };
+    }, { refresh, cacheIf: isCacheable });
+
+    return value;
+  }
+
+  // Analysis plus one page of ranked movies. The ranking is cached once for every
+  // page, on the messages, strategy, page size, filters and the chat's watch history
+  // (so recording a "seen it" changes the cache key); each page is a slice of it,
+  // so pages never repeat or skip movies and `total` is the same on every page.
+  // `filters` are the catalog filters from utils/movieFilters.
+  // Returns the cache result: { value: { suggestions, analysis, aiSources, pagination }, status, key }
+  async getSuggestions(chatMessages, {
+    chatId = null,
+    strategy = DEFAULT_STRATEGY,
+    limit = 4,
+    page = 1,
+    filters = {},
+    refresh = false
+  } = {}) {
+    const messages = normalizeMessages(chatMessages);
+    const history = await historyService.getRules(chatId, chatMessages.map(msg => msg.senderId));
+
+    const cached = await cacheService.wrap(hashKey('movie-ranking', { messages, strategy, limit, filters, history }), async () => {
+      const { analysis, aiSources } = await this.analyzeChat(chatMessages, { refresh });
+      const ranked = await tmdbService.getRankedMovies(analysis, { strategy, history, filters, limit });
+      return { ranked: ranked.slice(0, limit * MAX_PAGE), analysis, aiSources };
+    }, { refresh, cacheIf: isCacheable });
+
+    const { ranked, analysis, aiSources } = cached.value;
+    const start = (page - 1) * limit;
+
+    return {
+      ...cached,
+      value: {
+        suggestions: explainMovies(ranked.slice(start, start + limit), analysis, chatMessages),
+        analysis,
+        aiSources,
+        pagination: { page, limit, total: ranked.length, hasMore: start + limit < ranked.length }
+      }
+    };
+  }
+}
+
+module.exports = new SuggestionService();
@@ -1,81 +1,228 @@
 const axios = require('axios');
+const { rankMovies } = require('../utils/movieScoring');
+const { aggregateForGroup, DEFAULT_STRATEGY } = require('../utils/groupAggregation');
+const { applyHistory } = require('../utils/watchHistory');
+const { applySimilarity } = require('../utils/movieSimilarity');
+const { MAX_PAGE, hasCatalogFilters, matchesFilters } = require('../utils/movieFilters');
+const { applyLanguagePreference } = require('../utils/movieLanguages');
+const localCatalogService = require('./localCatalogService');
 require('dotenv').config();
 
+const TMDB_PAGE_SIZE = 20;
+const MAX_TMDB_PAGES = 5;
+
+// How far back "latest" reaches when filters switch us from now_playing to discover
+const NOW_PLAYING_WINDOW_DAYS = 45;
+
+// Enough candidates to fill every page after filtering and vetoes. It does not
+// depend on the page asked for, so all pages are slices of one ranking.
+const candidatePoolSize = (limit) => Math.max(TMDB_PAGE_SIZE, limit * MAX_PAGE * 3);
+
 class TMDbService {
   constructor() {
     this.apiKey = process.env.TMDB_API_KEY;
     this.baseURL = 'https://api.themoviedb.org/3';
   }
 
-  // Get latest movies (fallback to local data if API fails)
-  async getLatestMovies() {
+  // TMDB discover parameters equivalent to the catalog filters (utils/movieFilters)
+  toDiscoverParams(filters) {
+    const windowStart = new Date(Date.now() - NOW_PLAYING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const params = {
+      include_adult: Boolean(filters.includeAdult),
+      sort_by: 'popularity.desc',
+      'release_date.gte': filters.releasedAfter || windowStart.toISOString().slice(0, 10),
+      'release_date.lte': new Date().toISOString().slice(0, 10),
+      with_release_type: '2|3'
+    };
+    if (filters.language) params.with_original_language = filters.language;
+    if (filters.minRating !== undefined) params['vote_average.gte'] = filters.minRating;
+    if (filters.maxRuntime !== undefined) params['with_runtime.lte'] = filters.maxRuntime;
+    return params;
+  }
+
+  // Get latest movies (fallback to local data if API fails). With filters the
+  // same query runs against TMDB discover or the local catalog.
+  async getLatestMovies(limit = 20, filters = {}) {
     try {
       console.log("Fetching from TMDB API...");
-      const response = await axios.get(`${this.baseURL}/movie/now_playing`, {
-        params: {
-          api_key: this.apiKey,
-          region: 'IN',
-          page: 1
-        }
-      });
-      
-      const movies = response.data.results.slice(0, 10); // Get top 10
-      console.log(`Found ${movies.length} movies from TMDB`);
-      return movies;
+      const endpoint = hasCatalogFilters(filters) ? 'discover/movie' : 'movie/now_playing';
+      const pages = Math.min(MAX_TMDB_PAGES, Math.ceil(limit / TMDB_PAGE_SIZE));
+      const movies = [];
+
+      for (let page = 1; page <= pages; page++) {
+        const response = await axios.get(`${this.baseURL}/${endpoint}`, {
+          params: {
+            api_key: this.apiKey,
+            region: filters.region || 'IN',
+            page,
+            ...(endpoint === 'discover/movie' ? this.toDiscoverParams(filters) : {})
+          }
+        });
+
+        movies.push(...response.data.results);
+        if (page >= response.data.total_pages) break;
+      }
+
+      const filtered = movies.filter(movie => matchesFilters(movie, filters)).slice(0, limit);
+      console.log(`Found ${filtered.length} movies from TMDB`);
+      return filtered;
       
     } catch (error) {
       console.log('TMDB API failed, using local data...');
-      return this.getLocalMovies();
+      return this.getLocalMovies({ ...filters, limit });
     }
   }
 
-  // Get local movies from your dataset
-  async getLocalMovies() {
+  // Get local movies from the offline catalog (tmdbApi/movies_dataset.csv)
+  async getLocalMovies(filters = {}) {
     try {
-      // For now, return sample movies - we'll enhance this later
-      return [
-        {
-          id: 1,
-          title: "Sample Action Movie",
-          overview: "An exciting action adventure",
-          genre_ids: [28, 12],
-          release_date: "2024-01-01",
-          vote_average: 7.5,
-          poster_path: "/sample-poster.jpg"
-        },
-        {
-          id: 2, 
-          title: "Sample Comedy Film",
-          overview: "A hilarious comedy for everyone",
-          genre_ids: [35, 10749],
-          release_date: "2024-01-02",
-          vote_average: 8.0,
-          poster_path: "/comedy-poster.jpg"
-        }
-      ];
+      return localCatalogService.query(filters);
     } catch (error) {
       console.error('Error getting local movies:', error);
       return [];
     }
   }
 
-  // Filter movies based on preferences
-  async getMoviesByPreferences(preferences, limit = 5) {
-    const allMovies = await this.getLatestMovies();
-    
-    // Simple matching logic for now
-    const filteredMovies = allMovies.filter(movie => {
-      const genreMatch = preferences.genres && preferences.genres.length > 0;
-      const themeMatch = preferences.themes && preferences.themes.some(theme => 
-        movie.overview.toLowerCase().includes(theme.toLowerCase())
-      );
-      
-      return genreMatch || themeMatch;
+  // Look a title up on TMDB, falling back to the local catalog
+  async findMovieByTitle(title) {
+    try {
+      const response = await axios.get(`${this.baseURL}/search/movie`, {
+        params: {
+          api_key: this.apiKey,
+          query: title,
+          include_adult: false,
+          page: 1
+        }
+      });
+
+      const [match] = response.data.results;
+      if (match) return match;
+    } catch (error) {
+      console.log(`TMDB search failed for "${title}", checking local data...`);
+    }
+
+    return localCatalogService.findByTitle(title);
+  }
+
+  // TMDB recommendations and similar titles for a movie, as [{ movie, similarity }].
+  // TMDB gives no score, so similarity falls from 1 to 0.5 down each list.
+  async getRelatedMovies(movieId) {
+    const related = new Map();
+
+    for (const endpoint of ['recommendations', 'similar']) {
+      try {
+        const response = await axios.get(`${this.baseURL}/movie/${movieId}/${endpoint}`, {
+          params: { api_key: this.apiKey, page: 1 }
+        });
+
+        const results = response.data.results || [];
+        results.forEach((movie, index) => {
+          const similarity = Math.round((1 - (index / results.length) * 0.5) * 1000) / 1000;
+          if (!related.has(movie.id) || related.get(movie.id).similarity < similarity) {
+            related.set(movie.id, { movie, similarity });
+          }
+        });
+      } catch (error) {
+        console.log(`TMDB ${endpoint} failed for movie ${movieId}`);
+      }
+    }
+
+    return [...related.values()].sort((a, b) => b.similarity - a.similarity);
+  }
+
+  // Expand titles mentioned in chat ("something like Interstellar") into related
+  // movies, each tagged with likeThis: { seed, similarity, via: 'tmdb' | 'content' }.
+  // Offline, or when TMDB has nothing, the local catalog's content similarity is used.
+  async getMoreLikeThis(titles = [], limit = 10) {
+    const seeds = [];
+    const unresolved = [];
+    const related = new Map();
+
+    for (const title of titles) {
+      const seed = await this.findMovieByTitle(title);
+      if (!seed) {
+        unresolved.push(title);
+        continue;
+      }
+      seeds.push({ query: title, id: seed.id, title: seed.title, source: seed.source || 'tmdb' });
+
+      let via = 'tmdb';
+      let matches = seed.source === 'local' ? [] : await this.getRelatedMovies(seed.id);
+      if (matches.length === 0) {
+        // Cosine scores run much lower than TMDB's; scale so the closest match is 1
+        via = 'content';
+        matches = localCatalogService.findSimilar(seed, limit);
+        const top = matches.length > 0 ? matches[0].similarity : 1;
+        matches = matches.map(({ movie, similarity }) => ({
+          movie,
+          similarity: Math.round((similarity / top) * 1000) / 1000
+        }));
+      }
+
+      matches.slice(0, limit).forEach(({ movie, similarity }) => {
+        const existing = related.get(movie.id);
+        if (!existing || existing.likeThis.similarity < similarity) {
+          related.set(movie.id, { ...movie, likeThis: { seed: seed.title, similarity, via } });
+        }
+      });
+    }
+
+    // The group already knows the movies they named
+    const seedIds = new Set(seeds.map(seed => seed.id));
+    const movies = [...related.values()].filter(movie => !seedIds.has(movie.id));
+
+    if (titles.length > 0) {
+      console.log(`🔗 ${movies.length} movies like ${seeds.map(seed => seed.title).join(', ') || 'nothing found'}`);
+    }
+    return { seeds, unresolved, movies };
+  }
+
+  // Rank movies by how well they match the preferences; with per-member
+  // preferences the group strategy decides the final order. Movies like the
+  // ones mentioned in chat join the pool and get a boost (utils/movieSimilarity);
+  // `options.history` (see utils/watchHistory) excludes or down-ranks titles the group has seen.
+  async getMoviesByPreferences(preferences, limit = 5, options = {}) {
+    const ranked = await this.getRankedMovies(preferences, { ...options, limit });
+    return ranked.slice(0, limit);
+  }
+
+  // Every candidate in ranked order. `options.filters` (utils/movieFilters)
+  // apply to both catalogs; `limit` (the page size) only sizes the candidate pool.
+  // Languages the chat asked for are boosted unless ?language= already filters.
+  async getRankedMovies(preferences, options = {}) {
+    const filters = options.filters || {};
+    const languages = filters.language ? [] : (preferences.languages || []);
+    const poolSize = candidatePoolSize(options.limit || 5);
+    const latestMovies = await this.getLatestMovies(poolSize, filters);
+    const moreLikeThis = await this.getMoreLikeThis(preferences.mentioned_movies || []);
+
+    // Related movies replace their plain copies so they keep the likeThis tag
+    const seedIds = new Set(moreLikeThis.seeds.map(seed => seed.id));
+    const candidates = new Map();
+    [...moreLikeThis.movies, ...latestMovies].forEach(movie => {
+      if (seedIds.has(movie.id) || candidates.has(movie.id) || !matchesFilters(movie, filters)) return;
+      candidates.set(movie.id, movie);
     });
+    const allMovies = [...candidates.values()];
+
+    if (preferences.members && preferences.members.length > 0) {
+      const strategy = options.strategy || DEFAULT_STRATEGY;
+      const groupRanked = aggregateForGroup(rankMovies(allMovies, preferences), preferences.members, preferences, strategy);
+      const boosted = applyLanguagePreference(applySimilarity(groupRanked, 'groupScore'), languages, 'groupScore');
+      return applyHistory(boosted, options.history, 'groupScore');
+    }
+
+    const boosted = applyLanguagePreference(applySimilarity(rankMovies(allMovies, preferences)), languages);
+    const rankedMovies = applyHistory(boosted, options.history);
+
+    // When genres or reference movies were given, prefer movies that match them
+    const hasGenres = preferences.genres && preferences.genres.length > 0;
+    const matching = hasGenres || moreLikeThis.movies.length > 0
+      ? rankedMovies.filter(movie => movie.matchedSignals.genres.length > 0 || movie.likeThis || movie.languageMatch)
+      : rankedMovies;
+    const rest = rankedMovies.filter(movie => !matching.includes(movie));
 
-    return filteredMovies.slice(0, limit).length > 0 
-      ? filteredMovies.slice(0, limit) 
-      : allMovies.slice(0, limit); // Fallback to all movies if no matches
+    return [...matching, ...rest];
   }
 }
 
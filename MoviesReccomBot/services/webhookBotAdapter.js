@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+// Generic webhook adapter for chat platforms (Slack-, Telegram- or Discord-style
+// relays). The platform POSTs each message to /api/bot/webhook signed with
+// BOT_WEBHOOK_SECRET; the reply goes back in the response, or to
+// BOT_WEBHOOK_REPLY_URL when that is configured.
+class WebhookBotAdapter {
+  constructor() {
+    this.secret = process.env.BOT_WEBHOOK_SECRET || null;
+    // Fixed in config on purpose: never post to a URL taken from the request
+    this.replyUrl = process.env.BOT_WEBHOOK_REPLY_URL || null;
+    this.timeoutMs = parseInt(process.env.BOT_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    // How far X-Bot-Timestamp may be from our clock, either way
+    this.toleranceSeconds = parseInt(process.env.BOT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+    // Signatures already accepted, until their timestamp leaves the window
+    this.seen = new Map();
+  }
+
+  isConfigured() {
+    return Boolean(this.secret);
+  }
+
+  // sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+  sign(timestamp, body) {
+    const hmac = crypto.createHmac('sha256', this.secret).update(`${timestamp}.`).update(body);
+    return `sha256=${hmac.digest('hex')}`;
+  }
+
+  // Check X-Bot-Signature and X-Bot-Timestamp (Unix seconds). Returns null when the
+  // request is genuine and fresh, otherwise why it was rejected. A signed request
+  // is accepted once: stale timestamps and repeats within the window are replays.
+  verifyRequest(rawBody, signature, timestamp, now = Date.now()) {
+    if (!this.secret || !rawBody || typeof signature !== 'string') {
+      return 'Missing or invalid X-Bot-Signature';
+    }
+    if (typeof timestamp !== 'string' || !/^\d{1,12}$/.test(timestamp)) {
+      return 'Missing or invalid X-Bot-Timestamp';
+    }
+
+    const expected = Buffer.from(this.sign(timestamp, rawBody));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return 'Missing or invalid X-Bot-Signature';
+    }
+
+    const nowSeconds = Math.floor(now / 1000);
+    if (Math.abs(nowSeconds - Number(timestamp)) > this.toleranceSeconds) {
+      return `X-Bot-Timestamp is more than ${this.toleranceSeconds} seconds from the server clock`;
+    }
+
+    this.forgetExpired(nowSeconds);
+    if (this.seen.has(signature)) return 'This webhook was already delivered';
+    this.seen.set(signature, Number(timestamp) + this.toleranceSeconds);
+    return null;
+  }
+
+  forgetExpired(nowSeconds) {
+    this.seen.forEach((expiresAt, signature) => {
+      if (expiresAt < nowSeconds) this.seen.delete(signature);
+    });
+  }
+
+  // POST the reply to the platform, signed the same way as incoming webhooks
+  async deliver({ chatId, replyTo, command, reply }) {
+    const body = JSON.stringify({ chatId, replyTo, command, text: reply.text, cards: reply.cards });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    try {
+      await axios.post(this.replyUrl, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Bot-Timestamp': timestamp,
+          'X-Bot-Signature': this.sign(timestamp, body)
+        },
+        timeout: this.timeoutMs
+      });
+      console.log(`📤 Delivered /${command} reply for chat ${chatId}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Could not deliver bot reply for chat ${chatId}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new WebhookBotAdapter();
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const { stringify } = require("csv-stringify/sync");
+
+// Column order of the exported dataset; the first 17 match the original export
+const COLUMNS = [
+  'id',
+  'title',
+  'release_date',
+  'rating',
+  'vote_count',
+  'overview',
+  'poster_path',
+  'popularity',
+  'adult',
+  'original_language',
+  'genre_ids',
+  'genres',
+  'runtime',
+  'budget',
+  'revenue',
+  'status',
+  'tagline',
+  'director',
+  'cast',
+  'keywords',
+  'certification',
+  'lists',
+  'fetched_at'
+];
+
+// Columns held as arrays in memory and JSON Lines, pipe-separated in CSV
+const LIST_COLUMNS = ['genre_ids', 'genres', 'cast', 'keywords', 'lists'];
+
+function detectFormat(filePath, format) {
+  if (format) return format;
+  return /\.jsonl?$/i.test(filePath) ? 'jsonl' : 'csv';
+}
+
+function fromCsvRow(row) {
+  const movie = { ...row };
+  LIST_COLUMNS.forEach(column => {
+    movie[column] = row[column] ? String(row[column]).split('|').filter(Boolean) : [];
+  });
+  movie.genre_ids = movie.genre_ids.map(Number);
+  return movie;
+}
+
+function toCsvRow(movie) {
+  const row = { ...movie };
+  LIST_COLUMNS.forEach(column => {
+    row[column] = (movie[column] || []).join('|');
+  });
+  return row;
+}
+
+// Existing dataset rows, or [] when the file is missing
+function readDataset(filePath, format) {
+  if (!fs.existsSync(filePath)) return [];
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (detectFormat(filePath, format) === 'jsonl') {
+    return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  return parse(content, {
+    columns: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  }).map(fromCsvRow);
+}
+
+// Write via a temp file so an interrupted run never leaves a half-written dataset
+function writeDataset(filePath, movies, format) {
+  const content = detectFormat(filePath, format) === 'jsonl'
+    ? movies.map(movie => JSON.stringify(movie)).join('\n') + '\n'
+    : stringify(movies.map(toCsvRow), { header: true, columns: COLUMNS });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+// Fresh rows replace existing ones with the same id; list memberships accumulate
+function mergeMovies(existing, incoming) {
+  const byId = new Map(existing.map(movie => [String(movie.id), movie]));
+
+  incoming.forEach(movie => {
+    const previous = byId.get(String(movie.id));
+    const lists = new Set([...(previous?.lists || []), ...(movie.lists || [])]);
+    byId.set(String(movie.id), { ...previous, ...movie, lists: [...lists] });
+  });
+
+  return [...byId.values()].sort((a, b) => Number(b.popularity) - Number(a.popularity));
+}
+
+module.exports = {
+  COLUMNS,
+  detectFormat,
+  readDataset,
+  writeDataset,
+  mergeMovies
+};
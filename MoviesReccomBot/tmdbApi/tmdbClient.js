@@ -0,0 +1,73 @@
+const axios = require("axios");
+
+const BASE_URL = "https://api.themoviedb.org/3";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate-limited TMDB client: spaces request starts evenly, caps requests in
+// flight, and backs off on 429 (honouring Retry-After) and transient errors
+class TMDbClient {
+  constructor({ apiKey, requestsPerSecond = 20, concurrency = 4, maxRetries = 3 } = {}) {
+    this.apiKey = apiKey;
+    this.minInterval = 1000 / Math.max(1, requestsPerSecond);
+    this.concurrency = Math.max(1, concurrency);
+    this.maxRetries = maxRetries;
+    this.nextSlot = 0;
+    this.active = 0;
+    this.queue = [];
+    this.stats = { requests: 0, retries: 0, rateLimited: 0 };
+  }
+
+  async acquire() {
+    if (this.active >= this.concurrency) {
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+    this.active += 1;
+
+    const now = Date.now();
+    const wait = Math.max(0, this.nextSlot - now);
+    this.nextSlot = Math.max(now, this.nextSlot) + this.minInterval;
+    if (wait > 0) await sleep(wait);
+  }
+
+  release() {
+    this.active -= 1;
+    const next = this.queue.shift();
+    if (next) next();
+  }
+
+  async get(endpoint, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let delay;
+      await this.acquire();
+      try {
+        this.stats.requests += 1;
+        const response = await axios.get(`${BASE_URL}${endpoint}`, {
+          params: { api_key: this.apiKey, ...params },
+          timeout: 15000
+        });
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = status === 429 || status >= 500 || !error.response;
+        if (!retryable || attempt >= this.maxRetries) throw error;
+
+        delay = 1000 * Math.pow(2, attempt);
+        if (status === 429) {
+          this.stats.rateLimited += 1;
+          const retryAfter = Number(error.response.headers?.["retry-after"]);
+          if (retryAfter > 0) delay = retryAfter * 1000;
+        }
+        this.stats.retries += 1;
+        console.log(`⏳ ${endpoint} failed (${status || error.code}), retrying in ${delay}ms`);
+      } finally {
+        this.release();
+      }
+
+      // Wait outside the slot so other requests keep moving
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = TMDbClient;
@@ -1,131 +1,249 @@
-const axios = require("axios");
-const fs = require("fs");
-const path = require("path"); // Add this line
-const { stringify } = require('csv-stringify/sync');
+const path = require("path");
+const { parseArgs } = require("util");
+const TMDbClient = require("./tmdbClient");
+const { readDataset, writeDataset, mergeMovies, detectFormat } = require("./dataset");
 
 // Load environment variables from root folder
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-const API_KEY = process.env.TMDB_API_KEY;
+const LISTS = ['now_playing', 'upcoming', 'popular', 'top_rated'];
+const DEFAULT_OUTPUT = path.join(__dirname, 'movies_dataset.csv');
+const CAST_SIZE = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// Validate API key
-if (!API_KEY) {
-  console.error("❌ TMDB_API_KEY not found in environment variables");
-  console.log("💡 Make sure you have a .env file in the root folder with TMDB_API_KEY=your_api_key");
-  console.log(`📁 Current .env path: ${path.join(__dirname, '..', '.env')}`);
-  process.exit(1);
+const USAGE = `
+Export TMDB movie lists to a dataset for the offline catalog.
+
+Usage: node tmdbApi/tmdb_latest_movies.js [options]
+
+  --lists <names>       Comma-separated: ${LISTS.join(', ')} (default: now_playing)
+  --pages <n>           Pages per list, 20 movies each (default: 1)
+  --region <code>       ISO 3166-1 region for lists and certifications (default: IN)
+  --language <tag>      Language for titles and overviews (default: en-IN)
+  --out <path>          Output file (default: tmdbApi/movies_dataset.csv)
+  --format <csv|jsonl>  Output format (default: from the --out extension)
+  --max-age-days <n>    Reuse stored details younger than this (default: 7)
+  --refresh             Re-fetch details for every movie
+  --no-merge            Replace the dataset instead of merging into it
+  --rate <n>            Max requests per second (default: 20)
+  --concurrency <n>     Max requests in flight (default: 4)
+  -h, --help            Show this help
+`;
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      lists: { type: 'string', default: 'now_playing' },
+      pages: { type: 'string', default: '1' },
+      region: { type: 'string', default: 'IN' },
+      language: { type: 'string', default: 'en-IN' },
+      out: { type: 'string', default: DEFAULT_OUTPUT },
+      format: { type: 'string' },
+      'max-age-days': { type: 'string', default: '7' },
+      refresh: { type: 'boolean', default: false },
+      'no-merge': { type: 'boolean', default: false },
+      rate: { type: 'string', default: '20' },
+      concurrency: { type: 'string', default: '4' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const lists = values.lists.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = lists.filter(name => !LISTS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown list(s): ${unknown.join(', ')}. Choose from ${LISTS.join(', ')}`);
+  }
+  if (values.format && !['csv', 'jsonl'].includes(values.format)) {
+    throw new Error('--format must be csv or jsonl');
+  }
+
+  const positiveInt = (name) => {
+    const number = Number(values[name]);
+    if (!Number.isInteger(number) || number < 0) throw new Error(`--${name} must be a non-negative integer`);
+    return number;
+  };
+
+  return {
+    help: values.help,
+    lists,
+    pages: Math.max(1, positiveInt('pages')),
+    region: values.region.toUpperCase(),
+    language: values.language,
+    out: path.resolve(values.out),
+    format: detectFormat(values.out, values.format),
+    maxAgeDays: positiveInt('max-age-days'),
+    refresh: values.refresh,
+    merge: !values['no-merge'],
+    rate: Math.max(1, positiveInt('rate')),
+    concurrency: Math.max(1, positiveInt('concurrency'))
+  };
 }
 
-console.log("✅ TMDB API Key loaded successfully");
+// Certification for the region (theatrical release first), falling back to the US rating
+function pickCertification(releaseDates, region) {
+  const results = releaseDates?.results || [];
 
-async function fetchMoviesAndExportCSV() {
-  try {
-    console.log("🎬 Fetching movies from TMDB...");
-    
-    const response = await axios.get(
-      `https://api.themoviedb.org/3/movie/now_playing`,
-      {
-        params: {
-          api_key: API_KEY,
-          language: "en-IN",
-          region: "IN",
-          page: 1
-        }
-      }
-    );
-
-    // Get detailed information for each movie including genres
-    const moviesWithDetails = await Promise.all(
-      response.data.results.map(async (movie) => {
-        try {
-          // Fetch detailed movie info to get genres
-          const detailResponse = await axios.get(
-            `https://api.themoviedb.org/3/movie/${movie.id}`,
-            {
-              params: {
-                api_key: API_KEY,
-                language: "en-IN"
-              }
-            }
-          );
-          
-          return {
-            id: movie.id,
-            title: movie.title,
-            release_date: movie.release_date,
-            rating: movie.vote_average,
-            vote_count: movie.vote_count,
-            overview: movie.overview ? movie.overview.replace(/\n/g, ' ') : '',
-            poster_path: movie.poster_path,
-            popularity: movie.popularity,
-            adult: movie.adult,
-            original_language: movie.original_language,
-            // Genre information
-            genre_ids: movie.genre_ids ? movie.genre_ids.join('|') : '',
-            genres: detailResponse.data.genres ? detailResponse.data.genres.map(g => g.name).join('|') : '',
-            // Additional features for ML model
-            runtime: detailResponse.data.runtime || 0,
-            budget: detailResponse.data.budget || 0,
-            revenue: detailResponse.data.revenue || 0,
-            status: detailResponse.data.status || '',
-            tagline: detailResponse.data.tagline ? detailResponse.data.tagline.replace(/\n/g, ' ') : ''
-          };
-        } catch (error) {
-          console.log(`⚠️ Could not fetch details for ${movie.title}`);
-          return null;
-        }
-      })
-    );
-
-    // Filter out null values
-    const validMovies = moviesWithDetails.filter(movie => movie !== null);
-
-    // Define CSV columns
-    const columns = [
-      'id',
-      'title',
-      'release_date',
-      'rating',
-      'vote_count',
-      'overview',
-      'poster_path',
-      'popularity',
-      'adult',
-      'original_language',
-      'genre_ids',
-      'genres',
-      'runtime',
-      'budget',
-      'revenue',
-      'status',
-      'tagline'
-    ];
-
-    // Convert to CSV
-    const csvData = stringify(validMovies, {
-      header: true,
-      columns: columns
-    });
+  for (const country of [region, 'US']) {
+    const entry = results.find(result => result.iso_3166_1 === country);
+    const dates = (entry?.release_dates || []).filter(date => date.certification);
+    const theatrical = dates.find(date => date.type === 3);
+    if (theatrical || dates[0]) return (theatrical || dates[0]).certification;
+  }
+  return '';
+}
+
+const oneLine = (text) => (text ? text.replace(/\s*\n\s*/g, ' ') : '');
+
+function toDatasetRow(movie, details, lists, region) {
+  const director = (details.credits?.crew || []).find(member => member.job === 'Director');
+
+  return {
+    id: movie.id,
+    title: movie.title,
+    release_date: movie.release_date,
+    rating: movie.vote_average,
+    vote_count: movie.vote_count,
+    overview: oneLine(movie.overview),
+    poster_path: movie.poster_path,
+    popularity: movie.popularity,
+    adult: movie.adult,
+    original_language: movie.original_language,
+    genre_ids: movie.genre_ids || (details.genres || []).map(g => g.id),
+    genres: (details.genres || []).map(g => g.name),
+    runtime: details.runtime || 0,
+    budget: details.budget || 0,
+    revenue: details.revenue || 0,
+    status: details.status || '',
+    tagline: oneLine(details.tagline),
+    director: director ? director.name : '',
+    cast: (details.credits?.cast || []).slice(0, CAST_SIZE).map(member => member.name),
+    keywords: (details.keywords?.keywords || []).map(keyword => keyword.name),
+    certification: pickCertification(details.release_dates, region),
+    lists,
+    fetched_at: new Date().toISOString()
+  };
+}
+
+// Every movie on the requested list pages, with the lists it appeared on
+async function fetchListMovies(client, options) {
+  const movies = new Map();
+
+  for (const list of options.lists) {
+    for (let page = 1; page <= options.pages; page++) {
+      const data = await client.get(`/movie/${list}`, {
+        language: options.language,
+        region: options.region,
+        page
+      });
+
+      data.results.forEach(movie => {
+        const entry = movies.get(movie.id) || { movie, lists: [] };
+        entry.lists.push(list);
+        movies.set(movie.id, entry);
+      });
+      console.log(`📄 ${list} page ${page}/${Math.min(options.pages, data.total_pages)}: ${data.results.length} movies`);
 
-    // Write to file (save in tmdbApi folder)
-    const csvPath = path.join(__dirname, 'movies_dataset.csv');
-    fs.writeFileSync(csvPath, csvData);
-    
-    console.log(`✅ Successfully exported ${validMovies.length} movies to movies_dataset.csv`);
-    console.log(`📊 File saved at: ${csvPath}`);
-    
-    // Show sample of the data
-    console.log("\n📋 Sample of exported data:");
-    console.table(validMovies.slice(0, 3).map(movie => ({
-      Title: movie.title,
-      Genres: movie.genres,
-      Rating: movie.rating,
-      Release: movie.release_date
-    })));
+      if (page >= data.total_pages) break;
+    }
+  }
+
+  return movies;
+}
+
+async function exportMovies(options) {
+  const apiKey = process.env.TMDB_API_KEY;
+
+  // Validate API key
+  if (!apiKey) {
+    console.error("❌ TMDB_API_KEY not found in environment variables");
+    console.log("💡 Make sure you have a .env file in the root folder with TMDB_API_KEY=your_api_key");
+    console.log(`📁 Current .env path: ${path.join(__dirname, '..', '.env')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const client = new TMDbClient({ apiKey, requestsPerSecond: options.rate, concurrency: options.concurrency });
+  const existing = options.merge ? readDataset(options.out, options.format) : [];
+  const existingById = new Map(existing.map(movie => [String(movie.id), movie]));
+  console.log(`🎬 Fetching ${options.lists.join(', ')} (${options.pages} page(s), region ${options.region})...`);
+  if (existing.length > 0) console.log(`📚 Merging into ${existing.length} existing movies`);
+
+  const listMovies = await fetchListMovies(client, options);
+  const maxAgeMs = options.maxAgeDays * DAY_MS;
+  let reused = 0;
+  let failed = 0;
+
+  const rows = await Promise.all([...listMovies.values()].map(async ({ movie, lists }) => {
+    const previous = existingById.get(String(movie.id));
+    const fresh = previous && Date.now() - Date.parse(previous.fetched_at) < maxAgeMs;
+
+    // Details rarely change; refresh only the list-level numbers
+    if (fresh && !options.refresh) {
+      reused += 1;
+      return {
+        ...previous,
+        rating: movie.vote_average,
+        vote_count: movie.vote_count,
+        popularity: movie.popularity,
+        lists
+      };
+    }
 
+    try {
+      const details = await client.get(`/movie/${movie.id}`, {
+        language: options.language,
+        append_to_response: 'credits,keywords,release_dates'
+      });
+      return toDatasetRow(movie, details, lists, options.region);
+    } catch (error) {
+      failed += 1;
+      console.log(`⚠️ Could not fetch details for ${movie.title}`);
+      return null;
+    }
+  }));
+
+  const validMovies = rows.filter(movie => movie !== null);
+  const dataset = mergeMovies(existing, validMovies);
+  writeDataset(options.out, dataset, options.format);
+
+  console.log(`✅ Exported ${validMovies.length} movies (${reused} reused, ${failed} failed); dataset now has ${dataset.length}`);
+  console.log(`📊 File saved at: ${options.out} (${options.format})`);
+  console.log(`🌐 ${client.stats.requests} requests, ${client.stats.retries} retries, ${client.stats.rateLimited} rate-limited`);
+
+  // Show sample of the data
+  console.log("\n📋 Sample of exported data:");
+  console.table(validMovies.slice(0, 3).map(movie => ({
+    Title: movie.title,
+    Genres: movie.genres.join('|'),
+    Rating: movie.rating,
+    Certification: movie.certification,
+    Release: movie.release_date
+  })));
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
   } catch (error) {
-    console.error("❌ Error:", error.response?.data || error.message);
+    console.error(`❌ ${error.message}`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+  } else {
+    exportMovies(options).catch(error => {
+      console.error("❌ Error:", error.response?.data || error.message);
+      process.exitCode = 1;
+    });
   }
 }
 
-fetchMoviesAndExportCSV();
\ No newline at end of file
+module.exports = {
+  parseOptions,
+  exportMovies,
+  pickCertification
+};
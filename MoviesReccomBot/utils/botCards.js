@@ -0,0 +1,111 @@
+const { BOT_COMMANDS } = require('./botCommands');
+const { suggestionMessage } = require('./replies');
+
+// Cards are platform-neutral: { type, id, title, subtitle, text, imageUrl, url }.
+// Adapters render them natively or fall back to the reply's plain `text`.
+
+const TMDB_POSTER_BASE = 'https://image.tmdb.org/t/p/w342';
+
+const year = (date) => (date ? String(date).slice(0, 4) : null);
+
+function movieCard(movie) {
+  const explanation = movie.explanation || {};
+  return {
+    type: 'movie',
+    id: String(movie.id),
+    title: movie.title,
+    subtitle: [
+      year(movie.release_date),
+      (movie.genres || []).slice(0, 3).join(', '),
+      movie.vote_average ? `⭐ ${Number(movie.vote_average).toFixed(1)}` : null
+    ].filter(Boolean).join(' · '),
+    text: explanation.because || explanation.summary || movie.overview || '',
+    imageUrl: movie.poster_path ? `${TMDB_POSTER_BASE}${movie.poster_path}` : null,
+    url: `https://www.themoviedb.org/movie/${movie.id}`
+  };
+}
+
+function placeCard(place) {
+  const explanation = place.explanation || {};
+  return {
+    type: 'place',
+    id: place.place_id,
+    title: place.name,
+    subtitle: [
+      place.rating ? `⭐ ${place.rating}` : null,
+      place.price_level ? '₹'.repeat(place.price_level) : null,
+      place.formatted_address || place.vicinity || null
+    ].filter(Boolean).join(' · '),
+    text: explanation.because || explanation.summary || place.personalizedDescription || '',
+    imageUrl: null,
+    url: `https://www.google.com/maps/place/?q=place_id:${place.place_id}`
+  };
+}
+
+function noticeCard(title, text) {
+  return { type: 'notice', id: null, title, subtitle: '', text, imageUrl: null, url: null };
+}
+
+// Plain-text rendering for platforms without cards
+function toPlainText(headline, cards) {
+  const lines = cards.map((card, index) => {
+    const details = [card.subtitle, card.text].filter(Boolean).join('\n   ');
+    return `${index + 1}. ${card.title}${details ? `\n   ${details}` : ''}`;
+  });
+  return [headline, ...lines].filter(Boolean).join('\n');
+}
+
+// Reply for an outing plan (see outingService): one section per part that was planned
+function planReply(plan, errors = []) {
+  const sections = [];
+
+  if (plan.movies) {
+    const { suggestions, summary } = plan.movies;
+    sections.push({
+      headline: `🎬 ${suggestionMessage(suggestions.length, summary, plan.language)}`,
+      cards: suggestions.map(movieCard)
+    });
+  }
+  if (plan.food) {
+    sections.push({ headline: '🍽️ Places to eat nearby', cards: plan.food.places.map(placeCard) });
+  }
+  if (plan.activities) {
+    sections.push({ headline: '🎯 Things to do', cards: plan.activities.places.map(placeCard) });
+  }
+
+  // Tell the group what could not be planned instead of failing silently
+  const notices = errors.map(error => noticeCard(
+    error.code === 'LOCATION_REQUIRED' ? '📍 Location needed' : `⚠️ No ${error.engine} suggestions right now`,
+    error.message
+  ));
+
+  return {
+    text: [
+      ...sections.map(section => toPlainText(section.headline, section.cards)),
+      ...notices.map(card => `${card.title}: ${card.text}`)
+    ].join('\n\n'),
+    cards: [...sections.flatMap(section => section.cards), ...notices]
+  };
+}
+
+function helpReply() {
+  const cards = Object.values(BOT_COMMANDS).map(command => noticeCard(command.usage, command.description));
+  return {
+    text: toPlainText('Here is what I can do:', cards),
+    cards
+  };
+}
+
+function errorReply(message) {
+  const card = noticeCard('⚠️ Something went wrong', message);
+  return { text: `${card.title}: ${card.text}`, cards: [card] };
+}
+
+module.exports = {
+  movieCard,
+  placeCard,
+  noticeCard,
+  planReply,
+  helpReply,
+  errorReply
+};
@@ -0,0 +1,38 @@
+// Slash commands the chat bot understands, and which outing parts each one plans
+const BOT_COMMANDS = {
+  movie: { kinds: ['movie'], usage: '/movie [what you feel like]', description: 'Suggest movies for the group' },
+  eat: { kinds: ['food'], usage: '/eat [cuisine, budget...]', description: 'Suggest places to eat nearby' },
+  plan: { kinds: null, usage: '/plan [anything extra]', description: 'Plan the outing: movie, food and activities, whatever the chat is about' },
+  help: { kinds: null, usage: '/help', description: 'List the commands' }
+};
+
+// Other names people type for the same commands
+const ALIASES = {
+  movies: 'movie',
+  film: 'movie',
+  food: 'eat',
+  khana: 'eat',
+  outing: 'plan'
+};
+
+// "/movie@PlanBot something funny" -> { name: 'movie', args: 'something funny' };
+// null when the text is not a command at all. Unknown commands keep their name
+// with known: false so the bot can answer with help.
+function parseCommand(text) {
+  const match = /^\s*\/([a-z]+)(?:@\S+)?(?:\s+([\s\S]*))?$/i.exec(String(text || ''));
+  if (!match) return null;
+
+  const typed = match[1].toLowerCase();
+  const name = ALIASES[typed] || typed;
+
+  return {
+    name,
+    args: (match[2] || '').trim(),
+    known: Boolean(BOT_COMMANDS[name])
+  };
+}
+
+module.exports = {
+  BOT_COMMANDS,
+  parseCommand
+};
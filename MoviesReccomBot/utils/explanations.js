@@ -0,0 +1,108 @@
+const { findEvidence, describeEvidence } = require('../../shared/evidence');
+const { GENRE_ALIASES, resolveGenre } = require('./genres');
+const { classifyClause } = require('./memberPreferences');
+const { MOVIE_LANGUAGE_TERMS } = require('./movieLanguages');
+const { matchesLabel, genericReason } = require('./replies');
+
+// Only "I love thrillers" counts as evidence for a thriller, not "I hate thrillers"
+const isPositive = (sentence) => classifyClause(sentence.toLowerCase()) === 'likes';
+
+// Chat words that point at a TMDB genre, e.g. "Thriller" -> thriller, suspense, suspenseful
+function genreTerms(genreName) {
+  const ids = resolveGenre(genreName);
+  const aliases = Object.keys(GENRE_ALIASES)
+    .filter(alias => GENRE_ALIASES[alias].some(id => ids.includes(id)));
+  return [genreName.toLowerCase(), ...aliases];
+}
+
+// Members who disliked or vetoed something about the movie, with what they said
+function explainCaveats(movie, chatMessages) {
+  const satisfaction = movie.memberSatisfaction || {};
+
+  return Object.keys(satisfaction)
+    .map(name => {
+      const entry = satisfaction[name];
+      const genres = [...(entry.vetoedGenres || []), ...(entry.disliked || [])];
+      if (genres.length === 0) return null;
+      return {
+        member: name,
+        type: entry.vetoed ? 'veto' : 'dislike',
+        genres,
+        evidence: findEvidence(chatMessages, genres.flatMap(genreTerms), { sender: name, limit: 1 })
+      };
+    })
+    .filter(Boolean);
+}
+
+// Why a movie was suggested: the signals it matched and the chat messages behind
+// them, plus any members who will be less happy with it. Text is in the chat's locale.
+function explainMovie(movie, analysis = {}, chatMessages = []) {
+  const signals = movie.matchedSignals || {};
+  const locale = (analysis.chatLanguage && analysis.chatLanguage.locale) || 'en';
+  const reasons = [];
+
+  if (movie.likeThis) {
+    reasons.push({
+      type: 'similar',
+      value: movie.likeThis.seed,
+      evidence: findEvidence(chatMessages, [movie.likeThis.seed, ...(analysis.mentioned_movies || [])], { limit: 1 })
+    });
+  }
+
+  (signals.genres || []).forEach(genre => {
+    reasons.push({
+      type: 'genre',
+      value: genre,
+      evidence: findEvidence(chatMessages, genreTerms(genre), { accept: isPositive })
+    });
+  });
+
+  if (movie.languageMatch) {
+    reasons.push({
+      type: 'language',
+      value: movie.languageMatch,
+      evidence: findEvidence(chatMessages, MOVIE_LANGUAGE_TERMS[movie.languageMatch] || [], { limit: 1 })
+    });
+  }
+
+  (signals.themes || []).forEach(theme => {
+    reasons.push({ type: 'theme', value: theme, evidence: findEvidence(chatMessages, [theme]) });
+  });
+
+  if (signals.mood) {
+    reasons.push({
+      type: 'mood',
+      value: signals.mood,
+      evidence: findEvidence(chatMessages, String(signals.mood).split(/[\s,/]+|\band\b/), { limit: 1 })
+    });
+  }
+
+  const quoted = reasons.find(reason => reason.evidence.length > 0);
+  const label = (reason) => {
+    if (reason.type === 'similar') return `like ${reason.value}`;
+    if (reason.type === 'language') {
+      const [name] = MOVIE_LANGUAGE_TERMS[reason.value] || [reason.value];
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    return reason.value;
+  };
+  const matched = reasons.map(label);
+
+  return {
+    summary: matched.length > 0 ? `${matchesLabel(locale)} ${matched.join(', ')}` : genericReason(locale),
+    because: quoted ? describeEvidence(quoted.evidence[0], locale) : null,
+    reasons,
+    caveats: explainCaveats(movie, chatMessages)
+  };
+}
+
+// Attach an explanation to each suggestion
+function explainMovies(movies, analysis, chatMessages) {
+  return movies.map(movie => ({ ...movie, explanation: explainMovie(movie, analysis, chatMessages) }));
+}
+
+module.exports = {
+  explainMovie,
+  explainMovies,
+  genreTerms
+};
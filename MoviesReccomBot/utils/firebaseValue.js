@@ -0,0 +1,20 @@
+// Firebase keys cannot contain . # $ / [ ]
+const sanitizeKey = (key) => String(key).replace(/[.#$/[\]]/g, '_');
+
+// Drop undefined values and illegal key characters before writing to Firebase
+function toFirebaseValue(value) {
+  if (Array.isArray(value)) return value.map(toFirebaseValue);
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] !== undefined) result[sanitizeKey(key)] = toFirebaseValue(value[key]);
+    });
+    return result;
+  }
+  return value === undefined ? null : value;
+}
+
+module.exports = {
+  sanitizeKey,
+  toFirebaseValue
+};
\ No newline at end of file
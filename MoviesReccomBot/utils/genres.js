@@ -0,0 +1,210 @@
+// TMDB movie genre IDs (https://developer.themoviedb.org/reference/genre-movie-list)
+const TMDB_GENRES = {
+  28: 'Action',
+  12: 'Adventure',
+  16: 'Animation',
+  35: 'Comedy',
+  80: 'Crime',
+  99: 'Documentary',
+  18: 'Drama',
+  10751: 'Family',
+  14: 'Fantasy',
+  36: 'History',
+  27: 'Horror',
+  10402: 'Music',
+  9648: 'Mystery',
+  10749: 'Romance',
+  878: 'Science Fiction',
+  10770: 'TV Movie',
+  53: 'Thriller',
+  10752: 'War',
+  37: 'Western'
+};
+
+// Words people actually use in chat, mapped to one or more TMDB genre IDs
+const GENRE_ALIASES = {
+  action: [28],
+  adventure: [12],
+  animation: [16],
+  animated: [16],
+  anime: [16],
+  cartoon: [16],
+  comedy: [35],
+  comedies: [35],
+  funny: [35],
+  humor: [35],
+  humour: [35],
+  crime: [80],
+  heist: [80],
+  gangster: [80],
+  documentary: [99],
+  docu: [99],
+  drama: [18],
+  family: [10751],
+  kids: [10751, 16],
+  fantasy: [14],
+  history: [36],
+  historical: [36],
+  period: [36],
+  horror: [27],
+  scary: [27],
+  slasher: [27],
+  music: [10402],
+  musical: [10402],
+  mystery: [9648],
+  detective: [9648, 80],
+  whodunit: [9648],
+  romance: [10749],
+  romantic: [10749],
+  'rom-com': [10749, 35],
+  romcom: [10749, 35],
+  'romantic comedy': [10749, 35],
+  'sci-fi': [878],
+  scifi: [878],
+  'sci fi': [878],
+  'science fiction': [878],
+  space: [878],
+  'tv movie': [10770],
+  thriller: [53],
+  suspense: [53],
+  suspenseful: [53],
+  war: [10752],
+  western: [37],
+  superhero: [28, 14],
+
+  // Hindi and Marathi, in Devanagari and as typed in Hinglish / romanized Marathi
+  'maar dhaad': [28],
+  'maar-dhaad': [28],
+  'मारधाड़': [28],
+  'एक्शन': [28],
+  'ॲक्शन': [28],
+  'कॉमेडी': [35],
+  'विनोदी': [35],
+  vinodi: [35],
+  'हास्य': [35],
+  hasya: [35],
+  'mazedaar': [35],
+  'मज़ेदार': [35],
+  'डरावनी': [27],
+  'डरावना': [27],
+  darawni: [27],
+  darawna: [27],
+  dravni: [27],
+  bhoot: [27],
+  bhootiya: [27],
+  'भूत': [27],
+  'भुतिया': [27],
+  'भयपट': [27],
+  bhaypat: [27],
+  'हॉरर': [27],
+  pyaar: [10749],
+  pyar: [10749],
+  ishq: [10749],
+  'प्यार': [10749],
+  'रोमांटिक': [10749],
+  prem: [10749],
+  'प्रेम': [10749],
+  premkatha: [10749],
+  'प्रेमकथा': [10749],
+  rahasya: [9648],
+  'रहस्य': [9648],
+  'रहस्यमय': [9648],
+  'थ्रिलर': [53],
+  'ड्रामा': [18],
+  'नाटक': [18],
+  parivarik: [10751],
+  'पारिवारिक': [10751],
+  kautumbik: [10751],
+  'कौटुंबिक': [10751],
+  'बच्चों': [10751, 16],
+  'ऐतिहासिक': [36],
+  aitihasik: [36],
+  'युद्ध': [10752],
+  'देशभक्ति': [10752, 18],
+  'कार्टून': [16],
+  'एनीमे': [16]
+};
+
+// Moods the analysis returns, mapped to the genres that usually fit them
+const MOOD_GENRES = {
+  'light-hearted': [35, 10751, 16, 10749],
+  lighthearted: [35, 10751, 16, 10749],
+  fun: [35, 12, 16],
+  funny: [35],
+  entertaining: [28, 12, 35],
+  exciting: [28, 12, 53],
+  thrilling: [53, 28],
+  intense: [53, 27, 80],
+  suspenseful: [53, 9648],
+  scary: [27, 53],
+  dark: [27, 53, 80],
+  romantic: [10749],
+  emotional: [18, 10749],
+  serious: [18, 36, 10752],
+  thoughtful: [18, 878, 99],
+  relaxed: [35, 10751, 10749],
+  chill: [35, 10751, 10749],
+  epic: [12, 14, 878],
+  adventurous: [12, 28]
+};
+
+function normalizeGenreName(name) {
+  return String(name || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// Resolve a single genre name ("sci-fi", "Action", 28) to TMDB genre IDs
+function resolveGenre(name) {
+  if (typeof name === 'number') {
+    return TMDB_GENRES[name] ? [name] : [];
+  }
+
+  const key = normalizeGenreName(name);
+  if (!key) return [];
+  if (GENRE_ALIASES[key]) return GENRE_ALIASES[key];
+
+  const officialId = Object.keys(TMDB_GENRES)
+    .find(id => TMDB_GENRES[id].toLowerCase() === key);
+  if (officialId) return [Number(officialId)];
+
+  // Handle simple plurals like "thrillers" or "westerns"
+  if (key.endsWith('s') && GENRE_ALIASES[key.slice(0, -1)]) {
+    return GENRE_ALIASES[key.slice(0, -1)];
+  }
+
+  return [];
+}
+
+// Resolve a list of genre names to a de-duplicated list of TMDB genre IDs
+function resolveGenreIds(names = []) {
+  const ids = new Set();
+  names.forEach(name => resolveGenre(name).forEach(id => ids.add(id)));
+  return [...ids];
+}
+
+// Genre IDs that suit a mood string such as "light-hearted" or "dark and intense"
+function resolveMoodGenreIds(mood) {
+  const text = normalizeGenreName(mood);
+  if (!text) return [];
+
+  const ids = new Set();
+  Object.keys(MOOD_GENRES).forEach(key => {
+    if (text.includes(key)) {
+      MOOD_GENRES[key].forEach(id => ids.add(id));
+    }
+  });
+  return [...ids];
+}
+
+function getGenreName(id) {
+  return TMDB_GENRES[id] || null;
+}
+
+module.exports = {
+  TMDB_GENRES,
+  GENRE_ALIASES,
+  MOOD_GENRES,
+  resolveGenre,
+  resolveGenreIds,
+  resolveMoodGenreIds,
+  getGenreName
+};
\ No newline at end of file
@@ -0,0 +1,110 @@
+const { compilePreferences, scoreMovie } = require('./movieScoring');
+const { resolveGenreIds, getGenreName } = require('./genres');
+
+// How much each disliked genre on a movie costs a member's satisfaction
+const DISLIKE_PENALTY = 0.25;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+// Ways of turning individual satisfaction scores into one group score
+const STRATEGIES = {
+  // Everyone's happiness counts equally
+  average: {
+    description: 'Mean satisfaction across members',
+    combine: (scores) => mean(scores),
+    excludeVetoed: false
+  },
+  // The group is only as happy as its least happy member
+  least_misery: {
+    description: 'Satisfaction of the least satisfied member',
+    combine: (scores) => (scores.length ? Math.min(...scores) : 0),
+    excludeVetoed: false
+  },
+  // Pick what someone will love, regardless of the rest
+  most_pleasure: {
+    description: 'Satisfaction of the most satisfied member',
+    combine: (scores) => (scores.length ? Math.max(...scores) : 0),
+    excludeVetoed: false
+  },
+  // Average, but a single hard veto removes the movie
+  veto: {
+    description: 'Mean satisfaction, dropping anything a member vetoed',
+    combine: (scores) => mean(scores),
+    excludeVetoed: true
+  }
+};
+
+const DEFAULT_STRATEGY = 'veto';
+
+function isValidStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+}
+
+// Pre-compile every member's preferences once per request
+function compileMembers(members, groupPreferences = {}) {
+  return members.map(member => ({
+    name: member.name,
+    compiled: compilePreferences({
+      genres: member.likes,
+      themes: groupPreferences.themes,
+      mood: groupPreferences.mood
+    }),
+    dislikeIds: resolveGenreIds(member.dislikes),
+    vetoIds: resolveGenreIds(member.vetoes)
+  }));
+}
+
+// How satisfied one member would be with one movie (0-1)
+function memberSatisfaction(movie, member, options = {}) {
+  const movieGenreIds = movie.genre_ids || [];
+  const vetoed = member.vetoIds.filter(id => movieGenreIds.includes(id));
+  const disliked = member.dislikeIds.filter(id => movieGenreIds.includes(id));
+  const { score, matchedSignals } = scoreMovie(movie, member.compiled, options);
+
+  const satisfaction = vetoed.length > 0
+    ? 0
+    : Math.max(0, score - disliked.length * DISLIKE_PENALTY);
+
+  return {
+    score: round(satisfaction),
+    vetoed: vetoed.length > 0,
+    liked: matchedSignals.genres,
+    disliked: disliked.map(getGenreName),
+    vetoedGenres: vetoed.map(getGenreName)
+  };
+}
+
+// Score movies for the whole group and sort by the chosen strategy
+function aggregateForGroup(movies, members, groupPreferences = {}, strategyName = DEFAULT_STRATEGY, options = {}) {
+  const strategy = STRATEGIES[strategyName] || STRATEGIES[DEFAULT_STRATEGY];
+  const compiledMembers = compileMembers(members, groupPreferences);
+
+  const scored = movies.map(movie => {
+    const memberScores = {};
+    compiledMembers.forEach(member => {
+      memberScores[member.name] = memberSatisfaction(movie, member, options);
+    });
+
+    const values = Object.values(memberScores);
+    return {
+      ...movie,
+      groupScore: round(strategy.combine(values.map(entry => entry.score))),
+      vetoedBy: Object.keys(memberScores).filter(name => memberScores[name].vetoed),
+      memberSatisfaction: memberScores
+    };
+  });
+
+  return scored
+    .filter(movie => !strategy.excludeVetoed || movie.vetoedBy.length === 0)
+    .sort((a, b) => b.groupScore - a.groupScore);
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  isValidStrategy,
+  memberSatisfaction,
+  aggregateForGroup
+};
\ No newline at end of file
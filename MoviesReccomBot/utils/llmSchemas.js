@@ -0,0 +1,26 @@
+const Joi = require('joi');
+
+const stringList = Joi.array().items(Joi.string().allow('')).default([]);
+
+// Shape analyzeChatForMoviePreferences expects back from the LLM
+const moviePreferencesSchema = Joi.object({
+  genres: stringList,
+  themes: stringList,
+  mood: Joi.string().allow('', null).default(null),
+  mentioned_movies: stringList,
+  // ISO 639-1 codes or language names; openAIService maps them to TMDB codes
+  languages: stringList,
+  members: Joi.array().items(
+    Joi.object({
+      name: Joi.string().required(),
+      likes: stringList,
+      dislikes: stringList,
+      vetoes: stringList
+    }).unknown(true)
+  ).default([]),
+  summary: Joi.string().allow('').default('')
+}).unknown(true);
+
+module.exports = {
+  moviePreferencesSchema
+};
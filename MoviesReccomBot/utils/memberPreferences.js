@@ -0,0 +1,110 @@
+const { GENRE_ALIASES, resolveGenreIds, getGenreName } = require('./genres');
+const { termRegExp } = require('../../shared/language');
+
+// Phrases that mean "do not pick this for the group at all"
+const VETO_PATTERNS = [
+  /\bhate\b/, /\bcan'?t stand\b/, /\bcannot stand\b/, /\bwon'?t watch\b/, /\brefuse\b/,
+  /\bno way\b/, /\btoo (intense|scary|much|violent|gory) for me\b/, /\bnever\b/, /\bcount me out\b/,
+  // Hinglish / romanized Marathi
+  /\bbilkul nahi\b/, /\bkabhi nahi\b/, /\bnafrat\b/, /\bmat (dikhana|lagana)\b/, /\bajibat nahi\b/, /\bkadhich nahi\b/,
+  // Devanagari
+  /बिल्कुल नहीं/, /कभी नहीं/, /नफरत/, /अजिबात नाही/, /कधीच नाही/
+];
+
+// Phrases that mean "I'd rather not, but I'll live with it"
+const DISLIKE_PATTERNS = [
+  /\bdon'?t (really )?like\b/, /\bdo not like\b/, /\bnot (a|really a|much of a) fan\b/, /\bnot (really )?into\b/,
+  /\bnot in the mood for\b/, /\brather not\b/, /\bdislike\b/, /\bboring\b/, /\bnot\b/, /\bno\b/, /\bskip\b/,
+  // Hinglish / romanized Marathi
+  /\bpasand nahi\b/, /\bnahi chahiye\b/, /\bnahi\b/, /\bnahin\b/, /\bbakwas\b/, /\bnako\b/, /\bavadat nahi\b/, /\bbore\b/,
+  // Devanagari
+  /नहीं/, /नाही/, /नको/, /बकवास/
+];
+
+// Longest aliases first so "romantic comedy" wins over "comedy"
+const GENRE_TERMS = Object.keys(GENRE_ALIASES).sort((a, b) => b.length - a.length);
+
+// Genre words mentioned in a clause, e.g. "horror movies" -> ["horror"], "डरावनी फिल्में" -> ["डरावनी"]
+function findGenreTerms(clause) {
+  const found = [];
+  let remaining = clause;
+
+  GENRE_TERMS.forEach(term => {
+    const pattern = termRegExp(term, 's?');
+    if (pattern.test(remaining)) {
+      found.push(term);
+      remaining = remaining.replace(pattern, ' ');
+    }
+  });
+
+  return found;
+}
+
+function classifyClause(clause) {
+  if (VETO_PATTERNS.some(pattern => pattern.test(clause))) return 'vetoes';
+  if (DISLIKE_PATTERNS.some(pattern => pattern.test(clause))) return 'dislikes';
+  return 'likes';
+}
+
+// Collapse genre words to canonical TMDB genre names so "scary" and "horror" compare equal
+function canonicalGenres(terms) {
+  return resolveGenreIds(terms).map(getGenreName).filter(Boolean);
+}
+
+function emptyMember(name) {
+  return { name, likes: [], dislikes: [], vetoes: [] };
+}
+
+// Rule-based per-member extraction, used when the LLM is unavailable or omits members
+function extractMemberPreferences(chatMessages = []) {
+  const members = new Map();
+
+  chatMessages.forEach(msg => {
+    const name = msg.sender || 'Unknown';
+    if (!members.has(name)) members.set(name, emptyMember(name));
+    const member = members.get(name);
+
+    const clauses = String(msg.text || '')
+      .toLowerCase()
+      .split(/[.,!?;।]+|\bbut\b|\binstead\b|\blekin\b|\bpan\b|लेकिन|पण/);
+
+    clauses.forEach(clause => {
+      const terms = findGenreTerms(clause);
+      if (terms.length === 0) return;
+      member[classifyClause(clause)].push(...terms);
+    });
+  });
+
+  return [...members.values()].map(normalizeMember);
+}
+
+// Canonicalize, de-duplicate and make sure a stronger opinion wins (veto > dislike > like)
+function normalizeMember(member) {
+  const vetoes = [...new Set(canonicalGenres(member.vetoes || []))];
+  const dislikes = [...new Set(canonicalGenres(member.dislikes || []))]
+    .filter(genre => !vetoes.includes(genre));
+  const likes = [...new Set(canonicalGenres(member.likes || []))]
+    .filter(genre => !vetoes.includes(genre) && !dislikes.includes(genre));
+
+  return {
+    name: member.name || 'Unknown',
+    likes,
+    dislikes,
+    vetoes
+  };
+}
+
+// Group-level genres: everything someone likes that nobody vetoed or disliked
+function deriveGroupGenres(members) {
+  const blocked = new Set(members.flatMap(member => [...member.vetoes, ...member.dislikes]));
+  const liked = new Set(members.flatMap(member => member.likes));
+  return [...liked].filter(genre => !blocked.has(genre));
+}
+
+module.exports = {
+  extractMemberPreferences,
+  normalizeMember,
+  deriveGroupGenres,
+  findGenreTerms,
+  classifyClause
+};
\ No newline at end of file
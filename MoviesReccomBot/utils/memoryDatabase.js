@@ -0,0 +1,257 @@
+// In-memory stand-in for the subset of the Firebase Realtime Database API this
+// service uses: ref/child, push/set/update/remove, once/on/off ('value' and
+// 'child_added'), and orderByChild/startAt/limitToLast queries.
+
+const splitPath = (path) => String(path || '').split('/').filter(Boolean);
+const joinPath = (segments) => segments.join('/');
+
+let pushCounter = 0;
+
+// Time-ordered keys, like Firebase push IDs
+function generatePushKey() {
+  pushCounter = (pushCounter + 1) % 1679616;
+  return `-${Date.now().toString(36)}${pushCounter.toString(36).padStart(4, '0')}`;
+}
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+class MemorySnapshot {
+  constructor(key, value, orderedKeys = null) {
+    this.key = key;
+    this.value = value === undefined ? null : value;
+    this.orderedKeys = orderedKeys;
+  }
+
+  val() {
+    return clone(this.value);
+  }
+
+  exists() {
+    return this.value !== null;
+  }
+
+  child(path) {
+    let value = this.value;
+    splitPath(path).forEach(segment => {
+      value = value && typeof value === 'object' ? value[segment] : null;
+    });
+    const segments = splitPath(path);
+    return new MemorySnapshot(segments[segments.length - 1] || this.key, value);
+  }
+
+  forEach(callback) {
+    if (!this.value || typeof this.value !== 'object') return false;
+    const keys = this.orderedKeys || Object.keys(this.value).sort();
+    for (const key of keys) {
+      if (callback(new MemorySnapshot(key, this.value[key])) === true) return true;
+    }
+    return false;
+  }
+}
+
+class MemoryQuery {
+  constructor(db, path, constraints = {}) {
+    this.db = db;
+    this.path = path;
+    this.constraints = constraints;
+  }
+
+  get key() {
+    const segments = splitPath(this.path);
+    return segments.length ? segments[segments.length - 1] : null;
+  }
+
+  orderByChild(childKey) {
+    return new MemoryQuery(this.db, this.path, { ...this.constraints, orderBy: childKey });
+  }
+
+  startAt(value) {
+    return new MemoryQuery(this.db, this.path, { ...this.constraints, startAt: value });
+  }
+
+  limitToLast(limit) {
+    return new MemoryQuery(this.db, this.path, { ...this.constraints, limitToLast: limit });
+  }
+
+  sortValue(key, value) {
+    const { orderBy } = this.constraints;
+    return orderBy ? (value && typeof value === 'object' ? value[orderBy] : undefined) : key;
+  }
+
+  // Child keys that pass the query constraints, in query order
+  matchingKeys(value) {
+    if (!value || typeof value !== 'object') return [];
+
+    const { startAt, limitToLast } = this.constraints;
+    let keys = Object.keys(value).sort((a, b) => {
+      const left = this.sortValue(a, value[a]);
+      const right = this.sortValue(b, value[b]);
+      if (left === right) return a < b ? -1 : a > b ? 1 : 0;
+      if (left === undefined || left === null) return -1;
+      if (right === undefined || right === null) return 1;
+      return left < right ? -1 : 1;
+    });
+
+    if (startAt !== undefined) {
+      keys = keys.filter(key => {
+        const sortValue = this.sortValue(key, value[key]);
+        return sortValue !== undefined && sortValue !== null && sortValue >= startAt;
+      });
+    }
+    if (limitToLast !== undefined) {
+      keys = keys.slice(-limitToLast);
+    }
+    return keys;
+  }
+
+  snapshot() {
+    const value = this.db.read(this.path);
+    const hasConstraints = Object.keys(this.constraints).length > 0;
+    if (!hasConstraints || !value || typeof value !== 'object') {
+      return new MemorySnapshot(this.key, value);
+    }
+
+    const keys = this.matchingKeys(value);
+    const filtered = {};
+    keys.forEach(key => { filtered[key] = value[key]; });
+    return new MemorySnapshot(this.key, keys.length ? filtered : null, keys);
+  }
+
+  async once(eventType) {
+    if (eventType !== 'value') {
+      throw new Error(`MemoryDatabase: once('${eventType}') is not supported`);
+    }
+    return this.snapshot();
+  }
+
+  on(eventType, callback) {
+    const listener = { eventType, callback, query: this, seen: new Set() };
+    this.db.listeners.push(listener);
+
+    if (eventType === 'value') {
+      callback(this.snapshot());
+    } else if (eventType === 'child_added') {
+      const value = this.db.read(this.path);
+      this.matchingKeys(value).forEach(key => {
+        listener.seen.add(key);
+        callback(new MemorySnapshot(key, value[key]));
+      });
+    } else {
+      throw new Error(`MemoryDatabase: on('${eventType}') is not supported`);
+    }
+
+    return callback;
+  }
+
+  off(eventType, callback) {
+    this.db.listeners = this.db.listeners.filter(listener =>
+      !(listener.query.path === this.path &&
+        (!eventType || listener.eventType === eventType) &&
+        (!callback || listener.callback === callback))
+    );
+  }
+}
+
+class MemoryReference extends MemoryQuery {
+  constructor(db, path) {
+    super(db, joinPath(splitPath(path)));
+  }
+
+  child(path) {
+    return new MemoryReference(this.db, joinPath([...splitPath(this.path), ...splitPath(path)]));
+  }
+
+  async set(value) {
+    this.db.write(this.path, clone(value));
+  }
+
+  async update(values) {
+    Object.keys(values).forEach(key => {
+      this.db.write(joinPath([...splitPath(this.path), ...splitPath(key)]), clone(values[key]));
+    });
+  }
+
+  async remove() {
+    this.db.write(this.path, null);
+  }
+
+  // Like Firebase, the returned reference can be awaited
+  push(value) {
+    const key = generatePushKey();
+    const ref = this.child(key);
+    const promise = value === undefined ? Promise.resolve() : ref.set(value);
+    // Resolve with a plain reference; resolving with a thenable would recurse
+    ref.then = (resolve, reject) => promise.then(() => this.child(key)).then(resolve, reject);
+    ref.catch = (reject) => promise.catch(reject);
+    return ref;
+  }
+}
+
+class MemoryDatabase {
+  constructor(initialData = {}) {
+    this.data = clone(initialData) || {};
+    this.listeners = [];
+  }
+
+  ref(path = '') {
+    return new MemoryReference(this, path);
+  }
+
+  read(path) {
+    let value = this.data;
+    for (const segment of splitPath(path)) {
+      if (!value || typeof value !== 'object' || !(segment in value)) return null;
+      value = value[segment];
+    }
+    return value;
+  }
+
+  write(path, value) {
+    const segments = splitPath(path);
+    if (segments.length === 0) {
+      this.data = value || {};
+      this.notify(segments);
+      return;
+    }
+
+    let node = this.data;
+    segments.slice(0, -1).forEach(segment => {
+      if (!node[segment] || typeof node[segment] !== 'object') node[segment] = {};
+      node = node[segment];
+    });
+
+    const last = segments[segments.length - 1];
+    if (value === null) delete node[last];
+    else node[last] = value;
+
+    this.notify(segments);
+  }
+
+  // Fire 'value' listeners on the written path and its ancestors/descendants,
+  // and 'child_added' listeners for children that newly match their query
+  notify(segments) {
+    const writtenPath = joinPath(segments);
+
+    [...this.listeners].forEach(listener => {
+      const listenerPath = listener.query.path;
+      const related = writtenPath === listenerPath ||
+        writtenPath.startsWith(`${listenerPath}/`) || listenerPath === '' ||
+        listenerPath.startsWith(`${writtenPath}/`) || writtenPath === '';
+      if (!related) return;
+
+      if (listener.eventType === 'value') {
+        listener.callback(listener.query.snapshot());
+        return;
+      }
+
+      const value = this.read(listenerPath);
+      listener.query.matchingKeys(value).forEach(key => {
+        if (listener.seen.has(key)) return;
+        listener.seen.add(key);
+        listener.callback(new MemorySnapshot(key, value[key]));
+      });
+    });
+  }
+}
+
+module.exports = MemoryDatabase;
\ No newline at end of file
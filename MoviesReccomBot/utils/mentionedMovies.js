@@ -0,0 +1,59 @@
+const { findGenreTerms } = require('./memberPreferences');
+
+// Phrases that introduce a reference title: "something like Interstellar",
+// "similar to the dark knight", "in the vein of Knives Out"
+const REFERENCE_PATTERN = /\b(?:something|anything|movies?|films?|stuff|one|vibes?)\s+like\s+|\bsimilar to\s+|\bin the (?:vein|style) of\s+|\bkinda like\s+|\bsort of like\s+/gi;
+
+// A bare "like" only counts when it is followed by a Capitalised Title
+const CAPITALISED_LIKE_PATTERN = /\blike\s+((?:the\s+)?[A-Z0-9][\w'’:&.-]*(?:\s+(?:of|the|and|in|a|[A-Z0-9][\w'’:&.-]*))*)/g;
+
+// Words that end a title when it is written in lower case
+const TITLE_STOPWORDS = /\s+(?:but|or|and then|because|cause|coz|tonight|today|tomorrow|please|pls|maybe|again|if|since|with|for|from|lol|haha)\b.*$/i;
+
+const MAX_TITLE_WORDS = 6;
+
+function cleanTitle(raw) {
+  const title = raw
+    .split(/[,.!?;()\n]/)[0]
+    .replace(TITLE_STOPWORDS, '')
+    .trim()
+    .split(/\s+/)
+    .slice(0, MAX_TITLE_WORDS)
+    .join(' ')
+    .replace(/\s+(?:of|the|and|in|a)$/i, '');
+
+  // "something like action" is a genre, not a title
+  if (!title || findGenreTerms(title.toLowerCase()).join(' ') === title.toLowerCase()) return null;
+  if (/^(?:it|that|this|those|these|them|one|something|anything)$/i.test(title)) return null;
+  return title;
+}
+
+// Rule-based extraction of movies the chat uses as a reference point
+function extractMentionedMovies(chatMessages = []) {
+  const titles = new Map();
+  const add = (raw) => {
+    const title = cleanTitle(raw);
+    if (title && !titles.has(title.toLowerCase())) titles.set(title.toLowerCase(), title);
+  };
+
+  chatMessages.forEach(msg => {
+    const text = String(msg.text || msg.content || '');
+
+    let match;
+    REFERENCE_PATTERN.lastIndex = 0;
+    while ((match = REFERENCE_PATTERN.exec(text)) !== null) {
+      add(text.slice(match.index + match[0].length));
+    }
+
+    CAPITALISED_LIKE_PATTERN.lastIndex = 0;
+    while ((match = CAPITALISED_LIKE_PATTERN.exec(text)) !== null) {
+      add(match[1]);
+    }
+  });
+
+  return [...titles.values()];
+}
+
+module.exports = {
+  extractMentionedMovies
+};
@@ -0,0 +1,76 @@
+const Joi = require('joi');
+const { STRATEGIES, DEFAULT_STRATEGY } = require('./groupAggregation');
+
+const MAX_LIMIT = 20;
+const MAX_PAGE = 5;
+
+// Query parameters accepted by GET /api/suggestions/:chatId
+const suggestionQuerySchema = Joi.object({
+  strategy: Joi.string().valid(...Object.keys(STRATEGIES)).default(DEFAULT_STRATEGY),
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT).default(4),
+  page: Joi.number().integer().min(1).max(MAX_PAGE).default(1),
+  // ISO 639-1 original language, e.g. "hi" or "en"
+  language: Joi.string().lowercase().pattern(/^[a-z]{2}$/, 'ISO 639-1 code').optional(),
+  minRating: Joi.number().min(0).max(10).optional(),
+  maxRuntime: Joi.number().integer().min(1).max(600).optional(),
+  includeAdult: Joi.boolean().default(false),
+  releasedAfter: Joi.date().iso().optional(),
+  // ISO 3166-1 region for TMDB release dates and now-playing lists
+  region: Joi.string().uppercase().pattern(/^[A-Z]{2}$/, 'ISO 3166-1 code').default('IN'),
+  refresh: Joi.boolean().default(false)
+});
+
+// Query parameters accepted by GET /api/movies/catalog
+const catalogQuerySchema = Joi.object({
+  // Comma-separated genre names, e.g. "comedy,sci-fi"
+  genre: Joi.string().max(200).optional(),
+  language: Joi.string().lowercase().pattern(/^[a-z]{2}$/, 'ISO 639-1 code').optional(),
+  minRating: Joi.number().min(0).max(10).optional(),
+  minRuntime: Joi.number().integer().min(1).max(600).optional(),
+  maxRuntime: Joi.number().integer().min(1).max(600).optional(),
+  sortBy: Joi.string().valid('popularity', 'rating', 'release_date').default('popularity'),
+  // Every matching row when omitted
+  limit: Joi.number().integer().min(1).max(1000).optional()
+});
+
+// Pull the catalog filters out of validated query values
+function toCatalogFilters(query = {}) {
+  const filters = {
+    region: query.region || 'IN',
+    includeAdult: Boolean(query.includeAdult)
+  };
+  if (query.language) filters.language = query.language;
+  if (query.minRating !== undefined) filters.minRating = query.minRating;
+  if (query.maxRuntime !== undefined) filters.maxRuntime = query.maxRuntime;
+  if (query.releasedAfter) filters.releasedAfter = new Date(query.releasedAfter).toISOString().slice(0, 10);
+  return filters;
+}
+
+// Filters that narrow the catalog, as opposed to region/includeAdult defaults
+function hasCatalogFilters(filters = {}) {
+  return ['language', 'minRating', 'maxRuntime', 'releasedAfter'].some(key => filters[key] !== undefined && filters[key] !== null) ||
+    Boolean(filters.includeAdult);
+}
+
+// The same predicate for TMDB results and local rows. Runtime is missing from
+// TMDB list results, so an unknown runtime passes the maxRuntime check.
+function matchesFilters(movie, filters = {}) {
+  const { language, minRating, maxRuntime, includeAdult, releasedAfter } = filters;
+
+  if (!includeAdult && movie.adult) return false;
+  if (language && movie.original_language !== language) return false;
+  if (minRating !== undefined && minRating !== null && (Number(movie.vote_average) || 0) < minRating) return false;
+  if (maxRuntime !== undefined && maxRuntime !== null && movie.runtime && movie.runtime > maxRuntime) return false;
+  if (releasedAfter && !(movie.release_date && movie.release_date >= releasedAfter)) return false;
+  return true;
+}
+
+module.exports = {
+  MAX_LIMIT,
+  MAX_PAGE,
+  suggestionQuerySchema,
+  catalogQuerySchema,
+  toCatalogFilters,
+  hasCatalogFilters,
+  matchesFilters
+};
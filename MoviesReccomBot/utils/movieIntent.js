@@ -0,0 +1,55 @@
+const { findGenreTerms } = require('./memberPreferences');
+
+// Strong signals: someone is explicitly talking about watching something
+const WATCH_PATTERNS = [
+  /\bmovies?\b/, /\bfilms?\b/, /\bcinema\b/, /\btheat(er|re)\b/, /\bmultiplex\b/, /\bpvr\b/, /\binox\b/,
+  /\bnetflix\b/, /\bprime video\b/, /\bhotstar\b/, /\bott\b/, /\bshowtimes?\b/, /\btrailer\b/,
+  /\bwhat should we watch\b/, /\bwatch (something|a|the|this|it)\b/, /\bmovie night\b/
+];
+
+// Weaker signals that only count alongside others
+const SOFT_PATTERNS = [/\bwatch(ing)?\b/, /\bseen\b/, /\bpopcorn\b/, /\btickets?\b/, /\bsequel\b/];
+
+// How many points a window of messages needs before we call it movie talk
+const INTENT_THRESHOLD = 2;
+
+// Score how strongly a set of messages is about choosing a movie
+function detectMovieIntent(messages = []) {
+  let score = 0;
+  const matches = [];
+
+  messages.forEach(msg => {
+    const text = String(msg.text || msg.content || '').toLowerCase();
+
+    WATCH_PATTERNS.forEach(pattern => {
+      const match = text.match(pattern);
+      if (match) {
+        score += 2;
+        matches.push(match[0]);
+      }
+    });
+
+    SOFT_PATTERNS.forEach(pattern => {
+      const match = text.match(pattern);
+      if (match) {
+        score += 1;
+        matches.push(match[0]);
+      }
+    });
+
+    const genres = findGenreTerms(text);
+    score += genres.length;
+    matches.push(...genres);
+  });
+
+  return {
+    isMovieTalk: score >= INTENT_THRESHOLD,
+    score,
+    matches: [...new Set(matches)]
+  };
+}
+
+module.exports = {
+  detectMovieIntent,
+  INTENT_THRESHOLD
+};
\ No newline at end of file
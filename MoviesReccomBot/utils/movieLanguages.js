@@ -0,0 +1,73 @@
+const { containsTerm } = require('../../shared/language');
+
+// Words for a film industry or language, mapped to TMDB original_language (ISO 639-1)
+const MOVIE_LANGUAGE_TERMS = {
+  hi: ['hindi', 'bollywood', 'हिंदी', 'हिन्दी', 'बॉलीवुड'],
+  mr: ['marathi', 'मराठी'],
+  ta: ['tamil', 'kollywood', 'तमिळ', 'तमिल'],
+  te: ['telugu', 'tollywood', 'तेलुगु'],
+  ml: ['malayalam', 'mollywood', 'मलयालम'],
+  kn: ['kannada', 'sandalwood', 'कन्नड़', 'कन्नड'],
+  bn: ['bengali', 'bangla', 'बंगाली'],
+  pa: ['punjabi', 'पंजाबी'],
+  en: ['english', 'hollywood', 'इंग्लिश', 'अंग्रेज़ी', 'हॉलीवुड'],
+  ko: ['korean', 'k-drama', 'kdrama'],
+  ja: ['japanese', 'anime']
+};
+
+// Nicknames like "bollywood" are about films on their own; a bare language
+// name only counts next to a film word ("hindi movie", not "hindi mein bolo")
+const INDUSTRY_TERMS = ['bollywood', 'kollywood', 'tollywood', 'mollywood', 'sandalwood', 'hollywood', 'k-drama', 'kdrama', 'anime', 'बॉलीवुड', 'हॉलीवुड'];
+const FILM_WORDS = /\b(movies?|films?|picture|pic|cinema|flick)\b|फिल्म|फ़िल्म|चित्रपट|सिनेमा|पिक्चर|पिच्चर/i;
+const NEGATIVE = /\b(no|not|hate|nahi|nahin|nako|bilkul)\b|नहीं|नाही|नको/i;
+
+// Boost for a movie in a language the group asked for, like applySimilarity's
+const LANGUAGE_BOOST = 0.15;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// "Hindi", "hi" or "हिंदी" -> "hi"; unknown values -> null
+function toLanguageCode(value) {
+  const text = String(value || '').toLowerCase().trim();
+  if (MOVIE_LANGUAGE_TERMS[text]) return text;
+  return Object.keys(MOVIE_LANGUAGE_TERMS)
+    .find(code => MOVIE_LANGUAGE_TERMS[code].includes(text)) || null;
+}
+
+// Languages the chat asks for, as TMDB original_language codes
+function extractLanguagePreferences(chatMessages = []) {
+  const codes = new Set();
+
+  chatMessages.forEach(msg => {
+    String(msg.text || msg.content || '')
+      .split(/[.,!?;।]+|\bbut\b|\blekin\b/i)
+      .filter(clause => !NEGATIVE.test(clause))
+      .forEach(clause => {
+        Object.keys(MOVIE_LANGUAGE_TERMS).forEach(code => {
+          const matched = MOVIE_LANGUAGE_TERMS[code].some(term =>
+            containsTerm(clause, term) && (INDUSTRY_TERMS.includes(term) || FILM_WORDS.test(clause)));
+          if (matched) codes.add(code);
+        });
+      });
+  });
+
+  return [...codes];
+}
+
+// Raise movies in a preferred original_language and re-sort
+function applyLanguagePreference(movies, languages = [], scoreField = 'score') {
+  if (!languages || languages.length === 0) return movies;
+
+  return movies
+    .map(movie => (languages.includes(movie.original_language)
+      ? { ...movie, [scoreField]: round(movie[scoreField] + LANGUAGE_BOOST), languageMatch: movie.original_language }
+      : movie))
+    .sort((a, b) => b[scoreField] - a[scoreField]);
+}
+
+module.exports = {
+  MOVIE_LANGUAGE_TERMS,
+  toLanguageCode,
+  extractLanguagePreferences,
+  applyLanguagePreference
+};
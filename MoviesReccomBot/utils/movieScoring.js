@@ -0,0 +1,119 @@
+const { resolveGenreIds, resolveMoodGenreIds, getGenreName } = require('./genres');
+const { termRegExp } = require('../../shared/language');
+
+// Relative weight of each signal in the final score (sums to 1)
+const WEIGHTS = {
+  genre: 0.45,
+  theme: 0.15,
+  mood: 0.1,
+  rating: 0.2,
+  recency: 0.1
+};
+
+// Bayesian rating prior: movies with few votes are pulled towards the mean
+const RATING_PRIOR_MEAN = 6.5;
+const RATING_PRIOR_VOTES = 50;
+
+// Age at which the recency signal has dropped to half
+const RECENCY_HALF_LIFE_DAYS = 365;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Weighted rating on a 0-1 scale
+function ratingSignal(movie) {
+  const rating = Number(movie.vote_average) || 0;
+  const votes = Number(movie.vote_count) || 0;
+  const weighted = (votes / (votes + RATING_PRIOR_VOTES)) * rating +
+    (RATING_PRIOR_VOTES / (votes + RATING_PRIOR_VOTES)) * RATING_PRIOR_MEAN;
+  return Math.min(1, Math.max(0, weighted / 10));
+}
+
+// 1 for upcoming or brand-new releases, decaying with age
+function recencySignal(movie, now = Date.now()) {
+  const released = Date.parse(movie.release_date);
+  if (Number.isNaN(released)) return 0;
+
+  const ageDays = (now - released) / (1000 * 60 * 60 * 24);
+  if (ageDays <= 0) return 1;
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+// Themes that start a word in the overview or tagline ("heist" matches "heists").
+// termRegExp escapes the theme and finds word starts in Devanagari too, where \b does not work.
+function matchThemes(movie, themes = []) {
+  const text = `${movie.overview || ''} ${movie.tagline || ''}`;
+  return themes.filter(theme => {
+    const term = String(theme || '').trim();
+    return term && termRegExp(term, '[\\p{L}\\p{M}]*').test(text);
+  });
+}
+
+// Build the lookup data for a preferences object once, so it can be reused per movie
+function compilePreferences(preferences = {}) {
+  return {
+    genreIds: resolveGenreIds(preferences.genres || []),
+    moodGenreIds: resolveMoodGenreIds(preferences.mood),
+    themes: preferences.themes || [],
+    mood: preferences.mood || null
+  };
+}
+
+// Score one movie against compiled preferences; returns the score and the signals that matched
+function scoreMovie(movie, compiled, options = {}) {
+  const movieGenreIds = movie.genre_ids || [];
+
+  const matchedGenreIds = compiled.genreIds.filter(id => movieGenreIds.includes(id));
+  const genreScore = compiled.genreIds.length > 0
+    ? matchedGenreIds.length / compiled.genreIds.length
+    : 0;
+
+  const matchedThemes = matchThemes(movie, compiled.themes);
+  const themeScore = compiled.themes.length > 0
+    ? matchedThemes.length / compiled.themes.length
+    : 0;
+
+  const moodMatched = compiled.moodGenreIds.some(id => movieGenreIds.includes(id));
+  const rating = ratingSignal(movie);
+  const recency = recencySignal(movie, options.now);
+
+  const breakdown = {
+    genre: round(genreScore * WEIGHTS.genre),
+    theme: round(themeScore * WEIGHTS.theme),
+    mood: round((moodMatched ? 1 : 0) * WEIGHTS.mood),
+    rating: round(rating * WEIGHTS.rating),
+    recency: round(recency * WEIGHTS.recency)
+  };
+
+  const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+  return {
+    score: round(score),
+    breakdown,
+    matchedSignals: {
+      genres: matchedGenreIds.map(getGenreName),
+      themes: matchedThemes,
+      mood: moodMatched ? compiled.mood : null,
+      rating: round(rating),
+      recency: round(recency)
+    }
+  };
+}
+
+// Score and sort a list of movies, best match first
+function rankMovies(movies, preferences, options = {}) {
+  const compiled = compilePreferences(preferences);
+
+  return movies
+    .map(movie => ({ ...movie, ...scoreMovie(movie, compiled, options) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  WEIGHTS,
+  compilePreferences,
+  scoreMovie,
+  rankMovies,
+  ratingSignal,
+  recencySignal,
+  matchThemes
+};
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Content-based "more like this": TF-IDF vectors over each movie's overview,
+// tagline, keywords and genres, compared with cosine similarity.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her',
+  'his', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'them',
+  'they', 'this', 'to', 'was', 'when', 'who', 'will', 'with', 'after', 'one', 'two', 'more', 'than',
+  'what', 'where', 'while', 'him', 'all', 'out', 'up', 'just', 'only', 'can', 'must', 'new'
+]);
+
+// Genres are strong evidence of "like", so each counts as several words
+const GENRE_TERM_WEIGHT = 3;
+
+// Added to a movie's ranking score at similarity 1 when it is like a mentioned movie
+const SIMILARITY_BOOST = 0.35;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+// Loose title key so "interstellar", "Interstellar (2014)" and "INTERSTELLAR!" match
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\(\d{4}\)/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function termCounts(movie) {
+  const counts = new Map();
+  const add = (term, weight = 1) => counts.set(term, (counts.get(term) || 0) + weight);
+
+  tokenize(`${movie.overview || ''} ${movie.tagline || ''}`).forEach(token => add(token));
+  (movie.keywords || []).forEach(keyword => tokenize(keyword).forEach(token => add(token)));
+  (movie.genre_ids || []).forEach(id => add(`genre:${id}`, GENRE_TERM_WEIGHT));
+  return counts;
+}
+
+// Unit-length TF-IDF vector; terms the corpus has never seen are ignored
+function toVector(counts, idf) {
+  const vector = new Map();
+  let norm = 0;
+  counts.forEach((count, term) => {
+    if (!idf.has(term)) return;
+    const weight = count * idf.get(term);
+    vector.set(term, weight);
+    norm += weight * weight;
+  });
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) vector.forEach((weight, term) => vector.set(term, weight / norm));
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    if (large.has(term)) dot += weight * large.get(term);
+  });
+  return dot;
+}
+
+// Pre-compute vectors for a corpus of movies
+function buildSimilarityIndex(movies = []) {
+  const documents = movies.map(movie => ({ movie, counts: termCounts(movie) }));
+
+  const documentFrequency = new Map();
+  documents.forEach(({ counts }) => {
+    counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const idf = new Map();
+  documentFrequency.forEach((frequency, term) => {
+    idf.set(term, Math.log((1 + documents.length) / (1 + frequency)) + 1);
+  });
+
+  return {
+    idf,
+    entries: documents.map(({ movie, counts }) => ({ movie, vector: toVector(counts, idf) }))
+  };
+}
+
+// Corpus movies most similar to the seed; the seed itself need not be in the corpus
+function findSimilar(index, seed, { limit = 10, minSimilarity = 0.05 } = {}) {
+  const seedVector = toVector(termCounts(seed), index.idf);
+  if (seedVector.size === 0) return [];
+
+  return index.entries
+    .filter(({ movie }) => movie.id !== seed.id)
+    .map(({ movie, vector }) => ({ movie, similarity: round(cosine(seedVector, vector)) }))
+    .filter(({ similarity }) => similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+// Raise the score of movies tagged with `likeThis` (see tmdbService.getMoreLikeThis) and re-sort
+function applySimilarity(movies, scoreField = 'score') {
+  return movies
+    .map(movie => (movie.likeThis
+      ? { ...movie, [scoreField]: round(movie[scoreField] + movie.likeThis.similarity * SIMILARITY_BOOST) }
+      : movie))
+    .sort((a, b) => b[scoreField] - a[scoreField]);
+}
+
+module.exports = {
+  SIMILARITY_BOOST,
+  tokenize,
+  normalizeTitle,
+  buildSimilarityIndex,
+  findSimilar,
+  applySimilarity
+};
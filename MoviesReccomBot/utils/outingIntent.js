@@ -0,0 +1,37 @@
+const { detectMovieIntent } = require('./movieIntent');
+const { matchLexicon } = require('../../shared/lexicon');
+const { messageText } = require('../../shared/chat');
+
+const OUTING_KINDS = ['movie', 'food', 'activity'];
+
+// Lexicon keywords too vague to mean "let's do an activity" on their own;
+// movie and theater are left to detectMovieIntent
+const VAGUE_ACTIVITY_WORDS = ['fun', 'activity', 'entertainment', 'show', 'movie', 'theater', 'see', 'visit'];
+
+// What the group wants to do: a movie, food, an activity or a combination.
+// Returns { kinds, combination, signals } where signals lists the words behind each kind.
+function detectOutingIntent(messages = []) {
+  const humanMessages = messages.filter(msg => !msg.bot);
+  const text = humanMessages.map(messageText).join('\n').toLowerCase();
+
+  const movie = detectMovieIntent(humanMessages);
+  const signals = {
+    movie: movie.isMovieTalk ? movie.matches : [],
+    food: matchLexicon(text, 'food'),
+    activity: [...matchLexicon(text, 'activity'), ...matchLexicon(text, 'attraction')]
+      .filter(keyword => !VAGUE_ACTIVITY_WORDS.includes(keyword))
+  };
+
+  const kinds = OUTING_KINDS.filter(kind => signals[kind].length > 0);
+
+  return {
+    kinds,
+    combination: kinds.length > 1,
+    signals
+  };
+}
+
+module.exports = {
+  OUTING_KINDS,
+  detectOutingIntent
+};
@@ -0,0 +1,65 @@
+// Text the bot shows to the group, in the chat's dominant locale
+// (en, hi, hi-Latn, mr, mr-Latn; see shared/language)
+
+const SUGGESTION_MESSAGES = {
+  en: [
+    (count, summary) => `We found ${count} perfect movies for your group! Based on your chat about "${summary}"`,
+    (count, summary) => `These ${count} movies match your group's vibe perfectly! You were discussing "${summary}"`,
+    (count, summary) => `Great news! We've picked ${count} movies that align with your conversation about "${summary}"`
+  ],
+  hi: [
+    (count, summary) => `आपके ग्रुप के लिए ${count} बढ़िया फिल्में मिलीं! आपकी बातचीत के आधार पर: "${summary}"`,
+    (count, summary) => `ये ${count} फिल्में आपके ग्रुप के मूड से एकदम मेल खाती हैं! आप बात कर रहे थे: "${summary}"`
+  ],
+  'hi-Latn': [
+    (count, summary) => `Aapke group ke liye ${count} badhiya movies mili! Aapki chat ke hisaab se: "${summary}"`,
+    (count, summary) => `Ye ${count} movies aapke group ke vibe se ekdum match karti hain! Aap baat kar rahe the: "${summary}"`
+  ],
+  mr: [
+    (count, summary) => `तुमच्या ग्रुपसाठी ${count} मस्त चित्रपट सापडले! तुमच्या गप्पांवरून: "${summary}"`,
+    (count, summary) => `हे ${count} चित्रपट तुमच्या ग्रुपच्या मूडशी अगदी जुळतात! तुम्ही बोलत होतात: "${summary}"`
+  ],
+  'mr-Latn': [
+    (count, summary) => `Tumchya group sathi ${count} mast movies sapadle! Tumchya gappanvarun: "${summary}"`,
+    (count, summary) => `He ${count} movies tumchya group chya mood shi agdi jultat! Tumhi bolat hotat: "${summary}"`
+  ]
+};
+
+// Prefix for an explanation's summary, e.g. "Matches Thriller, Comedy"
+const MATCHES = {
+  en: 'Matches',
+  hi: 'मेल खाता है:',
+  'hi-Latn': 'Match karta hai:',
+  mr: 'जुळते:',
+  'mr-Latn': 'Julte:'
+};
+
+// Explanation when nothing specific matched
+const GENERIC_REASON = {
+  en: 'Popular with good ratings right now',
+  hi: 'अभी लोकप्रिय और अच्छी रेटिंग वाली',
+  'hi-Latn': 'Abhi popular hai aur rating achhi hai',
+  mr: 'सध्या लोकप्रिय आणि चांगले रेटिंग',
+  'mr-Latn': 'Sadhya popular ani changla rating'
+};
+
+const pick = (table, locale) => table[locale] || table.en;
+
+function suggestionMessage(movieCount, summary, locale = 'en') {
+  const messages = pick(SUGGESTION_MESSAGES, locale);
+  return messages[Math.floor(Math.random() * messages.length)](movieCount, summary);
+}
+
+function matchesLabel(locale = 'en') {
+  return pick(MATCHES, locale);
+}
+
+function genericReason(locale = 'en') {
+  return pick(GENERIC_REASON, locale);
+}
+
+module.exports = {
+  suggestionMessage,
+  matchesLabel,
+  genericReason
+};
@@ -0,0 +1,92 @@
+// Vote counting for group polls. Options are [{ id, label }], votes are
+// { voter, approvals: [optionId] } for approval polls and
+// { voter, ranking: [optionId, ...] } (most preferred first) for ranked polls.
+
+// Earlier options win ties, so results are deterministic
+function pickByCount(options, counts) {
+  let best = null;
+  options.forEach(option => {
+    if (best === null || counts[option.id] > counts[best.id]) best = option;
+  });
+  return best;
+}
+
+function tallyApproval(options, votes) {
+  const counts = Object.fromEntries(options.map(option => [option.id, 0]));
+
+  votes.forEach(vote => {
+    new Set(vote.approvals || []).forEach(optionId => {
+      if (optionId in counts) counts[optionId] += 1;
+    });
+  });
+
+  const winner = votes.length > 0 ? pickByCount(options, counts) : null;
+  const topCount = winner ? counts[winner.id] : 0;
+
+  return {
+    method: 'approval',
+    totalVotes: votes.length,
+    counts,
+    winner: winner && topCount > 0 ? winner : null,
+    tie: topCount > 0 && options.filter(option => counts[option.id] === topCount).length > 1
+  };
+}
+
+// Instant-runoff: repeatedly drop the option with the fewest first preferences
+// until one has a majority of the ballots still in play
+function tallyRankedChoice(options, votes) {
+  const ballots = votes
+    .map(vote => (vote.ranking || []).filter(optionId => options.some(option => option.id === optionId)))
+    .filter(ranking => ranking.length > 0);
+
+  let remaining = [...options];
+  const rounds = [];
+
+  while (remaining.length > 0) {
+    const counts = Object.fromEntries(remaining.map(option => [option.id, 0]));
+    let activeBallots = 0;
+
+    ballots.forEach(ranking => {
+      const choice = ranking.find(optionId => optionId in counts);
+      if (choice) {
+        counts[choice] += 1;
+        activeBallots += 1;
+      }
+    });
+
+    rounds.push({ counts, activeBallots });
+
+    if (activeBallots === 0) break;
+
+    const leader = pickByCount(remaining, counts);
+    if (counts[leader.id] * 2 > activeBallots || remaining.length === 1) {
+      const tie = remaining.filter(option => counts[option.id] === counts[leader.id]).length > 1;
+      return { method: 'ranked', totalVotes: ballots.length, rounds, winner: leader, tie };
+    }
+
+    const lowest = Math.min(...remaining.map(option => counts[option.id]));
+    const eliminated = remaining.filter(option => counts[option.id] === lowest);
+
+    // Everyone tied: fall back to option order rather than eliminating all
+    if (eliminated.length === remaining.length) {
+      return { method: 'ranked', totalVotes: ballots.length, rounds, winner: remaining[0], tie: true };
+    }
+
+    rounds[rounds.length - 1].eliminated = eliminated.map(option => option.id);
+    remaining = remaining.filter(option => !eliminated.includes(option));
+  }
+
+  return { method: 'ranked', totalVotes: ballots.length, rounds, winner: null, tie: false };
+}
+
+function tally(method, options, votes) {
+  return method === 'ranked'
+    ? tallyRankedChoice(options, votes)
+    : tallyApproval(options, votes);
+}
+
+module.exports = {
+  tally,
+  tallyApproval,
+  tallyRankedChoice
+};
\ No newline at end of file
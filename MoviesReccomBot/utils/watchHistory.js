@@ -0,0 +1,64 @@
+// Turns recorded watch history into ranking rules for getMoviesByPreferences.
+//
+// Chat-level history describes the whole group: anything the group already
+// watched or disliked is excluded outright, dismissed titles are down-ranked.
+// User-level history only describes one member, so it only ever down-ranks,
+// compounding for every member it applies to.
+
+const HISTORY_STATUSES = ['watched', 'dismissed', 'disliked'];
+
+const CHAT_EXCLUDED = ['watched', 'disliked'];
+const CHAT_PENALTY = { dismissed: 0.5 };
+const USER_PENALTY = { watched: 0.75, disliked: 0.6, dismissed: 0.85 };
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// chatHistory: [{ movieId, status }], userHistories: { userId: [{ movieId, status }] }
+function buildHistoryRules(chatHistory = [], userHistories = {}) {
+  const excluded = {};
+  const penalties = {};
+
+  const addPenalty = (movieId, factor, reason) => {
+    const entry = penalties[movieId] || { factor: 1, reasons: [] };
+    entry.factor = round(entry.factor * factor);
+    entry.reasons.push(reason);
+    penalties[movieId] = entry;
+  };
+
+  chatHistory.forEach(({ movieId, status }) => {
+    if (CHAT_EXCLUDED.includes(status)) excluded[movieId] = status;
+    else if (CHAT_PENALTY[status]) addPenalty(movieId, CHAT_PENALTY[status], `group ${status}`);
+  });
+
+  Object.keys(userHistories).forEach(userId => {
+    (userHistories[userId] || []).forEach(({ movieId, status }) => {
+      if (USER_PENALTY[status]) addPenalty(movieId, USER_PENALTY[status], `${userId} ${status}`);
+    });
+  });
+
+  return { excluded, penalties };
+}
+
+// Drop excluded movies, scale the ranking score of penalized ones and re-sort
+function applyHistory(movies, rules, scoreField = 'score') {
+  if (!rules) return movies;
+
+  return movies
+    .filter(movie => !rules.excluded[movie.id])
+    .map(movie => {
+      const penalty = rules.penalties[movie.id];
+      if (!penalty) return movie;
+      return {
+        ...movie,
+        [scoreField]: round(movie[scoreField] * penalty.factor),
+        history: { penalty: penalty.factor, reasons: penalty.reasons }
+      };
+    })
+    .sort((a, b) => b[scoreField] - a[scoreField]);
+}
+
+module.exports = {
+  HISTORY_STATUSES,
+  buildHistoryRules,
+  applyHistory
+};
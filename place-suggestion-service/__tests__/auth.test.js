@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const {
+  createAuth,
+  resolveAuthConfig,
+  bearerToken,
+  isServiceKey,
+  TokenError
+} = require('../../shared/auth');
+const { FirebaseTokenVerifier } = require('../../shared/auth/firebaseTokens');
+
+const PROJECT_ID = 'demo-plan-outings';
+const now = () => Math.floor(Date.now() / 1000);
+
+const claims = (overrides = {}) => ({
+  aud: PROJECT_ID,
+  iss: `https://securetoken.google.com/${PROJECT_ID}`,
+  sub: 'alice',
+  iat: now() - 10,
+  exp: now() + 3600,
+  ...overrides
+});
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Unsigned token, as the Auth emulator issues them
+const emulatorToken = (payload = claims()) => `${segment({ alg: 'none', typ: 'JWT' })}.${segment(payload)}.`;
+
+// RS256 token signed with a local key pair standing in for Google's
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+
+function signedToken(payload = claims(), { kid = 'key-1', key = privateKey } = {}) {
+  const signedPart = `${segment({ alg: 'RS256', kid, typ: 'JWT' })}.${segment(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signedPart), key).toString('base64url');
+  return `${signedPart}.${signature}`;
+}
+
+const verifierWith = (fetchCerts) => new FirebaseTokenVerifier({ projectId: PROJECT_ID, fetchCerts });
+const googleCerts = jest.fn(async () => ({ certs: { 'key-1': PUBLIC_PEM }, maxAgeSeconds: 3600 }));
+
+// Just enough of an Express request/response for the middleware
+const fakeReq = (headers = {}, params = {}) => ({ headers, params });
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Run one middleware; resolves with the response and whether next() was reached
+async function run(middleware, req) {
+  const res = fakeRes();
+  let nextCalled = false;
+  await middleware(req, res, (error) => {
+    if (error) throw error;
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveAuthConfig', () => {
+  test('refuses to start without any auth configuration', () => {
+    expect(() => resolveAuthConfig({})).toThrow('Auth is not configured');
+  });
+
+  test.each([
+    [{ AUTH_MODE: 'off' }, { mode: 'off', projectId: null }],
+    [{ FIREBASE_AUTH_EMULATOR_HOST: 'localhost:9099' }, { mode: 'emulator', projectId: PROJECT_ID }],
+    [{ FIREBASE_PROJECT_ID: 'prod' }, { mode: 'firebase', projectId: 'prod' }],
+    [{ AUTH_MODE: 'EMULATOR', FIREBASE_PROJECT_ID: 'prod' }, { mode: 'emulator', projectId: 'prod' }]
+  ])('%j', (env, expected) => {
+    expect(resolveAuthConfig(env)).toEqual(expected);
+  });
+
+  test('rejects unknown modes and firebase without a project', () => {
+    expect(() => resolveAuthConfig({ AUTH_MODE: 'maybe' })).toThrow('Unknown AUTH_MODE');
+    expect(() => resolveAuthConfig({ AUTH_MODE: 'firebase' })).toThrow('FIREBASE_PROJECT_ID');
+  });
+});
+
+describe('bearer tokens and service keys', () => {
+  test('reads the bearer token', () => {
+    expect(bearerToken(fakeReq({ authorization: 'Bearer abc.def' }))).toBe('abc.def');
+    expect(bearerToken(fakeReq({ authorization: 'Basic abc' }))).toBeNull();
+    expect(bearerToken(fakeReq())).toBeNull();
+  });
+
+  test('matches the service key exactly', () => {
+    expect(isServiceKey('svc-key', 'svc-key')).toBe(true);
+    expect(isServiceKey('svc-ke', 'svc-key')).toBe(false);
+    expect(isServiceKey('svc-key', null)).toBe(false);
+  });
+});
+
+describe('FirebaseTokenVerifier', () => {
+  test('accepts a token signed with a current Google key', async () => {
+    await expect(verifierWith(googleCerts).verify(signedToken())).resolves.toMatchObject({ sub: 'alice' });
+  });
+
+  test.each([
+    ['signed with another key', () => signedToken(claims(), { key: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey }), 'signature is invalid'],
+    ['with an unknown kid', () => signedToken(claims(), { kid: 'key-2' }), 'unknown key'],
+    ['with a prototype kid', () => signedToken(claims(), { kid: 'constructor' }), 'unknown key'],
+    ['unsigned outside the emulator', () => emulatorToken(), 'instead of RS256'],
+    ['for another project', () => signedToken(claims({ aud: 'other' })), 'not "demo-plan-outings"'],
+    ['from another issuer', () => signedToken(claims({ iss: 'https://example.com' })), 'unexpected issuer'],
+    ['without a subject', () => signedToken(claims({ sub: '' })), 'no valid subject'],
+    ['that is not a JWT', () => 'not-a-token', 'not a valid JWT']
+  ])('rejects a token %s', async (label, token, message) => {
+    const error = await verifierWith(googleCerts).verify(token()).catch(e => e);
+    expect(error).toBeInstanceOf(TokenError);
+    expect(error.code).toBe('INVALID_TOKEN');
+    expect(error.message).toContain(message);
+  });
+
+  test('reports expired tokens separately', async () => {
+    const error = await verifierWith(googleCerts).verify(signedToken(claims({ exp: now() - 1 }))).catch(e => e);
+    expect(error.code).toBe('TOKEN_EXPIRED');
+  });
+
+  test('is unavailable, not invalid, when the certificates cannot be fetched', async () => {
+    const verifier = verifierWith(async () => { throw new Error('network down'); });
+    const error = await verifier.verify(signedToken()).catch(e => e);
+    expect(error.code).toBe('AUTH_UNAVAILABLE');
+  });
+
+  test('concurrent requests share one certificate fetch', async () => {
+    const fetchCerts = jest.fn(async () => ({ certs: { 'key-1': PUBLIC_PEM }, maxAgeSeconds: 3600 }));
+    const verifier = verifierWith(fetchCerts);
+
+    await Promise.all([verifier.verify(signedToken()), verifier.verify(signedToken()), verifier.verify(signedToken())]);
+    await verifier.verify(signedToken());
+    expect(fetchCerts).toHaveBeenCalledTimes(1);
+  });
+
+  test('the emulator accepts unsigned tokens but still checks claims', async () => {
+    const verifier = new FirebaseTokenVerifier({ projectId: PROJECT_ID, emulator: true });
+    await expect(verifier.verify(emulatorToken())).resolves.toMatchObject({ sub: 'alice' });
+    await expect(verifier.verify(emulatorToken(claims({ aud: 'other' })))).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+});
+
+describe('createAuth', () => {
+  // Tokens are plain uids; a few special ones fail the way real verifiers do
+  const stubVerifier = {
+    async verify(token) {
+      if (token === 'expired') throw new TokenError('TOKEN_EXPIRED', 'The ID token has expired');
+      if (token === 'unavailable') throw new TokenError('AUTH_UNAVAILABLE', 'Could not check the ID token');
+      if (token === 'garbled') throw new SyntaxError('Unexpected token');
+      if (!/^[a-z]+$/.test(token)) throw new TokenError('INVALID_TOKEN', 'The ID token is invalid');
+      return { sub: token, email: `${token}@example.com` };
+    }
+  };
+
+  const env = { AUTH_MODE: 'emulator', SERVICE_API_KEY: 'svc-key' };
+  const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+  describe('authenticate', () => {
+    const { authenticate } = createAuth({ env, verifier: stubVerifier });
+
+    test('sets req.user from the token', async () => {
+      const req = fakeReq(bearer('alice'));
+      const { nextCalled } = await run(authenticate, req);
+
+      expect(nextCalled).toBe(true);
+      expect(req.user).toMatchObject({ uid: 'alice', email: 'alice@example.com' });
+    });
+
+    test('accepts the service key as a trusted caller', async () => {
+      const req = fakeReq(bearer('svc-key'));
+      await run(authenticate, req);
+      expect(req.user).toMatchObject({ uid: 'service', service: true });
+    });
+
+    test.each([
+      ['no token', {}, 401, 'AUTH_REQUIRED', 'Bearer error="invalid_request"'],
+      ['an invalid token', bearer('Not-Valid'), 401, 'INVALID_TOKEN', 'Bearer error="invalid_token"'],
+      ['an expired token', bearer('expired'), 401, 'TOKEN_EXPIRED', 'Bearer error="invalid_token"'],
+      ['a token the verifier chokes on', bearer('garbled'), 401, 'INVALID_TOKEN', 'Bearer error="invalid_token"'],
+      ['no way to check tokens', bearer('unavailable'), 503, 'AUTH_UNAVAILABLE', undefined]
+    ])('answers %s', async (label, headers, status, code, challenge) => {
+      const { res, nextCalled } = await run(authenticate, fakeReq(headers));
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(status);
+      expect(res.body).toMatchObject({ success: false, code });
+      expect(res.headers['WWW-Authenticate']).toBe(challenge);
+    });
+
+    test('lets everyone through when auth is off', async () => {
+      const off = createAuth({ env: { AUTH_MODE: 'off' } });
+      const req = fakeReq();
+      const { nextCalled } = await run(off.authenticate, req);
+
+      expect(nextCalled).toBe(true);
+      expect(req.user).toBeNull();
+    });
+  });
+
+  describe('requireChatMember', () => {
+    // chats/{chatId}/members as the movie bot stores them
+    const members = { c1: { alice: true, bob: { name: 'Bob' }, carol: false } };
+    const isMember = jest.fn(async (chatId, uid) => {
+      const member = (members[chatId] || {})[uid];
+      return member !== undefined && member !== false;
+    });
+    const auth = createAuth({ env, verifier: stubVerifier });
+    const requireMember = auth.requireChatMember(isMember);
+
+    // authenticate then requireChatMember, like the routes
+    async function request(token, chatId) {
+      const req = fakeReq(token ? bearer(token) : {}, { chatId });
+      const authenticated = await run(auth.authenticate, req);
+      return authenticated.nextCalled ? run(requireMember, req) : authenticated;
+    }
+
+    beforeEach(() => {
+      isMember.mockClear();
+    });
+
+    test.each(['alice', 'bob'])('lets member %s in', async (uid) => {
+      expect((await request(uid, 'c1')).nextCalled).toBe(true);
+    });
+
+    test.each(['carol', 'dave'])('turns away %s', async (uid) => {
+      const { res, nextCalled } = await request(uid, 'c1');
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toMatchObject({ code: 'NOT_A_MEMBER', message: 'You are not a member of chat c1' });
+    });
+
+    test('trusts services with any chat without a lookup', async () => {
+      expect((await request('svc-key', 'c2')).nextCalled).toBe(true);
+      expect(isMember).not.toHaveBeenCalled();
+    });
+
+    test('needs a signed-in user', async () => {
+      const { res } = await run(requireMember, fakeReq({}, { chatId: 'c1' }));
+      expect(res.statusCode).toBe(401);
+      expect(res.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    test.each(['a.b', 'a/b', 'chats#1', 'x'.repeat(129)])('rejects chat ID %# before touching the database', async (chatId) => {
+      const { res } = await request('alice', chatId);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+      expect(isMember).not.toHaveBeenCalled();
+    });
+
+    test('still validates chat IDs when auth is off', async () => {
+      const off = createAuth({ env: { AUTH_MODE: 'off' } });
+      const { res } = await run(off.requireChatMember(isMember), fakeReq({}, { chatId: 'a.b' }));
+      expect(res.statusCode).toBe(400);
+    });
+
+    test('passes requests without a chat through', async () => {
+      expect((await run(requireMember, fakeReq({}, {}))).nextCalled).toBe(true);
+    });
+  });
+});
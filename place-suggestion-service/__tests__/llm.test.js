@@ -0,0 +1,204 @@
+const Joi = require('joi');
+const {
+  LLMRegistry,
+  LLMError,
+  BaseProvider,
+  MockProvider,
+  GeminiProvider,
+  resolveTaskConfig,
+  generateStructured,
+  extractJSON,
+  SOURCES
+} = require('../../shared/llm');
+
+const schema = Joi.object({
+  genres: Joi.array().items(Joi.string()).required(),
+  mood: Joi.string().required()
+});
+
+// Registry stand-in that answers each call with the next scripted text
+const scripted = (...texts) => {
+  const prompts = [];
+  return {
+    prompts,
+    async complete(task, params) {
+      prompts.push(params.prompt);
+      return { text: texts[prompts.length - 1], provider: 'scripted', ruleBased: false };
+    }
+  };
+};
+
+describe('resolveTaskConfig', () => {
+  const defaults = { provider: 'gemini', model: 'gemini-pro' };
+
+  test('uses the service defaults when nothing is set', () => {
+    expect(resolveTaskConfig('movie_preferences', defaults, {})).toEqual({
+      provider: 'gemini',
+      model: 'gemini-pro',
+      timeoutMs: 30000,
+      maxRetries: 2
+    });
+  });
+
+  test('per-task variables win over global ones', () => {
+    const env = {
+      LLM_PROVIDER: 'openai',
+      LLM_MODEL: 'gpt-4o-mini',
+      LLM_PLACE_ANALYSIS_PROVIDER: 'mock',
+      LLM_PLACE_ANALYSIS_MAX_RETRIES: '0'
+    };
+
+    expect(resolveTaskConfig('place-analysis', defaults, env)).toMatchObject({ provider: 'mock', model: 'gpt-4o-mini', maxRetries: 0 });
+    expect(resolveTaskConfig('other', defaults, env)).toMatchObject({ provider: 'openai', model: 'gpt-4o-mini', maxRetries: 2 });
+  });
+
+  test('the default model only applies to the default provider', () => {
+    expect(resolveTaskConfig('task', defaults, { LLM_PROVIDER: 'local' }).model).toBeUndefined();
+  });
+});
+
+describe('LLMRegistry', () => {
+  test('runs tasks on the mock provider with registered handlers', async () => {
+    const registry = new LLMRegistry({
+      defaults: { provider: 'gemini' },
+      mockHandlers: { greet: ({ context }) => ({ hello: context.name }) },
+      env: { LLM_PROVIDER: 'mock' }
+    });
+
+    const result = await registry.complete('greet', { prompt: 'hi', context: { name: 'Priya' } });
+    expect(result).toMatchObject({ provider: 'mock', ruleBased: true });
+    expect(JSON.parse(result.text)).toEqual({ hello: 'Priya' });
+  });
+
+  test('reuses one provider instance per configuration', () => {
+    const registry = new LLMRegistry({ defaults: { provider: 'gemini' }, env: {} });
+    expect(registry.forTask('a')).toBeInstanceOf(GeminiProvider);
+    expect(registry.forTask('a')).toBe(registry.forTask('b'));
+  });
+
+  test('rejects unknown providers', () => {
+    const registry = new LLMRegistry({ env: { LLM_PROVIDER: 'nope' } });
+    expect(() => registry.forTask('a')).toThrow(LLMError);
+  });
+
+  test('the mock provider fails tasks it has no handler for', async () => {
+    await expect(new MockProvider().complete({ task: 'unknown', prompt: '' })).rejects.toThrow('no handler');
+  });
+});
+
+describe('BaseProvider retries', () => {
+  class FlakyProvider extends BaseProvider {
+    constructor(failures, retryable) {
+      super({ maxRetries: 2, retryDelayMs: 0 });
+      this.name = 'flaky';
+      this.failures = failures;
+      this.retryable = retryable;
+      this.calls = 0;
+    }
+
+    async request() {
+      this.calls++;
+      if (this.calls <= this.failures) {
+        throw new LLMError('busy', { provider: this.name, retryable: this.retryable });
+      }
+      return '{}';
+    }
+  }
+
+  test('retries retryable errors', async () => {
+    const provider = new FlakyProvider(2, true);
+    await expect(provider.complete({ prompt: '' })).resolves.toMatchObject({ text: '{}', attempts: 3 });
+  });
+
+  test('gives up straight away on errors that are not retryable', async () => {
+    const provider = new FlakyProvider(1, false);
+    await expect(provider.complete({ prompt: '' })).rejects.toThrow('busy');
+    expect(provider.calls).toBe(1);
+  });
+});
+
+describe('extractJSON', () => {
+  test.each([
+    ['plain JSON', '{"a":1}'],
+    ['a code fence', 'Here you go:\n```json\n{"a":1}\n```'],
+    ['surrounding prose', 'Sure! {"a":1} Hope that helps.'],
+    ['a trailing comma', '{"a":1,}']
+  ])('recovers JSON from %s', (label, text) => {
+    expect(extractJSON(text)).toEqual({ a: 1 });
+  });
+
+  test('ignores brackets inside strings', () => {
+    expect(extractJSON('Result: {"text": "a } b { c"}')).toEqual({ text: 'a } b { c' });
+  });
+
+  test('throws when there is no JSON', () => {
+    expect(() => extractJSON('no idea')).toThrow(SyntaxError);
+  });
+});
+
+describe('generateStructured', () => {
+  const valid = '{"genres": ["comedy"], "mood": "light"}';
+
+  test('returns valid model output as ai', async () => {
+    const result = await generateStructured(scripted(valid), 'task', { prompt: 'p' }, { schema });
+    expect(result).toMatchObject({ data: { genres: ['comedy'], mood: 'light' }, source: SOURCES.AI, provider: 'scripted' });
+  });
+
+  test('asks the model to repair invalid output', async () => {
+    const registry = scripted('{"genres": "comedy"}', valid);
+    const result = await generateStructured(registry, 'task', { prompt: 'p' }, { schema, maxRepairs: 1 });
+
+    expect(result.source).toBe(SOURCES.REPAIRED);
+    expect(registry.prompts[1]).toContain('"genres" must be an array');
+    expect(registry.prompts[1]).toContain('"mood" is required');
+  });
+
+  test('falls back once repairs run out', async () => {
+    const fallback = jest.fn(() => ({ genres: [], mood: 'any' }));
+    const registry = scripted('nope', 'still nope');
+    const result = await generateStructured(registry, 'task', { prompt: 'p' }, { schema, fallback, maxRepairs: 1 });
+
+    expect(result).toMatchObject({ data: { genres: [], mood: 'any' }, source: SOURCES.FALLBACK });
+    expect(registry.prompts).toHaveLength(2);
+    expect(fallback).toHaveBeenCalledWith(['No valid JSON found in model output']);
+  });
+
+  test('maxRepairs 0 skips the repair prompt', async () => {
+    const registry = scripted('nope', valid);
+    const result = await generateStructured(registry, 'task', { prompt: 'p' }, { schema, fallback: () => ({}), maxRepairs: 0 });
+
+    expect(result.source).toBe(SOURCES.FALLBACK);
+    expect(registry.prompts).toHaveLength(1);
+  });
+
+  test('LLM_MAX_REPAIRS=0 turns repairs off by default', async () => {
+    process.env.LLM_MAX_REPAIRS = '0';
+    try {
+      const registry = scripted('nope', valid);
+      await generateStructured(registry, 'task', { prompt: 'p' }, { schema, fallback: () => ({}) });
+      expect(registry.prompts).toHaveLength(1);
+    } finally {
+      delete process.env.LLM_MAX_REPAIRS;
+    }
+  });
+
+  test('falls back when the provider throws', async () => {
+    const registry = { complete: async () => { throw new LLMError('down'); } };
+    const result = await generateStructured(registry, 'task', { prompt: 'p' }, { schema, fallback: errors => ({ errors }) });
+    expect(result).toMatchObject({ data: { errors: ['down'] }, source: SOURCES.FALLBACK });
+  });
+
+  test('throws without a fallback', async () => {
+    await expect(generateStructured(scripted('nope', 'nope'), 'task', { prompt: 'p' }, { schema })).rejects.toThrow('task failed');
+  });
+
+  test('reports mock provider output as rule-based', async () => {
+    const registry = new LLMRegistry({
+      mockHandlers: { prefs: { genres: ['drama'], mood: 'serious' } },
+      env: { LLM_PROVIDER: 'mock' }
+    });
+
+    const result = await registry.completeJSON('prefs', { prompt: 'p' }, { schema });
+    expect(result).toMatchObject({ data: { genres: ['drama'] }, source: SOURCES.RULE_BASED, provider: 'mock' });
+  });
+});
@@ -0,0 +1,196 @@
+process.env.GOOGLE_PLACES_API_KEY = 'test-key';
+
+const { fetchPages, encodeCursor, decodeCursor, MAX_PAGES } = require('../pagination');
+const PlacesService = require('../places');
+
+const place = (n) => ({ place_id: `p${n}`, name: `Place ${n}`, vicinity: 'Pune', rating: 4 });
+
+// Three full pages of 20, linked by next_page_token like the Places API
+const PAGES = {
+  first: { status: 'OK', results: Array.from({ length: 20 }, (_, i) => place(i + 1)), next_page_token: 't2' },
+  t2: { status: 'OK', results: Array.from({ length: 20 }, (_, i) => place(i + 21)), next_page_token: 't3' },
+  t3: { status: 'OK', results: Array.from({ length: 20 }, (_, i) => place(i + 41)) }
+};
+
+// Stand-in for the @googlemaps client: answers from PAGES and records every request
+function stubClient(pages = PAGES) {
+  const calls = [];
+  const respond = async ({ params }) => {
+    calls.push(params);
+    return { data: pages[params.pagetoken || 'first'] };
+  };
+  return { calls, placesNearby: jest.fn(respond), textSearch: jest.fn(respond) };
+}
+
+function createService(client = stubClient()) {
+  const service = new PlacesService();
+  service.client = client;
+  service.pageTokenDelayMs = 1;
+  return service;
+}
+
+const ids = (places) => places.map(p => p.place_id);
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `p${from + i}`);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fetchPages', () => {
+  const fetchPage = async (token) => PAGES[token || 'first'];
+
+  test('stops inside a page once it has enough', async () => {
+    const { results, next } = await fetchPages(fetchPage, { maxResults: 25 });
+    expect(ids(results)).toEqual(range(1, 25));
+    expect(next).toEqual({ token: 't2', offset: 5 });
+  });
+
+  test('resumes from a cursor', async () => {
+    const { results, next } = await fetchPages(fetchPage, { maxResults: 10, cursor: { token: 't2', offset: 5 } });
+    expect(ids(results)).toEqual(range(26, 35));
+    expect(next).toEqual({ token: 't2', offset: 15 });
+  });
+
+  test('points at the next page when a page ends exactly on the limit', async () => {
+    const { results, next } = await fetchPages(fetchPage, { maxResults: 20 });
+    expect(results).toHaveLength(20);
+    expect(next).toEqual({ token: 't2', offset: 0 });
+  });
+
+  test('returns no cursor once the search is exhausted', async () => {
+    const { results, next } = await fetchPages(fetchPage, { maxResults: 100 });
+    expect(results).toHaveLength(20 * MAX_PAGES);
+    expect(next).toBeNull();
+  });
+
+  test('only marks tokens it just received as fresh', async () => {
+    const page = jest.fn(fetchPage);
+    await fetchPages(page, { maxResults: 30, cursor: { token: 't2', offset: 0 } });
+    expect(page.mock.calls.map(([token, options]) => [token, options.fresh])).toEqual([['t2', false], ['t3', true]]);
+  });
+});
+
+describe('cursors', () => {
+  const params = { location: { latitude: 18.52, longitude: 73.85 }, radius: 2000, type: 'cafe', keyword: null };
+  const raw = (fields) => Buffer.from(JSON.stringify(fields)).toString('base64url');
+  // A cursor for this search with some fields changed
+  const tampered = (fields) => {
+    const cursor = encodeCursor({ token: 't2', offset: 5 }, 'nearby', params);
+    return raw({ ...JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')), ...fields });
+  };
+
+  test('round-trip', () => {
+    const cursor = encodeCursor({ token: 't2', offset: 5 }, 'nearby', params);
+    expect(decodeCursor(cursor, 'nearby', params)).toEqual({ token: 't2', offset: 5 });
+  });
+
+  test('a search that is done has no cursor', () => {
+    expect(encodeCursor(null, 'nearby', params)).toBeNull();
+  });
+
+  test('are tied to the kind of search', () => {
+    expect(decodeCursor(encodeCursor({ token: 't2', offset: 5 }, 'text', params), 'nearby', params)).toBeNull();
+  });
+
+  test('do not depend on the order of the search params', () => {
+    const cursor = encodeCursor({ token: 't2', offset: 5 }, 'nearby', params);
+    const reordered = { keyword: null, type: 'cafe', radius: 2000, location: { longitude: 73.85, latitude: 18.52 } };
+    expect(decodeCursor(cursor, 'nearby', reordered)).toEqual({ token: 't2', offset: 5 });
+  });
+
+  test.each([
+    ['location', { location: { latitude: 19.07, longitude: 72.87 } }],
+    ['radius', { radius: 5000 }],
+    ['type', { type: 'restaurant' }],
+    ['keyword', { keyword: 'biryani' }]
+  ])('are tied to the search %s', (label, change) => {
+    const cursor = encodeCursor({ token: 't2', offset: 5 }, 'nearby', params);
+    expect(decodeCursor(cursor, 'nearby', { ...params, ...change })).toBeNull();
+  });
+
+  test.each([
+    ['garbage', 'not-a-cursor'],
+    ['a cursor without a search hash', raw({ k: 'nearby', t: 't2', o: 0 })],
+    ['a different search hash', tampered({ h: '0000000000000000' })],
+    ['a negative offset', tampered({ o: -1 })],
+    ['a non-string token', tampered({ t: 7 })]
+  ])('reject %s', (label, cursor) => {
+    expect(decodeCursor(cursor, 'nearby', params)).toBeNull();
+  });
+});
+
+describe('PlacesService paging', () => {
+  const search = { latitude: 18.52, longitude: 73.85, enrich: false };
+
+  test('pages through nearby search and resumes where it stopped', async () => {
+    const client = stubClient();
+    const service = createService(client);
+
+    const first = await service.searchNearbyPlacesPage({ ...search, maxResults: 25, minPrice: 1, openNow: true });
+    expect(ids(first.places)).toEqual(range(1, 25));
+    expect(client.calls[0]).toMatchObject({ location: '18.52,73.85', minprice: 1, opennow: true });
+    // With a page token Google ignores everything else
+    expect(client.calls[1]).toEqual({ pagetoken: 't2', key: 'test-key' });
+
+    const second = await service.searchNearbyPlacesPage({ ...search, maxResults: 40, cursor: first.next });
+    expect(ids(second.places)).toEqual(range(26, 60));
+    expect(second.next).toBeNull();
+  });
+
+  test('counts every upstream call', async () => {
+    const service = createService();
+    const metrics = { upstream: { nearbySearch: 0, textSearch: 0, details: 0 } };
+
+    await service.searchPlacesByTextPage('biryani', null, 5000, { maxResults: 45, enrich: false, metrics });
+    expect(metrics.upstream.textSearch).toBe(3);
+  });
+
+  test('retries a page token Google has not activated yet', async () => {
+    const client = stubClient();
+    client.placesNearby
+      .mockImplementationOnce(async () => ({ data: PAGES.first }))
+      .mockImplementationOnce(async () => ({ data: { status: 'INVALID_REQUEST', results: [] } }));
+
+    const { places } = await createService(client).searchNearbyPlacesPage({ ...search, maxResults: 30 });
+    expect(ids(places)).toEqual(range(1, 30));
+    expect(client.placesNearby).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries when the client rejects the inactive token with a 400', async () => {
+    const client = stubClient();
+    const rejected = Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: { status: 'INVALID_REQUEST' } }
+    });
+    client.placesNearby
+      .mockImplementationOnce(async () => ({ data: PAGES.first }))
+      .mockImplementationOnce(async () => { throw rejected; });
+
+    const { places } = await createService(client).searchNearbyPlacesPage({ ...search, maxResults: 30 });
+    expect(ids(places)).toEqual(range(1, 30));
+  });
+
+  test('gives up on a token that never activates', async () => {
+    const client = stubClient({ ...PAGES, t2: { status: 'INVALID_REQUEST', results: [] } });
+
+    await expect(createService(client).searchNearbyPlacesPage({ ...search, maxResults: 30 }))
+      .rejects.toThrow('INVALID_REQUEST');
+    expect(client.placesNearby).toHaveBeenCalledTimes(5);
+  });
+
+  test('does not retry a rejected first page', async () => {
+    const client = stubClient();
+    client.placesNearby.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('Request failed with status code 400'), {
+        response: { status: 400, data: { status: 'INVALID_REQUEST' } }
+      });
+    });
+
+    await expect(createService(client).searchNearbyPlacesPage({ ...search, maxResults: 10 })).rejects.toThrow('status code 400');
+    expect(client.placesNearby).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,160 @@
+process.env.GOOGLE_PLACES_API_KEY = 'test-key';
+
+const {
+  parsePriceLevel,
+  parseRating,
+  parseFilters,
+  toSearchParams,
+  applyFilters,
+  searchWithFilters
+} = require('../placeFilters');
+const { searchStrategies } = require('../placeSearch');
+const PlacesService = require('../places');
+
+const PLACES = [
+  { place_id: 'cheap-open', name: 'Vada Pav Corner', price_level: 1, rating: 3.9, opening_hours: { open_now: true } },
+  { place_id: 'cheap-closed', name: 'Misal House', price_level: 1, rating: 4.5, opening_hours: { open_now: false } },
+  { place_id: 'mid-open', name: 'Biryani Point', price_level: 2, rating: 4.3, opening_hours: { open_now: true } },
+  { place_id: 'pricey-open', name: 'The Grand', price_level: 4, rating: 4.8, opening_hours: { open_now: true } },
+  { place_id: 'unrated', name: 'New Cafe', price_level: 2 }
+];
+
+// Stand-in for the @googlemaps client that applies minprice/maxprice/opennow like the Places API
+function stubClient() {
+  const search = jest.fn(async ({ params }) => {
+    const results = PLACES.filter(place =>
+      (params.minprice === undefined || place.price_level >= params.minprice) &&
+      (params.maxprice === undefined || place.price_level <= params.maxprice) &&
+      (!params.opennow || (place.opening_hours && place.opening_hours.open_now)));
+    return { data: { status: results.length ? 'OK' : 'ZERO_RESULTS', results } };
+  });
+  return { placesNearby: search, textSearch: search };
+}
+
+const ids = (places) => places.map(place => place.place_id);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parsing', () => {
+  test.each([
+    ['1-3', { min: 1, max: 3 }],
+    ['3 to 1', { min: 1, max: 3 }],
+    ['$$', { min: 2, max: 2 }],
+    [2, { min: 2, max: 2 }],
+    [9, { min: 4, max: 4 }],
+    ['cheap', null]
+  ])('price level %p', (value, expected) => {
+    expect(parsePriceLevel(value)).toEqual(expected);
+  });
+
+  test.each([
+    ['4.0+', 4],
+    ['>= 3.5', 3.5],
+    [4.2, 4.2],
+    ['7', null],
+    ['great', null]
+  ])('rating %p', (value, expected) => {
+    expect(parseRating(value)).toBe(expected);
+  });
+
+  test('keeps only filters that narrow anything', () => {
+    expect(parseFilters({ priceLevel: '0-4', rating: 'any', openNow: 'true' })).toEqual({ openNow: true });
+    expect(parseFilters({ priceLevel: '1-2', rating: '4+', openNow: false }))
+      .toEqual({ priceLevel: { min: 1, max: 2 }, rating: 4 });
+  });
+
+  test('sends price and opening hours upstream', () => {
+    expect(toSearchParams({ priceLevel: { min: 1, max: 2 }, rating: 4, openNow: true }))
+      .toEqual({ minPrice: 1, maxPrice: 2, openNow: true });
+  });
+});
+
+describe('applyFilters', () => {
+  test('counts what the rating removed, but not what Google filtered upstream', () => {
+    const { places, applied } = applyFilters(PLACES, { priceLevel: { min: 1, max: 2 }, rating: 4, openNow: true });
+
+    expect(ids(places)).toEqual(['mid-open']);
+    expect(applied).toEqual([
+      { filter: 'priceLevel', value: '1-2', upstream: true, removed: null },
+      { filter: 'rating', value: '4+', upstream: false, removed: 2 },
+      { filter: 'openNow', value: 'open now', upstream: true, removed: null }
+    ]);
+  });
+
+  test('only the rating filter rejects places with missing data', () => {
+    const unknown = [{ place_id: 'x' }];
+    expect(applyFilters(unknown, { priceLevel: { min: 1, max: 1 }, openNow: true }).places).toHaveLength(1);
+    expect(applyFilters(unknown, { rating: 3 }).places).toHaveLength(0);
+  });
+});
+
+describe('searchWithFilters with a stubbed Places client', () => {
+  const recommendations = { searchStrategies: [{ type: 'place_type', value: 'restaurant', priority: 1 }] };
+  const location = { latitude: 18.52, longitude: 73.85 };
+
+  const setup = () => {
+    const client = stubClient();
+    const service = new PlacesService();
+    service.client = client;
+    const search = (filterParams) => searchStrategies(service, recommendations, { location, radius: 2000, filterParams, enrich: false });
+    return { client, search };
+  };
+
+  test('keeps every filter when enough places match', async () => {
+    const { client, search } = setup();
+    const { places, report } = await searchWithFilters(search, parseFilters({ priceLevel: '1-2', openNow: true }), 2);
+
+    expect(ids(places)).toEqual(['cheap-open', 'mid-open']);
+    expect(report.relaxed).toEqual([]);
+    expect(report.applied.map(step => step.removed)).toEqual([null, null]);
+    expect(report.totalBeforeFilters).toBe(2);
+    expect(client.placesNearby).toHaveBeenCalledTimes(1);
+    expect(client.placesNearby.mock.calls[0][0].params).toMatchObject({ minprice: 1, maxprice: 2, opennow: true });
+  });
+
+  test('searches a place type without the chat keywords', async () => {
+    const client = stubClient();
+    const service = new PlacesService();
+    service.client = client;
+    await searchStrategies(service, { ...recommendations, keywords: ['biryani', 'cheap'] }, { location, radius: 2000, enrich: false });
+
+    expect(client.placesNearby.mock.calls[0][0].params).toMatchObject({ type: 'restaurant' });
+    expect(client.placesNearby.mock.calls[0][0].params).not.toHaveProperty('keyword');
+  });
+
+  test('drops the rating first, without searching again', async () => {
+    const { client, search } = setup();
+    const { places, report } = await searchWithFilters(search, parseFilters({ priceLevel: '1-2', rating: '4.5+', openNow: true }), 2);
+
+    expect(ids(places)).toEqual(['cheap-open', 'mid-open']);
+    expect(report.relaxed).toEqual([{ filter: 'rating', value: '4.5+', remainingBefore: 0 }]);
+    expect(client.placesNearby).toHaveBeenCalledTimes(1);
+  });
+
+  test('then opening hours, searching again without opennow', async () => {
+    const { client, search } = setup();
+    const { places, report } = await searchWithFilters(search, parseFilters({ priceLevel: '1', rating: '4.5+', openNow: true }), 2);
+
+    expect(ids(places)).toEqual(['cheap-open', 'cheap-closed']);
+    expect(report.relaxed.map(step => step.filter)).toEqual(['rating', 'openNow']);
+    expect(report.requested).toEqual({ priceLevel: '1', rating: '4.5+', openNow: 'open now' });
+    expect(client.placesNearby).toHaveBeenCalledTimes(2);
+    expect(client.placesNearby.mock.calls[1][0].params).not.toHaveProperty('opennow');
+    expect(client.placesNearby.mock.calls[1][0].params).toMatchObject({ minprice: 1, maxprice: 1 });
+  });
+
+  test('gives up the budget last', async () => {
+    const { search } = setup();
+    const { places, report } = await searchWithFilters(search, parseFilters({ priceLevel: '4', rating: '4.9+', openNow: true }), 3);
+
+    expect(report.relaxed.map(step => step.filter)).toEqual(['rating', 'openNow', 'priceLevel']);
+    expect(places).toHaveLength(PLACES.length);
+    expect(report.totalBeforeFilters).toBe(PLACES.length);
+  });
+});
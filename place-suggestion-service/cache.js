@@ -0,0 +1,8 @@
+const { createCache, createRedisClient } = require('../shared/cache');
+
+/**
+ * Response cache for the place service
+ * Uses Redis when REDIS_URL is set and the redis package is installed,
+ * otherwise an in-memory store.
+ */
+module.exports = createCache({ redisClient: createRedisClient({ resolveFrom: __dirname }), prefix: 'places:' });
@@ -0,0 +1,129 @@
+const { findEvidence, describeEvidence } = require('../shared/evidence');
+const { withSynonyms } = require('../shared/lexicon');
+
+/**
+ * Chat words that point at a Google place type
+ */
+const TYPE_TERMS = {
+  restaurant: ['restaurant', 'food', 'eat', 'dinner', 'lunch', 'dine', 'dining', 'hungry'],
+  cafe: ['cafe', 'coffee', 'brunch', 'chai'],
+  bakery: ['bakery', 'dessert', 'cake', 'pastry'],
+  bar: ['bar', 'drink', 'drinks', 'beer', 'cocktail', 'pub'],
+  night_club: ['club', 'clubbing', 'dance', 'party'],
+  movie_theater: ['movie', 'film', 'cinema'],
+  museum: ['museum', 'history', 'exhibition'],
+  art_gallery: ['gallery', 'art', 'exhibition'],
+  park: ['park', 'walk', 'outdoors', 'picnic'],
+  amusement_park: ['amusement', 'theme park', 'rides'],
+  shopping_mall: ['mall', 'shopping', 'shop'],
+  bowling_alley: ['bowling'],
+  tourist_attraction: ['sightseeing', 'attraction', 'landmark', 'tourist'],
+  zoo: ['zoo', 'animals'],
+  aquarium: ['aquarium'],
+  spa: ['spa', 'massage', 'relax'],
+  stadium: ['stadium', 'match']
+};
+
+/**
+ * Chat words behind each budget level, matched against the place's price_level
+ */
+const BUDGET_TERMS = {
+  low: { terms: ['cheap', 'affordable', 'budget', 'inexpensive', 'broke'], fits: level => level !== null && level <= 2 },
+  high: { terms: ['fancy', 'luxury', 'expensive', 'splurge', 'fine dining'], fits: level => level !== null && level >= 3 }
+};
+
+/**
+ * Summary wording in each reply locale (see shared/language)
+ */
+const SUMMARY_TEXT = {
+  en: { matches: 'Matches', budget: 'budget', generic: 'Well rated and nearby' },
+  hi: { matches: 'मेल खाता है:', budget: 'बजट', generic: 'अच्छी रेटिंग और पास में' },
+  'hi-Latn': { matches: 'Match karta hai:', budget: 'budget', generic: 'Achhi rating aur paas mein' },
+  mr: { matches: 'जुळते:', budget: 'बजेट', generic: 'चांगले रेटिंग आणि जवळ' },
+  'mr-Latn': { matches: 'Julte:', budget: 'budget', generic: 'Changla rating ani jawal' }
+};
+
+/**
+ * Whether a place mentions a word in its name, types or description
+ * @param {Object} place
+ * @param {string} word
+ * @returns {boolean}
+ */
+function placeMentions(place, word) {
+  const haystack = [
+    place.name,
+    place.vicinity,
+    place.personalizedDescription,
+    ...(place.types || [])
+  ].join(' ').toLowerCase().replace(/_/g, ' ');
+  return new RegExp(`\\b${word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(haystack);
+}
+
+/**
+ * Why a place was suggested: place types, cuisines/keywords and budget the
+ * chat asked for, each with the quoted messages behind it
+ * @param {Object} place - A place from PlacesService, optionally personalized
+ * @param {Object} analysis - Chat analysis from RecommendationService
+ * @param {Array} messages - Chat messages ({ sender, content })
+ * @returns {{summary: string, because: (string|null), reasons: Array}}
+ */
+function explainPlace(place, analysis = {}, messages = []) {
+  const locale = (analysis.chatLanguage && analysis.chatLanguage.locale) || 'en';
+  const text = SUMMARY_TEXT[locale] || SUMMARY_TEXT.en;
+  const reasons = [];
+  const wantedTypes = analysis.placeTypes || [];
+
+  (place.types || [])
+    .filter(type => TYPE_TERMS[type] && (wantedTypes.includes(type) || wantedTypes.length === 0))
+    .forEach(type => {
+      reasons.push({ type: 'placeType', value: type, evidence: findEvidence(messages, withSynonyms(TYPE_TERMS[type])) });
+    });
+
+  const wantedWords = [
+    ...((analysis.preferences && analysis.preferences.cuisine) || []),
+    ...(analysis.keywords || [])
+  ].filter(word => word && word !== 'any');
+
+  [...new Set(wantedWords.map(word => word.toLowerCase()))]
+    .filter(word => placeMentions(place, word))
+    .forEach(word => {
+      reasons.push({ type: 'keyword', value: word, evidence: findEvidence(messages, withSynonyms([word])) });
+    });
+
+  const budget = BUDGET_TERMS[analysis.preferences && analysis.preferences.budget];
+  if (budget && budget.fits(place.price_level)) {
+    reasons.push({
+      type: 'budget',
+      value: analysis.preferences.budget,
+      evidence: findEvidence(messages, withSynonyms(budget.terms), { limit: 1 })
+    });
+  }
+
+  const quoted = reasons.find(reason => reason.evidence.length > 0);
+  const matched = reasons.map(reason => (reason.type === 'budget'
+    ? `${reason.value} ${text.budget}`
+    : reason.value.replace(/_/g, ' ')));
+
+  return {
+    summary: matched.length > 0 ? `${text.matches} ${[...new Set(matched)].join(', ')}` : text.generic,
+    because: quoted ? describeEvidence(quoted.evidence[0], locale) : null,
+    reasons
+  };
+}
+
+/**
+ * Attach an explanation to each place
+ * @param {Array} places
+ * @param {Object} analysis
+ * @param {Array} messages
+ * @returns {Array}
+ */
+function explainPlaces(places, analysis, messages) {
+  return places.map(place => ({ ...place, explanation: explainPlace(place, analysis, messages) }));
+}
+
+module.exports = {
+  TYPE_TERMS,
+  explainPlace,
+  explainPlaces
+};
@@ -0,0 +1,41 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Coordinates of a location or a Google place
+ * @param {Object} point - { latitude, longitude }, { lat, lng } or a place with geometry.location
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function toLatLng(point) {
+  if (!point) return null;
+  const location = (point.geometry && point.geometry.location) || point;
+  const latitude = location.latitude !== undefined ? location.latitude : location.lat;
+  const longitude = location.longitude !== undefined ? location.longitude : location.lng;
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+  return { latitude, longitude };
+}
+
+/**
+ * Great-circle (haversine) distance between two points
+ * @param {Object} from - Anything toLatLng accepts
+ * @param {Object} to - Anything toLatLng accepts
+ * @returns {number|null} Distance in meters, rounded; null when a point has no coordinates
+ */
+function distanceMeters(from, to) {
+  const a = toLatLng(from);
+  const b = toLatLng(to);
+  if (!a || !b) return null;
+
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h)));
+}
+
+module.exports = {
+  toLatLng,
+  distanceMeters
+};
@@ -7,10 +7,32 @@ require('dotenv').config();
 
 const PlacesService = require('./places');
 const RecommendationService = require('./recommendation_places');
+const TheaterService = require('./theaters');
+const TravelTimeService = require('./travelTimes');
+const ItineraryService = require('./itineraries');
+const { createRoutingProvider, TRAVEL_MODES } = require('./routing');
+const { createShowtimesProvider } = require('./showtimes');
+const cache = require('./cache');
+const { explainPlaces } = require('./explanations');
+const { parseFilters, searchWithFilters } = require('./placeFilters');
+const { searchStrategies } = require('./placeSearch');
+const { createPlaceMetrics, summarizeMetrics } = require('./placeMetrics');
+const { encodeCursor, decodeCursor } = require('./pagination');
+const { MEETING_STRATEGIES, DEFAULT_MEETING_STRATEGY, findMeetingPoint, memberDistances } = require('./meetingPoint');
+const { offsetFromIso } = require('./openingHours');
+const { normalizeMessages, hashKey, setCacheHeaders } = require('../shared/cache');
+const { ApiError, sendError, notFoundHandler, errorHandler } = require('../shared/errors');
+const { createAuth } = require('../shared/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Filters are relaxed when fewer places than this survive them
+const MIN_FILTERED_PLACES = parseInt(process.env.PLACE_FILTER_MIN_RESULTS) || 5;
+
+// Only the best-ranked recommendations get Place Details; the rest keep the search result fields
+const ENRICH_TOP_N = parseInt(process.env.PLACE_DETAILS_TOP_N) || 10;
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -23,37 +45,62 @@ app.use(express.json({ limit: '10mb' }));
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: 'Too many requests from this IP, please try again later.'
+  handler: (req, res) => sendError(res, new ApiError(429, 'Too many requests from this IP, please try again later.'))
 });
 app.use('/api/', limiter);
 
+// Same Firebase ID tokens as the movie bot (see shared/auth); AUTH_MODE picks firebase, emulator or off
+const auth = createAuth();
+app.use('/api/', auth.authenticate);
+
 // Initialize services
-let placesService, recommendationService;
+let placesService, recommendationService, theaterService, travelTimeService, itineraryService;
 
 try {
   placesService = new PlacesService();
   recommendationService = new RecommendationService();
+  theaterService = new TheaterService({ placesService, showtimesProvider: createShowtimesProvider() });
+  travelTimeService = new TravelTimeService({ provider: createRoutingProvider() });
+  itineraryService = new ItineraryService({ placesService, travelTimeService });
 } catch (error) {
   console.error('Failed to initialize services:', error.message);
   process.exit(1);
 }
 
 // Validation schemas
-const chatAnalysisSchema = Joi.object({
-  messages: Joi.array().items(
-    Joi.object({
-      sender: Joi.string().required(),
-      content: Joi.string().required(),
-      timestamp: Joi.date().optional()
-    })
-  ).min(1).required(),
-  location: Joi.object({
+const messagesSchema = Joi.array().items(
+  Joi.object({
+    sender: Joi.string().required(),
+    content: Joi.string().required(),
+    timestamp: Joi.date().optional()
+  })
+).min(1);
+
+const groupLocationSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  city: Joi.string().optional()
+});
+
+// Where each member starts from; the search runs around a fair meeting point
+const membersSchema = Joi.array().items(
+  Joi.object({
+    name: Joi.string().required(),
     latitude: Joi.number().min(-90).max(90).required(),
-    longitude: Joi.number().min(-180).max(180).required(),
-    city: Joi.string().optional()
-  }).required(),
+    longitude: Joi.number().min(-180).max(180).required()
+  })
+).min(1).max(50).unique('name');
+
+const chatAnalysisSchema = Joi.object({
+  messages: messagesSchema.required(),
+  location: groupLocationSchema,
+  members: membersSchema,
+  meetingStrategy: Joi.string().valid(...MEETING_STRATEGIES).default(DEFAULT_MEETING_STRATEGY),
+  // Places are ranked by how long members need to get there
+  travelMode: Joi.string().valid(...TRAVEL_MODES).default('driving'),
+  rankBy: Joi.string().valid(...TravelTimeService.RANKINGS).default('total'),
   radius: Joi.number().min(100).max(50000).default(5000)
-});
+}).or('location', 'members');
 
 const placeSearchSchema = Joi.object({
   location: Joi.object({
@@ -63,7 +110,77 @@ const placeSearchSchema = Joi.object({
   radius: Joi.number().min(100).max(50000).default(5000),
   type: Joi.string().optional(),
   keyword: Joi.string().optional(),
-  maxResults: Joi.number().min(1).max(50).default(20)
+  maxResults: Joi.number().min(1).max(50).default(20),
+  // Fetch Place Details for only the first N results; all of them when omitted
+  enrichTop: Joi.number().integer().min(0).max(50).optional(),
+  // metadata.nextCursor from the previous page; send the same search with it to load more
+  cursor: Joi.string().max(4096).optional()
+});
+
+const itinerarySchema = Joi.object({
+  // The chat, or an analysis already returned by /api/recommendations
+  messages: messagesSchema,
+  analysis: Joi.object().unknown(true),
+  location: groupLocationSchema,
+  members: membersSchema,
+  meetingStrategy: Joi.string().valid(...MEETING_STRATEGIES).default(DEFAULT_MEETING_STRATEGY),
+  // Local time with its UTC offset, which is also used for venues that do not report theirs
+  startTime: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/)
+    .required()
+    .messages({ 'string.pattern.base': '"startTime" must be an ISO 8601 time with a UTC offset, e.g. 2024-05-04T18:30:00+05:30' }),
+  durationMinutes: Joi.number().integer().min(30).max(720).default(240),
+  travelMode: Joi.string().valid(...TRAVEL_MODES).default('driving'),
+  radius: Joi.number().min(100).max(50000).default(5000),
+  // Kinds of stop in order; picked from the chat when omitted
+  stops: Joi.array().items(Joi.string().valid(...Object.keys(ItineraryService.STOP_KINDS))).min(1).max(6)
+}).or('location', 'members').or('messages', 'analysis');
+
+const stopPlaceSchema = Joi.object({
+  place_id: Joi.string().required(),
+  name: Joi.string().required(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required()
+  }).required()
+}).unknown(true);
+
+const itinerarySwapSchema = Joi.object({
+  // As returned by POST /api/itineraries (or a previous swap)
+  itinerary: Joi.object({
+    start: Joi.object({
+      latitude: Joi.number().min(-90).max(90).required(),
+      longitude: Joi.number().min(-180).max(180).required()
+    }).unknown(true).required(),
+    startTime: Joi.string().isoDate().required(),
+    endTime: Joi.string().isoDate().required(),
+    utcOffsetMinutes: Joi.number().integer().min(-720).max(840).required(),
+    travelMode: Joi.string().valid(...TRAVEL_MODES).required(),
+    stops: Joi.array().items(
+      Joi.object({
+        kind: Joi.string().valid(...Object.keys(ItineraryService.STOP_KINDS)).required(),
+        place: stopPlaceSchema.required(),
+        alternatives: Joi.array().items(stopPlaceSchema).default([])
+      }).unknown(true)
+    ).min(1).required()
+  }).unknown(true).required(),
+  stopIndex: Joi.number().integer().min(0).required(),
+  // One of the stop's alternatives; the first one when omitted
+  placeId: Joi.string().optional()
+});
+
+const theaterSearchSchema = Joi.object({
+  movieId: Joi.number().integer().positive().required(),
+  title: Joi.string().optional(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required()
+  }).required(),
+  radius: Joi.number().min(100).max(50000).default(5000),
+  // Local date for showtimes; defaults to today on the server
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).default(() => new Date().toLocaleDateString('en-CA')),
+  maxResults: Joi.number().min(1).max(20).default(10),
+  onlyWithShowtimes: Joi.boolean().default(false)
 });
 
 // Routes
@@ -75,9 +192,17 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
+    auth: auth.mode,
     services: {
       places: 'active',
-      recommendations: 'active'
+      recommendations: 'active',
+      showtimes: theaterService.showtimesProvider.name,
+      routing: travelTimeService.provider.name
+    },
+    // Google Places usage since startup
+    placesApi: {
+      ...summarizeMetrics(placesService.totals),
+      detailsLimiter: placesService.detailsLimiter.stats()
     }
   });
 });
@@ -91,76 +216,145 @@ app.post('/api/recommendations', async (req, res) => {
     // Validate request
     const { error, value } = chatAnalysisSchema.validate(req.body);
     if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        details: error.details.map(d => d.message)
-      });
+      return sendError(res, ApiError.validation(error));
     }
 
-    const { messages, location, radius } = value;
-
-    // Step 1: Analyze chat messages
-    console.log('Analyzing chat messages...');
-    const analysis = await recommendationService.analyzeChatMessages(
-      messages, 
-      location.city || 'Unknown location'
-    );
-
-    // Step 2: Generate recommendations based on analysis
-    console.log('Generating recommendations...');
-    const recommendations = await recommendationService.generateRecommendations(
-      analysis, 
-      location, 
-      radius
-    );
+    const { messages, members, meetingStrategy, travelMode, rankBy, radius } = value;
+    const refresh = req.query.refresh === 'true';
+    // With member locations, search around the meeting point; `location` then only supplies the city
+    const meetingPoint = members ? findMeetingPoint(members, meetingStrategy) : null;
+    const location = meetingPoint
+      ? { latitude: meetingPoint.latitude, longitude: meetingPoint.longitude, city: value.location && value.location.city }
+      : value.location;
+    // Travel times are measured from each member, or from the one location sent
+    const origins = members || [{ name: 'group', latitude: location.latitude, longitude: location.longitude }];
+    const normalizedMessages = normalizeMessages(messages);
+    // Google calls made for this request (none when the response comes from cache)
+    const placeMetrics = createPlaceMetrics();
+
+    // Results are only cached when no step fell back, so the next poll retries the LLM
+    const cached = await cache.wrap(
+      hashKey('place-recommendations', { messages: normalizedMessages, location, radius, origins, travelMode, rankBy }),
+      async () => {
+        const aiSources = {
+          analysis: {},
+          recommendations: {},
+          descriptions: {},
+          activities: {}
+        };
+
+        // Step 1: Analyze chat messages (cached on the messages alone)
+        console.log('Analyzing chat messages...');
+        const { value: analysisResult } = await cache.wrap(
+          hashKey('place-analysis', { messages: normalizedMessages, city: location.city || null }),
+          async () => {
+            const meta = {};
+            const analysis = await recommendationService.analyzeChatMessages(
+              messages, 
+              location.city || 'Unknown location',
+              meta
+            );
+            return { analysis, source: meta.source };
+          },
+          { refresh, cacheIf: result => result.source !== 'fallback' }
+        );
+        const { analysis } = analysisResult;
+        aiSources.analysis.source = analysisResult.source;
+
+        // Step 2: Generate recommendations based on analysis
+        console.log('Generating recommendations...');
+        const recommendations = await recommendationService.generateRecommendations(
+          analysis, 
+          location, 
+          radius,
+          aiSources.recommendations
+        );
+
+        // Step 3: Search for places using Google Places API, one search per strategy,
+        // merged without duplicates and with the AI's filters enforced
+        console.log('Searching for places...');
+        const searchAll = (filterParams) => searchStrategies(placesService, recommendations, {
+          location,
+          radius,
+          filterParams,
+          enrich: false,
+          metrics: placeMetrics
+        });
 
-    // Step 3: Search for places using Google Places API
-    console.log('Searching for places...');
-    const searchResults = [];
-    
-    for (const strategy of recommendations.searchStrategies) {
-      try {
-        const places = await placesService.searchNearbyPlaces({
-          latitude: location.latitude,
-          longitude: location.longitude,
-          radius: radius,
-          type: strategy.value,
-          keyword: recommendations.keywords.join(' '),
-          maxResults: Math.floor(20 / recommendations.searchStrategies.length)
+        const { places: matchedPlaces, report: filters } = await searchWithFilters(
+          searchAll,
+          parseFilters(recommendations.filters),
+          MIN_FILTERED_PLACES
+        );
+
+        // Step 3b: Rank by travel time from every member before picking which places get details
+        const { places: rankedPlaces, report: travel } = await travelTimeService.rankPlaces(
+          matchedPlaces,
+          origins,
+          { mode: travelMode, rankBy }
+        );
+        const searchResults = await placesService.enrichPlaces(rankedPlaces, {
+          limit: ENRICH_TOP_N,
+          metrics: placeMetrics
         });
-        
-        searchResults.push(...places);
-      } catch (error) {
-        console.error(`Error searching for ${strategy.value}:`, error.message);
-      }
-    }
 
-    // Step 4: Personalize place descriptions
-    console.log('Personalizing place descriptions...');
-    const personalizedPlaces = await recommendationService.personalizePlaceDescriptions(
-      searchResults, 
-      analysis
+        // Step 4: Personalize place descriptions
+        console.log('Personalizing place descriptions...');
+        const personalizedPlaces = await recommendationService.personalizePlaceDescriptions(
+          searchResults, 
+          analysis,
+          aiSources.descriptions
+        );
+
+        // Step 5: Generate activity suggestions
+        console.log('Generating activity suggestions...');
+        const activities = await recommendationService.generateActivitySuggestions(
+          analysis, 
+          location.city || 'this location',
+          aiSources.activities
+        );
+
+        return {
+          analysis,
+          recommendations,
+          places: explainPlaces(personalizedPlaces, analysis, messages),
+          activities,
+          filters,
+          travel,
+          aiSources: Object.fromEntries(
+            Object.entries(aiSources).map(([step, meta]) => [step, meta.source || 'fallback'])
+          )
+        };
+      },
+      { refresh, cacheIf: result => !Object.values(result.aiSources).includes('fallback') }
     );
 
-    // Step 5: Generate activity suggestions
-    console.log('Generating activity suggestions...');
-    const activities = await recommendationService.generateActivitySuggestions(
-      analysis, 
-      location.city || 'this location'
-    );
+    const { analysis, recommendations, activities, filters, travel, aiSources } = cached.value;
+    // Straight-line distance from each member; `travel` has the trip times
+    const places = members
+      ? cached.value.places.map(place => ({ ...place, memberDistances: memberDistances(members, place) }))
+      : cached.value.places;
 
     // Response
+    setCacheHeaders(res, cached);
     res.json({
       success: true,
       data: {
         analysis,
         recommendations,
-        places: personalizedPlaces,
+        places,
         activities,
+        filters,
         metadata: {
-          totalPlaces: personalizedPlaces.length,
+          totalPlaces: places.length,
           searchRadius: radius,
           location: location,
+          meetingPoint,
+          travel,
+          aiSources,
+          placesApi: summarizeMetrics(placeMetrics),
+          language: analysis.chatLanguage ? analysis.chatLanguage.locale : 'en',
+          cache: cached.status,
           timestamp: new Date().toISOString()
         }
       }
@@ -168,10 +362,7 @@ app.post('/api/recommendations', async (req, res) => {
 
   } catch (error) {
     console.error('Error in recommendations endpoint:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
+    sendError(res, ApiError.internal(error.message));
   }
 });
 
@@ -184,22 +375,31 @@ app.post('/api/places/search', async (req, res) => {
     // Validate request
     const { error, value } = placeSearchSchema.validate(req.body);
     if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        details: error.details.map(d => d.message)
-      });
+      return sendError(res, ApiError.validation(error));
     }
 
-    const { location, radius, type, keyword, maxResults } = value;
+    const { location, radius, type, keyword, maxResults, enrichTop } = value;
+    // A cursor only continues the search it came from; page size may change between pages
+    const searchParams = { location, radius, type: type || null, keyword: keyword || null };
+    const cursor = value.cursor ? decodeCursor(value.cursor, 'nearby', searchParams) : null;
+    if (value.cursor && !cursor) {
+      return sendError(res, ApiError.validation(['"cursor" is not a valid cursor for this search']));
+    }
+    const placeMetrics = createPlaceMetrics();
 
-    const places = await placesService.searchNearbyPlaces({
+    const { places: found, next } = await placesService.searchNearbyPlacesPage({
       latitude: location.latitude,
       longitude: location.longitude,
       radius,
       type,
       keyword,
-      maxResults
+      maxResults,
+      enrich: false,
+      metrics: placeMetrics,
+      cursor
     });
+    const places = await placesService.enrichPlaces(found, { limit: enrichTop, metrics: placeMetrics });
+    const nextCursor = encodeCursor(next, 'nearby', searchParams);
 
     res.json({
       success: true,
@@ -209,6 +409,9 @@ app.post('/api/places/search', async (req, res) => {
           totalResults: places.length,
           searchRadius: radius,
           location: location,
+          placesApi: summarizeMetrics(placeMetrics),
+          hasMore: Boolean(nextCursor),
+          nextCursor,
           timestamp: new Date().toISOString()
         }
       }
@@ -216,10 +419,155 @@ app.post('/api/places/search', async (req, res) => {
 
   } catch (error) {
     console.error('Error in places search endpoint:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
+    sendError(res, ApiError.internal(error.message));
+  }
+});
+
+/**
+ * Cinemas near the group for a chosen movie, with showtimes
+ * POST /api/movies/:movieId/theaters
+ */
+app.post('/api/movies/:movieId/theaters', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = theaterSearchSchema.validate({ ...req.body, movieId: req.params.movieId });
+    if (error) {
+      return sendError(res, ApiError.validation(error));
+    }
+
+    const { movie, theaters } = await theaterService.findTheaters(value);
+
+    res.json({
+      success: true,
+      data: {
+        movie,
+        theaters,
+        metadata: {
+          totalTheaters: theaters.length,
+          withShowtimes: theaters.filter(theater => theater.showtimes.length > 0).length,
+          date: value.date,
+          searchRadius: value.radius,
+          location: value.location,
+          showtimesProvider: theaterService.showtimesProvider.name,
+          timestamp: new Date().toISOString()
+        }
+      }
     });
+
+  } catch (error) {
+    console.error('Error in theaters endpoint:', error);
+    sendError(res, ApiError.internal(error.message));
+  }
+});
+
+/**
+ * Plan an outing with several stops (e.g. dinner, a movie, dessert)
+ * POST /api/itineraries
+ */
+app.post('/api/itineraries', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = itinerarySchema.validate(req.body);
+    if (error) {
+      return sendError(res, ApiError.validation(error));
+    }
+
+    const { messages, members, meetingStrategy, startTime, durationMinutes, travelMode, radius, stops } = value;
+    const meetingPoint = members ? findMeetingPoint(members, meetingStrategy) : null;
+    const location = meetingPoint
+      ? { latitude: meetingPoint.latitude, longitude: meetingPoint.longitude, city: value.location && value.location.city }
+      : value.location;
+    const placeMetrics = createPlaceMetrics();
+
+    // Same cached analysis as /api/recommendations for the same chat
+    let { analysis } = value;
+    let analysisSource = 'request';
+    if (!analysis) {
+      const normalizedMessages = normalizeMessages(messages);
+      const { value: analysisResult } = await cache.wrap(
+        hashKey('place-analysis', { messages: normalizedMessages, city: location.city || null }),
+        async () => {
+          const meta = {};
+          const result = await recommendationService.analyzeChatMessages(
+            messages,
+            location.city || 'Unknown location',
+            meta
+          );
+          return { analysis: result, source: meta.source };
+        },
+        { refresh: req.query.refresh === 'true', cacheIf: result => result.source !== 'fallback' }
+      );
+      analysis = analysisResult.analysis;
+      analysisSource = analysisResult.source || 'fallback';
+    }
+
+    const itinerary = await itineraryService.build({
+      analysis,
+      start: { latitude: location.latitude, longitude: location.longitude },
+      startTime,
+      utcOffsetMinutes: offsetFromIso(startTime),
+      durationMinutes,
+      travelMode,
+      radius,
+      stops,
+      metrics: placeMetrics
+    });
+
+    res.json({
+      success: true,
+      data: {
+        itinerary,
+        metadata: {
+          totalStops: itinerary.stops.length,
+          location,
+          meetingPoint,
+          analysisSource,
+          placesApi: summarizeMetrics(placeMetrics),
+          timestamp: new Date().toISOString()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in itineraries endpoint:', error);
+    sendError(res, ApiError.internal(error.message));
+  }
+});
+
+/**
+ * Swap one stop of an itinerary for one of its alternatives
+ * POST /api/itineraries/swap
+ */
+app.post('/api/itineraries/swap', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = itinerarySwapSchema.validate(req.body);
+    if (error) {
+      return sendError(res, ApiError.validation(error));
+    }
+
+    const { itinerary: current, stopIndex, placeId } = value;
+    const { changes, ...itinerary } = await itineraryService.swap(current, stopIndex, placeId);
+
+    res.json({
+      success: true,
+      data: {
+        itinerary,
+        changes,
+        metadata: {
+          totalStops: itinerary.stops.length,
+          timestamp: new Date().toISOString()
+        }
+      }
+    });
+
+  } catch (error) {
+    // Unknown stop or alternative (404), or a plan the swap would break (409)
+    if (error instanceof ApiError) {
+      return sendError(res, error);
+    }
+    console.error('Error in itinerary swap endpoint:', error);
+    sendError(res, ApiError.internal(error.message));
   }
 });
 
@@ -232,9 +580,7 @@ app.get('/api/places/:placeId', async (req, res) => {
     const { placeId } = req.params;
 
     if (!placeId) {
-      return res.status(400).json({
-        error: 'Place ID is required'
-      });
+      return sendError(res, ApiError.validation(['Place ID is required']));
     }
 
     const placeDetails = await placesService.getPlaceDetails(placeId);
@@ -249,10 +595,7 @@ app.get('/api/places/:placeId', async (req, res) => {
 
   } catch (error) {
     console.error('Error getting place details:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
+    sendError(res, ApiError.internal(error.message));
   }
 });
 
@@ -265,9 +608,7 @@ app.post('/api/places/text-search', async (req, res) => {
     const { query, location, radius } = req.body;
 
     if (!query) {
-      return res.status(400).json({
-        error: 'Query is required'
-      });
+      return sendError(res, ApiError.validation(['Query is required']));
     }
 
     const places = await placesService.searchPlacesByText(query, location, radius);
@@ -287,39 +628,33 @@ app.post('/api/places/text-search', async (req, res) => {
 
   } catch (error) {
     console.error('Error in text search endpoint:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
+    sendError(res, ApiError.internal(error.message));
   }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: 'An unexpected error occurred'
-  });
-});
-
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Not found',
-    message: 'The requested endpoint does not exist'
-  });
-});
+app.use('*', notFoundHandler);
+
+// Error handling middleware
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Place Suggestion Service running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
+  if (auth.mode === 'off') {
+    console.warn('⚠️  AUTH_MODE is off: the API is open to anyone. Set FIREBASE_PROJECT_ID and drop AUTH_MODE=off for real deployments');
+  } else {
+    console.log(`🔐 Auth: ${auth.mode} (project ${auth.projectId})`);
+  }
   console.log(`🔍 API endpoints:`);
   console.log(`   POST /api/recommendations - Get AI-powered place recommendations`);
   console.log(`   POST /api/places/search - Search places by location`);
   console.log(`   GET  /api/places/:placeId - Get place details`);
   console.log(`   POST /api/places/text-search - Search places by text`);
+  console.log(`   POST /api/movies/:movieId/theaters - Cinemas and showtimes for a movie`);
+  console.log(`   POST /api/itineraries - Plan an outing with several stops`);
+  console.log(`   POST /api/itineraries/swap - Swap one stop of an itinerary`);
 });
 
 module.exports = app;
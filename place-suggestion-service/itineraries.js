@@ -0,0 +1,337 @@
+const { matchLexicon } = require('../shared/lexicon');
+const { ApiError } = require('../shared/errors');
+const { toLatLng } = require('./geo');
+const { isOpenBetween, weekMinute } = require('./openingHours');
+
+/**
+ * Kinds of stop an itinerary can have: what to search for and how long a
+ * group usually stays. `meal` is named breakfast, lunch or dinner by the time
+ * the group gets there.
+ */
+const STOP_KINDS = {
+  meal: { label: 'Meal', type: 'restaurant', visitMinutes: 90 },
+  movie: { label: 'Movie', type: 'movie_theater', visitMinutes: 150 },
+  activity: { label: 'Activity', type: 'amusement_park', visitMinutes: 120 },
+  sightseeing: { label: 'Sightseeing', type: 'tourist_attraction', visitMinutes: 90 },
+  drinks: { label: 'Drinks', type: 'bar', visitMinutes: 90 },
+  coffee: { label: 'Coffee', type: 'cafe', visitMinutes: 45 },
+  dessert: { label: 'Dessert', type: 'bakery', keyword: 'dessert', visitMinutes: 45 }
+};
+
+// Lexicon activity keywords that have a matching Google place type
+const ACTIVITY_TYPES = {
+  museum: 'museum',
+  park: 'park',
+  mall: 'shopping_mall',
+  shopping: 'shopping_mall',
+  game: 'bowling_alley',
+  sports: 'stadium'
+};
+
+const FOOD_TYPES = ['restaurant', 'food', 'cafe', 'bakery', 'meal_takeaway', 'bar'];
+const ACTIVITY_PLACE_TYPES = ['amusement_park', 'bowling_alley', 'museum', 'park', 'shopping_mall', 'zoo', 'aquarium', 'art_gallery', 'stadium'];
+const DESSERT_PATTERN = /\b(dessert|ice ?cream|sweets?|mithai|kulfi|gelato|cake)\b|मिठाई|आइसक्रीम/i;
+
+// Rough allowance per hop while choosing stops; real travel times are used when scheduling
+const PLANNING_TRAVEL_MINUTES = 15;
+// Alternatives kept per stop for swapping
+const MAX_ALTERNATIVES = 3;
+const CANDIDATES_PER_STOP = 6;
+
+const mealLabel = (hour) => (hour < 11 ? 'Breakfast' : hour < 16 ? 'Lunch' : 'Dinner');
+// Close enough to a mealtime that eating comes first
+const isMealtime = (hour) => (hour >= 7 && hour < 10) || (hour >= 12 && hour < 15) || (hour >= 18 && hour < 22);
+const localHour = (timeMs, offsetMinutes) => Math.floor(weekMinute(timeMs, offsetMinutes) / 60) % 24;
+
+/**
+ * Itinerary Builder
+ * Turns a chat analysis into an ordered, timed plan (e.g. dinner, then a
+ * movie, then dessert) from real Places results. Each stop has to be open for
+ * the whole visit and reachable in time from the previous one, and keeps a
+ * few alternatives so the group can swap it.
+ */
+class ItineraryService {
+  /**
+   * @param {Object} options
+   * @param {PlacesService} options.placesService - Google Places client
+   * @param {TravelTimeService} options.travelTimeService - Travel times between stops
+   */
+  constructor({ placesService, travelTimeService }) {
+    this.placesService = placesService;
+    this.travelTimeService = travelTimeService;
+  }
+
+  /**
+   * Pick the kinds of stop the chat is about, in visiting order, that fit the time available
+   * @param {Object} analysis - From analyzeChatMessages
+   * @param {number} startMs - Start, epoch milliseconds
+   * @param {number} utcOffsetMinutes - Group's UTC offset
+   * @param {number} durationMinutes - Time available
+   * @returns {Array<{kind: string, type: string, keyword: (string|null)}>}
+   */
+  chooseStops(analysis, startMs, utcOffsetMinutes, durationMinutes) {
+    const preferences = analysis.preferences || {};
+    const placeTypes = analysis.placeTypes || [];
+    const text = [
+      ...(analysis.interests || []),
+      ...placeTypes,
+      ...(analysis.keywords || []),
+      ...(preferences.cuisine || []),
+      ...(preferences.activities || []),
+      analysis.summary || ''
+    ].join(' ').toLowerCase();
+
+    const activityWords = matchLexicon(text, 'activity');
+    const wantsFood = placeTypes.some(type => FOOD_TYPES.includes(type)) || matchLexicon(text, 'food').length > 0;
+    const wantsMovie = placeTypes.includes('movie_theater') || activityWords.includes('movie');
+    const activityType = placeTypes.find(type => ACTIVITY_PLACE_TYPES.includes(type))
+      || activityWords.map(word => ACTIVITY_TYPES[word]).find(Boolean);
+    const wantsSights = placeTypes.includes('tourist_attraction') || matchLexicon(text, 'attraction').length > 0;
+
+    const outings = [
+      wantsMovie && { kind: 'movie' },
+      activityType && { kind: 'activity', type: activityType },
+      !activityType && wantsSights && { kind: 'sightseeing' }
+    ].filter(Boolean);
+    const meal = wantsFood || outings.length === 0 ? [{ kind: 'meal' }] : [];
+    const dessert = DESSERT_PATTERN.test(text) || (meal.length > 0 && outings.length > 0) ? [{ kind: 'dessert' }] : [];
+
+    // Eat first around mealtimes, otherwise go out first and eat after; dessert closes the plan
+    const ordered = isMealtime(localHour(startMs, utcOffsetMinutes))
+      ? [...meal, ...outings, ...dessert]
+      : [...outings, ...meal, ...dessert];
+
+    // Drop the least important stops until the plan fits: dessert, then sights, then the rest from the end
+    const stops = ordered.map(stop => ({ ...STOP_KINDS[stop.kind], keyword: null, ...stop }));
+    const needed = list => list.reduce((sum, stop, index) => sum + stop.visitMinutes + (index > 0 ? PLANNING_TRAVEL_MINUTES : 0), 0);
+    while (stops.length > 1 && needed(stops) > durationMinutes) {
+      const dropAt = ['dessert', 'sightseeing'].map(kind => stops.findIndex(stop => stop.kind === kind)).find(index => index >= 0);
+      stops.splice(dropAt !== undefined ? dropAt : stops.length - 1, 1);
+    }
+
+    return stops.map(({ kind, type, keyword }) => ({ kind, type, keyword }));
+  }
+
+  /**
+   * Build an itinerary
+   * @param {Object} params
+   * @param {Object} params.analysis - From analyzeChatMessages
+   * @param {Object} params.start - { latitude, longitude } where the group sets off
+   * @param {string} params.startTime - ISO 8601 start
+   * @param {number} params.utcOffsetMinutes - Group's UTC offset, for venues that do not report theirs
+   * @param {number} params.durationMinutes - Time available
+   * @param {string} params.travelMode - driving, transit or walking
+   * @param {number} params.radius - How far from the previous stop to look, in meters
+   * @param {Array<string>} params.stops - Kinds of stop (STOP_KINDS) in order; chosen from the analysis when omitted
+   * @param {Object} params.metrics - Request metrics (see placeMetrics)
+   * @returns {Promise<Object>} The itinerary (see README)
+   */
+  async build({ analysis, start, startTime, utcOffsetMinutes, durationMinutes, travelMode = 'driving', radius = 5000, stops = null, metrics = null }) {
+    const startMs = Date.parse(startTime);
+    const endMs = startMs + durationMinutes * 60000;
+    const plan = stops
+      ? stops.map(kind => ({ kind, type: STOP_KINDS[kind].type, keyword: STOP_KINDS[kind].keyword || null }))
+      : this.chooseStops(analysis, startMs, utcOffsetMinutes, durationMinutes);
+
+    const itinerary = {
+      start,
+      startTime: new Date(startMs).toISOString(),
+      endTime: new Date(endMs).toISOString(),
+      durationMinutes,
+      utcOffsetMinutes,
+      travelMode,
+      stops: [],
+      skipped: []
+    };
+
+    let position = { name: 'start', ...start };
+    let time = startMs;
+    const used = new Set();
+
+    for (const stop of plan) {
+      const found = await this.placesService.searchNearbyPlaces({
+        latitude: position.latitude,
+        longitude: position.longitude,
+        radius,
+        type: stop.type,
+        keyword: stop.keyword,
+        maxResults: CANDIDATES_PER_STOP,
+        metrics
+      });
+      const candidates = found.filter(place => place.place_id && toLatLng(place) && !used.has(place.place_id));
+
+      // Closest first, from wherever the group is at that point
+      const { places: ranked } = await this.travelTimeService.rankPlaces(candidates, [position], { mode: travelMode, rankBy: 'total' });
+      const fits = ranked
+        .map(place => this.timeStop(stop.kind, this.toStopPlace(place), place.travel && place.travel.members[0], time, endMs, utcOffsetMinutes))
+        .filter(scheduled => scheduled.valid);
+
+      if (fits.length === 0) {
+        itinerary.skipped.push({
+          kind: stop.kind,
+          reason: candidates.length === 0
+            ? `No ${stop.type.replace(/_/g, ' ')} found nearby`
+            : 'Nothing nearby is open and reachable in the time left'
+        });
+        continue;
+      }
+
+      const [chosen, ...others] = fits;
+      used.add(chosen.stop.place.place_id);
+      itinerary.stops.push({ ...chosen.stop, alternatives: others.slice(0, MAX_ALTERNATIVES).map(other => other.stop.place) });
+      position = { name: chosen.stop.place.name, ...chosen.stop.place.location };
+      time = Date.parse(chosen.stop.leaveAt);
+    }
+
+    return this.summarize(itinerary);
+  }
+
+  /**
+   * Replace one stop's place and re-time the rest of the plan. Later stops
+   * that no longer fit (closed, or past the end time) switch to one of their
+   * own alternatives; if none works the swap is rejected.
+   * @param {Object} itinerary - From build or an earlier swap
+   * @param {number} stopIndex - Stop to change
+   * @param {string} placeId - One of the stop's alternatives; the first alternative when omitted
+   * @returns {Promise<Object>} The updated itinerary, with `changes` listing what moved
+   * @throws {ApiError} 404 when the place is not an alternative, 409 when the plan cannot stay valid
+   */
+  async swap(itinerary, stopIndex, placeId = null) {
+    const stops = itinerary.stops.map(stop => ({ ...stop, alternatives: [...(stop.alternatives || [])] }));
+    const target = stops[stopIndex];
+    if (!target) throw ApiError.notFound(`Stop ${stopIndex} does not exist`);
+
+    const replacement = placeId
+      ? target.alternatives.find(place => place.place_id === placeId)
+      : target.alternatives[0];
+    if (!replacement) {
+      throw ApiError.notFound(placeId ? `${placeId} is not an alternative for stop ${stopIndex}` : `Stop ${stopIndex} has no alternatives`);
+    }
+
+    target.alternatives = [target.place, ...target.alternatives.filter(place => place.place_id !== replacement.place_id)];
+    target.place = replacement;
+    const changes = [{ stopIndex, kind: target.kind, from: target.alternatives[0].place_id, to: replacement.place_id, reason: 'requested' }];
+
+    const startMs = Date.parse(itinerary.startTime);
+    const endMs = Date.parse(itinerary.endTime);
+    let position = { name: 'start', ...itinerary.start };
+    let time = startMs;
+
+    for (let index = 0; index < stops.length; index++) {
+      const stop = stops[index];
+      // The stop the group asked for must fit as is; later ones may fall back to an alternative
+      const taken = new Set(stops.filter((other, otherIndex) => otherIndex !== index).map(other => other.place.place_id));
+      const options = index === stopIndex
+        ? [stop.place]
+        : [stop.place, ...stop.alternatives.filter(place => !taken.has(place.place_id))];
+      let scheduled = null;
+
+      for (const place of options) {
+        const trip = await this.tripBetween(position, place, itinerary.travelMode);
+        const attempt = this.timeStop(stop.kind, place, trip, time, endMs, itinerary.utcOffsetMinutes);
+        if (attempt.valid) {
+          scheduled = attempt;
+          break;
+        }
+      }
+
+      if (!scheduled) {
+        throw new ApiError(409, index === stopIndex
+          ? `${stop.place.name} is not open or reachable at that point in the plan`
+          : `Swapping stop ${stopIndex} leaves no open, reachable option for stop ${index} (${stop.kind})`, { code: 'SWAP_BREAKS_PLAN' });
+      }
+
+      if (scheduled.stop.place.place_id !== stop.place.place_id) {
+        changes.push({ stopIndex: index, kind: stop.kind, from: stop.place.place_id, to: scheduled.stop.place.place_id, reason: 'no longer fits' });
+        stop.alternatives = [stop.place, ...stop.alternatives.filter(place => place.place_id !== scheduled.stop.place.place_id)];
+      }
+
+      stops[index] = { ...scheduled.stop, alternatives: stop.alternatives.slice(0, MAX_ALTERNATIVES) };
+      position = { name: scheduled.stop.place.name, ...scheduled.stop.place.location };
+      time = Date.parse(scheduled.stop.leaveAt);
+    }
+
+    return { ...this.summarize({ ...itinerary, stops }), changes };
+  }
+
+  /**
+   * Travel from one point to a place
+   * @returns {Promise<{durationSeconds: number, distanceMeters: number}|null>}
+   */
+  async tripBetween(from, place, mode) {
+    const { places: [routed] } = await this.travelTimeService.rankPlaces(
+      [{ geometry: { location: { lat: place.location.latitude, lng: place.location.longitude } } }],
+      [from],
+      { mode, rankBy: 'none' }
+    );
+    return routed.travel ? routed.travel.members[0] : null;
+  }
+
+  /**
+   * When the group would arrive and leave, and whether that works
+   * @returns {{valid: boolean, stop: Object}}
+   */
+  timeStop(kind, place, trip, departMs, endMs, utcOffsetMinutes) {
+    const visitMinutes = STOP_KINDS[kind].visitMinutes;
+    const travelSeconds = trip && trip.durationSeconds !== null ? trip.durationSeconds : 0;
+    const arriveMs = departMs + travelSeconds * 1000;
+    const leaveMs = arriveMs + visitMinutes * 60000;
+    const offset = place.utc_offset_minutes ?? utcOffsetMinutes;
+    const open = isOpenBetween(place.opening_hours, arriveMs, leaveMs, offset);
+
+    return {
+      // Unknown hours are given the benefit of the doubt and flagged on the stop
+      valid: open !== false && leaveMs <= endMs,
+      stop: {
+        kind,
+        label: kind === 'meal' ? mealLabel(localHour(arriveMs, offset)) : STOP_KINDS[kind].label,
+        place,
+        arriveAt: new Date(arriveMs).toISOString(),
+        leaveAt: new Date(leaveMs).toISOString(),
+        visitMinutes,
+        hoursChecked: open !== null,
+        travelFromPrevious: trip ? {
+          durationSeconds: trip.durationSeconds,
+          distanceMeters: trip.distanceMeters,
+          estimated: Boolean(trip.estimated)
+        } : null
+      }
+    };
+  }
+
+  /**
+   * The parts of a place a stop needs, small enough to send back for a swap
+   */
+  toStopPlace(place) {
+    const location = toLatLng(place);
+    return {
+      place_id: place.place_id,
+      name: place.name,
+      address: place.formatted_address || place.vicinity || null,
+      location,
+      rating: place.rating || 0,
+      price_level: place.price_level ?? null,
+      opening_hours: place.opening_hours ? {
+        periods: place.opening_hours.periods || [],
+        weekday_text: place.opening_hours.weekday_text || []
+      } : null,
+      utc_offset_minutes: place.utc_offset_minutes ?? null
+    };
+  }
+
+  /**
+   * Totals for the response; drops `changes` from an earlier swap
+   */
+  summarize(itinerary) {
+    const { changes, ...rest } = itinerary;
+    return {
+      ...rest,
+      totalTravelSeconds: itinerary.stops.reduce((sum, stop) => sum + ((stop.travelFromPrevious && stop.travelFromPrevious.durationSeconds) || 0), 0),
+      finishesAt: itinerary.stops.length > 0 ? itinerary.stops[itinerary.stops.length - 1].leaveAt : null
+    };
+  }
+}
+
+ItineraryService.STOP_KINDS = STOP_KINDS;
+
+module.exports = ItineraryService;
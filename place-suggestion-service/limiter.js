@@ -0,0 +1,37 @@
+/**
+ * Limit how many async tasks run at once; the rest wait in FIFO order
+ * @param {number} concurrency - Maximum tasks in flight (at least 1)
+ * @returns {Function} run(task) - Runs `task` (an async function) when a slot is free
+ */
+function createLimiter(concurrency) {
+  const limit = Math.max(1, concurrency || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const run = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  // For metrics
+  run.stats = () => ({ active, queued: queue.length, concurrency: limit });
+
+  return run;
+}
+
+module.exports = {
+  createLimiter
+};
@@ -0,0 +1,69 @@
+const Joi = require('joi');
+
+/**
+ * Joi schemas for the JSON each LLM task must return
+ * Unknown keys are allowed so richer model output is kept, but the fields the
+ * API relies on must be present and well-typed.
+ */
+
+const stringList = Joi.array().items(Joi.string().allow('')).default([]);
+
+const chatAnalysisOutputSchema = Joi.object({
+  interests: stringList,
+  placeTypes: Joi.array().items(Joi.string()).min(1).required(),
+  preferences: Joi.object({
+    budget: Joi.string().optional(),
+    atmosphere: Joi.string().optional(),
+    cuisine: stringList,
+    activities: stringList
+  }).unknown(true).default({}),
+  constraints: stringList,
+  groupInfo: Joi.object().unknown(true).default({}),
+  keywords: stringList,
+  summary: Joi.string().allow('').default('')
+}).unknown(true);
+
+const recommendationsOutputSchema = Joi.object({
+  searchStrategies: Joi.array().items(
+    Joi.object({
+      type: Joi.string().required(),
+      value: Joi.string().required(),
+      priority: Joi.number().default(1),
+      reason: Joi.string().allow('').optional()
+    }).unknown(true)
+  ).min(1).required(),
+  keywords: stringList,
+  filters: Joi.object().unknown(true).default({}),
+  recommendationReason: Joi.string().allow('').optional(),
+  alternativeOptions: stringList,
+  tips: stringList
+}).unknown(true);
+
+const placeDescriptionsOutputSchema = Joi.array().items(
+  Joi.object({
+    place_id: Joi.string().required(),
+    personalizedDescription: Joi.string().allow('').optional(),
+    matchScore: Joi.number().min(0).max(1).optional(),
+    highlights: stringList,
+    groupAppeal: Joi.string().allow('').optional()
+  }).unknown(true)
+);
+
+const activitySuggestionsOutputSchema = Joi.array().items(
+  Joi.object({
+    activity: Joi.string().required(),
+    description: Joi.string().allow('').optional(),
+    duration: Joi.string().allow('').optional(),
+    cost: Joi.string().allow('').optional(),
+    groupSize: Joi.string().allow('').optional(),
+    whyRecommended: Joi.string().allow('').optional(),
+    tips: stringList
+  }).unknown(true)
+).min(1);
+
+module.exports = {
+  chatAnalysisOutputSchema,
+  recommendationsOutputSchema,
+  placeDescriptionsOutputSchema,
+  activitySuggestionsOutputSchema
+};
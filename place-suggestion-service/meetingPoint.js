@@ -0,0 +1,182 @@
+const { toLatLng, distanceMeters } = require('./geo');
+
+/**
+ * Meeting Point
+ * A fair place to meet when group members start from different parts of the
+ * city. Points are projected onto a flat plane around their average (fine at
+ * city scale), solved there, and projected back.
+ *
+ * Strategies:
+ * - centroid: the average position; quick, but pulled towards clusters
+ * - median: the geometric median, least total distance travelled
+ * - minimax: centre of the smallest circle around everyone, least worst-case distance
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+const MEETING_STRATEGIES = ['centroid', 'median', 'minimax'];
+const DEFAULT_MEETING_STRATEGY = 'median';
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+function createProjection(points) {
+  const lat0 = points.reduce((sum, p) => sum + p.latitude, 0) / points.length;
+  const lng0 = points.reduce((sum, p) => sum + p.longitude, 0) / points.length;
+  const cosLat = Math.cos(toRadians(lat0));
+
+  return {
+    toPlane: ({ latitude, longitude }) => ({
+      x: toRadians(longitude - lng0) * EARTH_RADIUS_METERS * cosLat,
+      y: toRadians(latitude - lat0) * EARTH_RADIUS_METERS
+    }),
+    fromPlane: ({ x, y }) => ({
+      latitude: lat0 + toDegrees(y / EARTH_RADIUS_METERS),
+      longitude: lng0 + toDegrees(x / (EARTH_RADIUS_METERS * cosLat))
+    })
+  };
+}
+
+const planeDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const average = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+});
+
+/**
+ * Weiszfeld's algorithm, starting from the centroid
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{x: number, y: number}}
+ */
+function geometricMedian(points, { iterations = 200, toleranceMeters = 0.5 } = {}) {
+  let current = average(points);
+
+  for (let i = 0; i < iterations; i++) {
+    let weightSum = 0;
+    let x = 0;
+    let y = 0;
+
+    for (const point of points) {
+      const distance = planeDistance(point, current);
+      // Sitting on a member's location: that location is the median (or close enough)
+      if (distance < 1e-6) return point;
+      weightSum += 1 / distance;
+      x += point.x / distance;
+      y += point.y / distance;
+    }
+
+    const next = { x: x / weightSum, y: y / weightSum };
+    const moved = planeDistance(next, current);
+    current = next;
+    if (moved < toleranceMeters) break;
+  }
+
+  return current;
+}
+
+const circleFrom2 = (a, b) => ({
+  center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+  radius: planeDistance(a, b) / 2
+});
+
+function circleFrom3(a, b, c) {
+  const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  // Collinear: the widest pair decides
+  if (Math.abs(d) < 1e-9) {
+    return [circleFrom2(a, b), circleFrom2(a, c), circleFrom2(b, c)]
+      .reduce((widest, circle) => (circle.radius > widest.radius ? circle : widest));
+  }
+
+  const sqA = a.x ** 2 + a.y ** 2;
+  const sqB = b.x ** 2 + b.y ** 2;
+  const sqC = c.x ** 2 + c.y ** 2;
+  const center = {
+    x: (sqA * (b.y - c.y) + sqB * (c.y - a.y) + sqC * (a.y - b.y)) / d,
+    y: (sqA * (c.x - b.x) + sqB * (a.x - c.x) + sqC * (b.x - a.x)) / d
+  };
+  return { center, radius: planeDistance(center, a) };
+}
+
+const contains = (circle, point) => planeDistance(circle.center, point) <= circle.radius + 1e-6;
+
+/**
+ * Smallest enclosing circle (incremental; groups are small)
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{center: {x: number, y: number}, radius: number}}
+ */
+function smallestEnclosingCircle(points) {
+  let circle = { center: points[0], radius: 0 };
+
+  for (let i = 1; i < points.length; i++) {
+    if (contains(circle, points[i])) continue;
+    circle = { center: points[i], radius: 0 };
+
+    for (let j = 0; j < i; j++) {
+      if (contains(circle, points[j])) continue;
+      circle = circleFrom2(points[i], points[j]);
+
+      for (let k = 0; k < j; k++) {
+        if (!contains(circle, points[k])) circle = circleFrom3(points[i], points[j], points[k]);
+      }
+    }
+  }
+
+  return circle;
+}
+
+/**
+ * Fair meeting point for the group
+ * @param {Array<{name: string, latitude: number, longitude: number}>} members
+ * @param {string} strategy - One of MEETING_STRATEGIES
+ * @returns {{strategy: string, latitude: number, longitude: number, members: Array<{name: string, distanceMeters: number}>, totalDistanceMeters: number, maxDistanceMeters: number}}
+ */
+function findMeetingPoint(members, strategy = DEFAULT_MEETING_STRATEGY) {
+  if (!MEETING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown meeting strategy "${strategy}" (use ${MEETING_STRATEGIES.join(', ')})`);
+  }
+
+  const points = members.map(toLatLng);
+  const projection = createProjection(points);
+  const plane = points.map(projection.toPlane);
+
+  const center = strategy === 'centroid'
+    ? average(plane)
+    : strategy === 'median'
+      ? geometricMedian(plane)
+      : smallestEnclosingCircle(plane).center;
+
+  const { latitude, longitude } = projection.fromPlane(center);
+  const point = {
+    latitude: Math.round(latitude * 1e6) / 1e6,
+    longitude: Math.round(longitude * 1e6) / 1e6
+  };
+  const distances = memberDistances(members, point);
+
+  return {
+    strategy,
+    ...point,
+    members: distances,
+    totalDistanceMeters: distances.reduce((sum, member) => sum + member.distanceMeters, 0),
+    maxDistanceMeters: Math.max(...distances.map(member => member.distanceMeters))
+  };
+}
+
+/**
+ * How far each member is from a place
+ * @param {Array<{name: string}>} members - Members with coordinates
+ * @param {Object} place - Anything toLatLng accepts
+ * @returns {Array<{name: string, distanceMeters: (number|null)}>}
+ */
+function memberDistances(members, place) {
+  return members.map(member => ({
+    name: member.name,
+    distanceMeters: distanceMeters(member, place)
+  }));
+}
+
+module.exports = {
+  MEETING_STRATEGIES,
+  DEFAULT_MEETING_STRATEGY,
+  findMeetingPoint,
+  memberDistances
+};
@@ -0,0 +1,70 @@
+/**
+ * Opening hours from Google Place Details (`opening_hours.periods`)
+ *
+ * Periods are in the venue's local time: { open: { day, time: "HHMM" },
+ * close: { day, time } }, days 0 (Sunday) to 6. A single period with no close
+ * means open around the clock. Times are compared as minutes since Sunday
+ * 00:00, so a visit that runs past midnight or into the next week still works.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const toWeekMinute = ({ day, time }) => day * MINUTES_PER_DAY + Number(time.slice(0, 2)) * 60 + Number(time.slice(2, 4));
+
+/**
+ * UTC offset from an ISO 8601 timestamp ("...+05:30", "...Z")
+ * @param {string} iso
+ * @returns {number|null} Minutes east of UTC; null when the timestamp has no offset
+ */
+function offsetFromIso(iso) {
+  const match = /(Z|([+-])(\d{2}):?(\d{2}))$/i.exec(String(iso || '').trim());
+  if (!match) return null;
+  if (match[1].toUpperCase() === 'Z') return 0;
+  const minutes = Number(match[3]) * 60 + Number(match[4]);
+  return match[2] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Minutes since Sunday 00:00 in a UTC offset
+ * @param {number} timeMs
+ * @param {number} offsetMinutes
+ * @returns {number}
+ */
+function weekMinute(timeMs, offsetMinutes) {
+  const local = new Date(timeMs + offsetMinutes * 60000);
+  return local.getUTCDay() * MINUTES_PER_DAY + local.getUTCHours() * 60 + local.getUTCMinutes();
+}
+
+/**
+ * Whether a venue is open for a whole visit
+ * @param {Object} openingHours - place.opening_hours
+ * @param {number} startMs - Arrival, epoch milliseconds
+ * @param {number} endMs - Departure, epoch milliseconds
+ * @param {number} offsetMinutes - Venue's UTC offset
+ * @returns {boolean|null} null when the venue's hours are unknown
+ */
+function isOpenBetween(openingHours, startMs, endMs, offsetMinutes) {
+  const periods = openingHours && openingHours.periods;
+  if (!Array.isArray(periods) || periods.length === 0) return null;
+
+  if (periods.some(period => period.open && !period.close)) return true;
+
+  const start = weekMinute(startMs, offsetMinutes);
+  const end = start + Math.round((endMs - startMs) / 60000);
+
+  return periods.some(period => {
+    const open = toWeekMinute(period.open);
+    let close = toWeekMinute(period.close);
+    if (close <= open) close += MINUTES_PER_WEEK;
+
+    // Check the period in this week, the previous one and the next one
+    return [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some(shift => open + shift <= start && end <= close + shift);
+  });
+}
+
+module.exports = {
+  offsetFromIso,
+  weekMinute,
+  isOpenBetween
+};
@@ -0,0 +1,94 @@
+/**
+ * Paging through Google Places results
+ *
+ * Nearby and text search return at most 20 results per page (60 in total)
+ * and a `next_page_token` for the next page. A cursor records where the
+ * caller stopped: the token of the page holding the next result (null for
+ * the first page) and the offset of that result within the page, plus a
+ * hash of the search so it cannot be replayed against a different one.
+ */
+const crypto = require('crypto');
+const { stableStringify } = require('../shared/cache');
+
+// Google serves at most three pages per search
+const MAX_PAGES = 3;
+
+/**
+ * Fetch pages until `maxResults` places are collected or there are no more
+ * @param {Function} fetchPage - async (pageToken, { fresh }) => { results, next_page_token };
+ *   `fresh` is true for a token this call just received, which Google needs a moment to activate
+ * @param {Object} options
+ * @param {number} options.maxResults - Places to return
+ * @param {Object} options.cursor - { token, offset } from decodeCursor, to continue a previous search
+ * @returns {Promise<{results: Array, next: ({token: (string|null), offset: number}|null)}>}
+ *   `next` is null when the search is exhausted
+ */
+async function fetchPages(fetchPage, { maxResults, cursor = null }) {
+  let token = cursor ? cursor.token : null;
+  let skip = cursor ? cursor.offset : 0;
+  let fresh = false;
+  const results = [];
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const data = await fetchPage(token, { fresh });
+    const items = (data.results || []).slice(skip);
+    const room = maxResults - results.length;
+
+    // The page has more than we need: the next search resumes inside it
+    if (items.length > room) {
+      results.push(...items.slice(0, room));
+      return { results, next: { token, offset: skip + room } };
+    }
+
+    results.push(...items);
+    if (!data.next_page_token) return { results, next: null };
+
+    token = data.next_page_token;
+    skip = 0;
+    fresh = true;
+    if (results.length >= maxResults) return { results, next: { token, offset: 0 } };
+  }
+
+  return { results, next: null };
+}
+
+// Short digest of the search a cursor belongs to; a page token only makes sense for that search
+function searchHash(params) {
+  return crypto.createHash('sha256').update(stableStringify(params || {})).digest('hex').slice(0, 16);
+}
+
+/**
+ * Opaque cursor for clients; `kind` and a hash of `params` tie it to one search
+ * @param {Object} next - From fetchPages, or null
+ * @param {string} kind - e.g. "nearby" or "text"
+ * @param {Object} params - What defines the search (location, radius, type, keyword); not page size
+ * @returns {string|null}
+ */
+function encodeCursor(next, kind, params) {
+  if (!next) return null;
+  return Buffer.from(JSON.stringify({ k: kind, h: searchHash(params), t: next.token, o: next.offset })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - From encodeCursor
+ * @param {string} kind - Must match the kind the cursor was made for
+ * @param {Object} params - Must match the params the cursor was made for
+ * @returns {{token: (string|null), offset: number}|null} null when the cursor is malformed or for another search
+ */
+function decodeCursor(cursor, kind, params) {
+  try {
+    const { k, h, t, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (k !== kind || h !== searchHash(params)) return null;
+    if ((t !== null && typeof t !== 'string') || !Number.isInteger(o) || o < 0) return null;
+    return { token: t, offset: o };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  MAX_PAGES,
+  fetchPages,
+  encodeCursor,
+  decodeCursor
+};
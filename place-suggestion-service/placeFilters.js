@@ -0,0 +1,182 @@
+/**
+ * Place Filters
+ * Turns the loose `filters` the LLM returns ({ priceLevel: "1-3", rating: "4.0+",
+ * openNow: true }) into checks on Google Places results. Price and opening
+ * hours are sent to the Places API (minprice/maxprice/opennow), so the places
+ * they exclude never come back and cannot be counted: those filters report
+ * `removed: null` with `upstream: true`. They are still checked locally as a
+ * safeguard. Rating is only checked locally, and reports how many places it removed.
+ */
+
+// Google price levels run from 0 (free) to 4 (very expensive)
+const MAX_PRICE_LEVEL = 4;
+
+// When too few places survive, filters are dropped in this order: rating is
+// the softest preference, the group's budget the hardest
+const RELAXATION_ORDER = ['rating', 'openNow', 'priceLevel'];
+
+const clampPrice = (level) => Math.min(MAX_PRICE_LEVEL, Math.max(0, Math.round(level)));
+
+/**
+ * Price range from "1-3", "2", "$$" or a number
+ * @param {*} value
+ * @returns {{min: number, max: number}|null}
+ */
+function parsePriceLevel(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return { min: clampPrice(value), max: clampPrice(value) };
+  }
+  if (typeof value !== 'string') return null;
+
+  const dollars = /^\s*(\$+)\s*$/.exec(value);
+  if (dollars) return parsePriceLevel(dollars[1].length);
+
+  const range = /^\s*(\d)\s*(?:-|to)\s*(\d)\s*$/.exec(value);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])].map(clampPrice).sort((a, b) => a - b);
+    return { min, max };
+  }
+
+  const single = /^\s*(\d)\s*$/.exec(value);
+  return single ? parsePriceLevel(Number(single[1])) : null;
+}
+
+/**
+ * Minimum rating from "4.0+", "4", ">= 3.5" or a number
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseRating(value) {
+  const rating = typeof value === 'number' ? value : parseFloat(String(value || '').replace(/^[^\d]*/, ''));
+  return Number.isFinite(rating) && rating > 0 && rating <= 5 ? rating : null;
+}
+
+/**
+ * Normalize the LLM's filters; anything unparseable is left out
+ * @param {Object} filters - `filters` from generateRecommendations
+ * @returns {{priceLevel?: {min: number, max: number}, rating?: number, openNow?: boolean}}
+ */
+function parseFilters(filters = {}) {
+  const parsed = {};
+
+  const priceLevel = parsePriceLevel(filters.priceLevel);
+  // 0-4 is every place; not worth narrowing the search for
+  if (priceLevel && !(priceLevel.min === 0 && priceLevel.max === MAX_PRICE_LEVEL)) {
+    parsed.priceLevel = priceLevel;
+  }
+
+  const rating = parseRating(filters.rating);
+  if (rating) parsed.rating = rating;
+
+  if (filters.openNow === true || filters.openNow === 'true') parsed.openNow = true;
+
+  return parsed;
+}
+
+/**
+ * Places API nearby-search parameters for the filters it supports
+ * @param {Object} filters - From parseFilters
+ * @returns {{minPrice?: number, maxPrice?: number, openNow?: boolean}}
+ */
+function toSearchParams(filters) {
+  const params = {};
+  if (filters.priceLevel) {
+    params.minPrice = filters.priceLevel.min;
+    params.maxPrice = filters.priceLevel.max;
+  }
+  if (filters.openNow) params.openNow = true;
+  return params;
+}
+
+// Local checks. Missing data only fails the rating filter: an unrated place
+// has not earned "4.0+", but an unknown price or schedule is not a mismatch.
+const CHECKS = {
+  priceLevel: (place, { min, max }) => typeof place.price_level !== 'number'
+    || (place.price_level >= min && place.price_level <= max),
+  rating: (place, minRating) => (place.rating || 0) >= minRating,
+  openNow: (place) => !(place.opening_hours && place.opening_hours.open_now === false)
+};
+
+const UPSTREAM = ['priceLevel', 'openNow'];
+
+const describe = {
+  priceLevel: ({ min, max }) => (min === max ? `${min}` : `${min}-${max}`),
+  rating: (rating) => `${rating}+`,
+  openNow: () => 'open now'
+};
+
+/**
+ * Apply filters one after another. `removed` is null for upstream filters:
+ * Google dropped their mismatches before the results reached us.
+ * @param {Array} places
+ * @param {Object} filters - From parseFilters
+ * @returns {{places: Array, applied: Array<{filter: string, value: string, upstream: boolean, removed: number|null}>}}
+ */
+function applyFilters(places, filters) {
+  let remaining = places;
+  const applied = Object.keys(CHECKS)
+    .filter(name => filters[name] !== undefined)
+    .map(name => {
+      const before = remaining.length;
+      const upstream = UPSTREAM.includes(name);
+      remaining = remaining.filter(place => CHECKS[name](place, filters[name]));
+      return {
+        filter: name,
+        value: describe[name](filters[name]),
+        upstream,
+        removed: upstream ? null : before - remaining.length
+      };
+    });
+
+  return { places: remaining, applied };
+}
+
+/**
+ * Search and filter, dropping filters in RELAXATION_ORDER until at least
+ * `minResults` places remain (or no filters are left)
+ * @param {Function} search - async (searchParams) => places; re-run when an upstream filter is dropped
+ * @param {Object} filters - From parseFilters
+ * @param {number} minResults
+ * @returns {Promise<{places: Array, report: Object}>} report: { requested, applied, relaxed, totalBeforeFilters }
+ */
+async function searchWithFilters(search, filters, minResults) {
+  const requested = Object.fromEntries(Object.entries(filters).map(([name, value]) => [name, describe[name](value)]));
+  const relaxed = [];
+  let active = { ...filters };
+  let found = await search(toSearchParams(active));
+  let result = applyFilters(found, active);
+
+  for (const name of RELAXATION_ORDER) {
+    if (result.places.length >= minResults) break;
+    if (active[name] === undefined) continue;
+
+    const { [name]: dropped, ...rest } = active;
+    active = rest;
+    relaxed.push({ filter: name, value: describe[name](dropped), remainingBefore: result.places.length });
+    console.log(`Only ${result.places.length} places left, relaxing the ${name} filter`);
+
+    // The Places API already narrowed the results for upstream filters, so search again without it
+    if (UPSTREAM.includes(name)) found = await search(toSearchParams(active));
+    result = applyFilters(found, active);
+  }
+
+  return {
+    places: result.places,
+    report: {
+      requested,
+      applied: result.applied,
+      relaxed,
+      totalBeforeFilters: found.length
+    }
+  };
+}
+
+module.exports = {
+  RELAXATION_ORDER,
+  parsePriceLevel,
+  parseRating,
+  parseFilters,
+  toSearchParams,
+  applyFilters,
+  searchWithFilters
+};
@@ -0,0 +1,42 @@
+/**
+ * Counters for Google Places usage: upstream calls by endpoint and Place
+ * Details cache hits. PlacesService keeps service-wide totals, and a request
+ * can pass its own counters to see what it cost.
+ */
+
+/**
+ * @returns {{upstream: {nearbySearch: number, textSearch: number, details: number}, detailsCache: {hits: number, misses: number}}}
+ */
+function createPlaceMetrics() {
+  return {
+    upstream: { nearbySearch: 0, textSearch: 0, details: 0 },
+    detailsCache: { hits: 0, misses: 0 }
+  };
+}
+
+/**
+ * Counters plus derived totals and hit rate, for responses
+ * @param {Object} metrics - From createPlaceMetrics
+ * @returns {Object}
+ */
+function summarizeMetrics(metrics) {
+  const { hits, misses } = metrics.detailsCache;
+  const lookups = hits + misses;
+
+  return {
+    upstreamCalls: {
+      ...metrics.upstream,
+      total: Object.values(metrics.upstream).reduce((sum, count) => sum + count, 0)
+    },
+    detailsCache: {
+      hits,
+      misses,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null
+    }
+  };
+}
+
+module.exports = {
+  createPlaceMetrics,
+  summarizeMetrics
+};
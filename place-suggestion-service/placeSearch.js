@@ -0,0 +1,162 @@
+/**
+ * Strategy Search
+ * Runs each search strategy from generateRecommendations with the Places call
+ * that fits it, then merges the results into one list without duplicates
+ */
+
+// What the LLM (or the fallback) may call each kind of strategy
+const STRATEGY_TYPES = {
+  place_type: 'place_type',
+  type: 'place_type',
+  keyword: 'keyword',
+  text: 'text',
+  text_search: 'text',
+  query: 'text'
+};
+
+// Google place types are lowercase snake_case words ("restaurant", "movie_theater")
+const PLACE_TYPE_PATTERN = /^[a-z]+(?:_[a-z]+)*$/;
+
+/**
+ * Which search a strategy needs: 'place_type', 'keyword' or 'text'.
+ * Unknown strategy types fall back on the value: a single snake_case word is
+ * treated as a place type, anything else as a keyword.
+ * @param {Object} strategy - { type, value }
+ * @returns {string}
+ */
+function strategyKind(strategy) {
+  const kind = STRATEGY_TYPES[String(strategy.type || '').toLowerCase()];
+  if (kind) return kind;
+  return PLACE_TYPE_PATTERN.test(strategy.value) ? 'place_type' : 'keyword';
+}
+
+/**
+ * Run one strategy
+ * @param {PlacesService} placesService
+ * @param {Object} strategy - { type, value, priority }
+ * @param {Object} options
+ * @param {Object} options.location - { latitude, longitude }
+ * @param {number} options.radius - Search radius in meters
+ * @param {number} options.maxResults - Places to keep from this strategy
+ * @param {Object} options.filterParams - { minPrice, maxPrice, openNow } (see placeFilters)
+ * @param {boolean} options.enrich - Fetch Place Details for every result (see PlacesService)
+ * @param {Object} options.metrics - Request metrics (see placeMetrics)
+ * @returns {Promise<Array>} Places
+ */
+function searchStrategy(placesService, strategy, {
+  location,
+  radius,
+  maxResults,
+  filterParams = {},
+  enrich = true,
+  metrics = null
+}) {
+  switch (strategyKind(strategy)) {
+    case 'text':
+      return placesService.searchPlacesByText(strategy.value, location, radius, { maxResults, enrich, metrics, ...filterParams });
+    case 'keyword':
+      return placesService.searchNearbyPlaces({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        radius,
+        keyword: strategy.value,
+        maxResults,
+        enrich,
+        metrics,
+        ...filterParams
+      });
+    default:
+      return placesService.searchNearbyPlaces({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        radius,
+        type: strategy.value,
+        maxResults,
+        enrich,
+        metrics,
+        ...filterParams
+      });
+  }
+}
+
+/**
+ * Merge per-strategy results: one entry per place_id, ranked by the best
+ * (lowest) priority that found it, then by how many strategies found it.
+ * Each place lists the strategies that found it in `matchedStrategies`.
+ * @param {Array<{strategy: Object, places: Array}>} results
+ * @returns {Array} Places
+ */
+function mergeStrategyResults(results) {
+  const merged = new Map();
+  let order = 0;
+
+  results.forEach(({ strategy, places }) => {
+    const match = { type: strategyKind(strategy), value: strategy.value, priority: Number(strategy.priority) || 1 };
+
+    places.forEach(place => {
+      // Places without an ID cannot be matched up; keep each one
+      const key = place.place_id || `unidentified:${order}`;
+      const entry = merged.get(key);
+
+      if (entry) {
+        entry.matchedStrategies.push(match);
+        entry.bestPriority = Math.min(entry.bestPriority, match.priority);
+      } else {
+        merged.set(key, { place, matchedStrategies: [match], bestPriority: match.priority, order: order++ });
+      }
+    });
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => a.bestPriority - b.bestPriority
+      || b.matchedStrategies.length - a.matchedStrategies.length
+      || a.order - b.order)
+    .map(({ place, matchedStrategies }) => ({ ...place, matchedStrategies }));
+}
+
+/**
+ * Run every strategy and merge the results. A failing strategy is logged and skipped.
+ * @param {PlacesService} placesService
+ * @param {Object} recommendations - From generateRecommendations: { searchStrategies }
+ * @param {Object} options - location, radius, filterParams, enrich, metrics (see searchStrategy)
+ * @param {number} options.totalResults - Places to request across all strategies
+ * @returns {Promise<Array>} Places
+ */
+async function searchStrategies(placesService, recommendations, {
+  location,
+  radius,
+  filterParams = {},
+  totalResults = 20,
+  enrich = true,
+  metrics = null
+}) {
+  const strategies = [...recommendations.searchStrategies]
+    .sort((a, b) => (Number(a.priority) || 1) - (Number(b.priority) || 1));
+  const maxResults = Math.max(1, Math.floor(totalResults / strategies.length));
+  const results = [];
+
+  for (const strategy of strategies) {
+    try {
+      const places = await searchStrategy(placesService, strategy, {
+        location,
+        radius,
+        maxResults,
+        filterParams,
+        enrich,
+        metrics
+      });
+      results.push({ strategy, places });
+    } catch (error) {
+      console.error(`Error searching for ${strategy.value} (${strategyKind(strategy)}):`, error.message);
+    }
+  }
+
+  return mergeStrategyResults(results);
+}
+
+module.exports = {
+  strategyKind,
+  searchStrategy,
+  mergeStrategyResults,
+  searchStrategies
+};
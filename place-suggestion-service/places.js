@@ -1,4 +1,14 @@
 const { Client } = require('@googlemaps/google-maps-services-js');
+const { Cache, MemoryStore } = require('../shared/cache');
+const { createLimiter } = require('./limiter');
+const { createPlaceMetrics } = require('./placeMetrics');
+const { fetchPages } = require('./pagination');
+
+// A next_page_token is only accepted a couple of seconds after it is issued
+const PAGE_TOKEN_DELAY_MS = 2000;
+const PAGE_TOKEN_RETRIES = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * Google Places API Service
@@ -12,10 +22,75 @@ class PlacesService {
     if (!this.apiKey) {
       throw new Error('GOOGLE_PLACES_API_KEY environment variable is required');
     }
+
+    // Place Details are cached across requests (LRU with a TTL) and fetched a few at a time
+    const ttlSeconds = parseInt(process.env.PLACE_DETAILS_CACHE_TTL_SECONDS, 10);
+    const maxEntries = parseInt(process.env.PLACE_DETAILS_CACHE_MAX_ENTRIES, 10);
+    this.detailsCache = new Cache({
+      store: new MemoryStore({ maxEntries: Number.isNaN(maxEntries) ? 1000 : maxEntries }),
+      ttlMs: (Number.isNaN(ttlSeconds) ? 3600 : ttlSeconds) * 1000,
+      enabled: process.env.PLACE_DETAILS_CACHE_ENABLED !== 'false'
+    });
+    this.detailsLimiter = createLimiter(parseInt(process.env.PLACE_DETAILS_CONCURRENCY, 10) || 5);
+    this.totals = createPlaceMetrics();
+    this.pageTokenDelayMs = parseInt(process.env.PLACES_PAGE_TOKEN_DELAY_MS, 10) || PAGE_TOKEN_DELAY_MS;
+  }
+
+  /**
+   * Update the service-wide totals and, when given, a request's own counters
+   * @param {Object} metrics - Request metrics from createPlaceMetrics (optional)
+   * @param {Function} update - (metrics) => void
+   */
+  count(metrics, update) {
+    [this.totals, metrics].filter(Boolean).forEach(update);
+  }
+
+  /**
+   * One page of a nearby or text search
+   * With a page token, Google ignores every other parameter. A token that is
+   * not active yet comes back as INVALID_REQUEST and is retried after a delay.
+   * @param {string} method - 'placesNearby' or 'textSearch'
+   * @param {Object} params - Search parameters (used for the first page)
+   * @param {string} pageToken - next_page_token of the previous page, or null
+   * @param {Object} options
+   * @param {boolean} options.fresh - The token was just issued; wait before using it
+   * @param {Function} options.onCall - Called before each upstream request (for metrics)
+   * @returns {Promise<Object>} Response data: { results, next_page_token }
+   */
+  async fetchPage(method, params, pageToken, { fresh = false, onCall }) {
+    if (pageToken && fresh) await sleep(this.pageTokenDelayMs);
+
+    for (let attempt = 0; ; attempt++) {
+      onCall();
+      let data;
+      try {
+        ({ data } = await this.client[method]({
+          params: pageToken ? { pagetoken: pageToken, key: this.apiKey } : params
+        }));
+      } catch (error) {
+        // The client rejects INVALID_REQUEST as an HTTP 400 before the status can be checked
+        const inactiveToken = pageToken && error.response?.data?.status === 'INVALID_REQUEST';
+        if (inactiveToken && attempt < PAGE_TOKEN_RETRIES) {
+          await sleep(this.pageTokenDelayMs);
+          continue;
+        }
+        throw error;
+      }
+
+      if (data.status === 'INVALID_REQUEST' && pageToken && attempt < PAGE_TOKEN_RETRIES) {
+        await sleep(this.pageTokenDelayMs);
+        continue;
+      }
+      if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+        throw new Error(`Google Places API error: ${data.status}`);
+      }
+      return data;
+    }
   }
 
   /**
    * Search for nearby places based on location and preferences
+   * Fetches further pages (up to Google's 60 results) until maxResults is reached.
    * @param {Object} params - Search parameters
    * @param {number} params.latitude - Latitude coordinate
    * @param {number} params.longitude - Longitude coordinate
@@ -23,15 +98,38 @@ class PlacesService {
    * @param {string} params.type - Place type (restaurant, tourist_attraction, etc.)
    * @param {string} params.keyword - Additional search keyword
    * @param {number} params.maxResults - Maximum number of results (default: 20)
+   * @param {number} params.minPrice - Lowest price level, 0-4 (optional)
+   * @param {number} params.maxPrice - Highest price level, 0-4 (optional)
+   * @param {boolean} params.openNow - Only places open right now (optional)
+   * @param {boolean} params.enrich - Fetch Place Details for every result (default: true);
+   *   pass false and call enrichPlaces on the ones you keep
+   * @param {Object} params.metrics - Request metrics to count calls in (optional)
    * @returns {Promise<Array>} Array of place objects
    */
-  async searchNearbyPlaces({
+  async searchNearbyPlaces(params) {
+    const { places } = await this.searchNearbyPlacesPage(params);
+    return places;
+  }
+
+  /**
+   * searchNearbyPlaces, resumable: takes and returns a position in the results
+   * @param {Object} params - As searchNearbyPlaces, plus:
+   * @param {Object} params.cursor - { token, offset } where a previous call stopped (see pagination.js)
+   * @returns {Promise<{places: Array, next: (Object|null)}>} `next` resumes after the last place; null when there are no more
+   */
+  async searchNearbyPlacesPage({
     latitude,
     longitude,
     radius = 5000,
     type = null,
     keyword = null,
-    maxResults = 20
+    maxResults = 20,
+    minPrice = null,
+    maxPrice = null,
+    openNow = false,
+    enrich = true,
+    metrics = null,
+    cursor = null
   }) {
     try {
       const request = {
@@ -49,41 +147,81 @@ class PlacesService {
       if (keyword) {
         request.params.keyword = keyword;
       }
-
-      const response = await this.client.placesNearby(request);
-      
-      if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
-        throw new Error(`Google Places API error: ${response.data.status}`);
+      if (minPrice !== null) {
+        request.params.minprice = minPrice;
       }
-
-      let places = response.data.results || [];
-
-      // Limit results
-      if (maxResults && places.length > maxResults) {
-        places = places.slice(0, maxResults);
+      if (maxPrice !== null) {
+        request.params.maxprice = maxPrice;
+      }
+      if (openNow) {
+        request.params.opennow = true;
       }
 
-      // Enhance place data with additional details
-      const enhancedPlaces = await Promise.all(
-        places.map(async (place) => {
-          const enhancedPlace = await this.enhancePlaceDetails(place);
-          return enhancedPlace;
-        })
+      const { results: places, next } = await fetchPages(
+        (pageToken, options) => this.fetchPage('placesNearby', request.params, pageToken, {
+          ...options,
+          onCall: () => this.count(metrics, m => m.upstream.nearbySearch++)
+        }),
+        { maxResults, cursor }
       );
 
-      return enhancedPlaces;
+      // Enhance place data with additional details
+      return {
+        places: enrich
+          ? await this.enrichPlaces(places, { metrics })
+          : places.map(place => this.formatBasicPlace(place)),
+        next
+      };
     } catch (error) {
       console.error('Error searching nearby places:', error);
       throw new Error(`Failed to search nearby places: ${error.message}`);
     }
   }
 
+  /**
+   * Fetch Place Details for the first `limit` places (all by default); the rest are returned as they are
+   * @param {Array} places - Places in ranked order
+   * @param {Object} options
+   * @param {number} options.limit - How many places to enrich
+   * @param {Object} options.metrics - Request metrics to count calls in (optional)
+   * @returns {Promise<Array>} Places, enriched ones first
+   */
+  async enrichPlaces(places, { limit = places.length, metrics = null } = {}) {
+    const enriched = await Promise.all(
+      places.slice(0, limit).map(place => this.enhancePlaceDetails(place, { metrics }))
+    );
+    return [...enriched, ...places.slice(limit)];
+  }
+
   /**
    * Get detailed information about a specific place
+   * Served from the details cache when possible; concurrent lookups of the
+   * same place share one upstream call.
+   * @param {string} placeId - Google Places place ID
+   * @param {Object} options
+   * @param {Object} options.metrics - Request metrics to count calls in (optional)
+   * @returns {Promise<Object>} Enhanced place details
+   */
+  async getPlaceDetails(placeId, { metrics = null } = {}) {
+    const result = await this.detailsCache.wrap(
+      `details:${placeId}`,
+      () => this.detailsLimiter(() => this.fetchPlaceDetails(placeId, metrics))
+    );
+
+    this.count(metrics, m => {
+      if (result.status === 'HIT') m.detailsCache.hits++;
+      else m.detailsCache.misses++;
+    });
+    return result.value;
+  }
+
+  /**
+   * Place Details straight from the API
    * @param {string} placeId - Google Places place ID
+   * @param {Object} metrics - Request metrics to count the call in (optional)
    * @returns {Promise<Object>} Enhanced place details
    */
-  async getPlaceDetails(placeId) {
+  async fetchPlaceDetails(placeId, metrics = null) {
     try {
       const request = {
         params: {
@@ -100,12 +238,14 @@ class PlacesService {
             'types',
             'website',
             'formatted_phone_number',
-            'reviews'
+            'reviews',
+            'utc_offset_minutes'
           ].join(','),
           key: this.apiKey,
         },
       };
 
+      this.count(metrics, m => m.upstream.details++);
       const response = await this.client.placeDetails(request);
       
       if (response.data.status !== 'OK') {
@@ -122,13 +262,15 @@ class PlacesService {
   /**
    * Enhance basic place data with additional details
    * @param {Object} place - Basic place object from nearby search
+   * @param {Object} options
+   * @param {Object} options.metrics - Request metrics to count calls in (optional)
    * @returns {Promise<Object>} Enhanced place object
    */
-  async enhancePlaceDetails(place) {
+  async enhancePlaceDetails(place, { metrics = null } = {}) {
     try {
       // Get additional details if place_id is available
       if (place.place_id) {
-        const details = await this.getPlaceDetails(place.place_id);
+        const details = await this.getPlaceDetails(place.place_id, { metrics });
         return {
           ...place,
           ...details,
@@ -162,8 +304,11 @@ class PlacesService {
       price_level: place.price_level || null,
       types: place.types || [],
       photos: place.photos || [],
+      opening_hours: place.opening_hours || null,
       business_status: place.business_status || 'OPERATIONAL',
-      formatted_address: place.vicinity,
+      formatted_address: place.formatted_address || place.vicinity,
+      // Fetch GET /api/places/:placeId for reviews, website and full opening hours
+      hasDetails: false,
     };
   }
 
@@ -188,6 +333,9 @@ class PlacesService {
       formatted_phone_number: place.formatted_phone_number || null,
       reviews: place.reviews || [],
       business_status: place.business_status || 'OPERATIONAL',
+      // Opening hours are in the venue's local time
+      utc_offset_minutes: place.utc_offset_minutes ?? null,
+      hasDetails: true,
     };
   }
 
@@ -196,9 +344,28 @@ class PlacesService {
    * @param {string} query - Search query
    * @param {Object} location - Location object with lat/lng
    * @param {number} radius - Search radius in meters
+   * @param {Object} options - Optional maxResults (default: 20), minPrice, maxPrice, openNow,
+   *   enrich, metrics and cursor (as in searchNearbyPlacesPage)
    * @returns {Promise<Array>} Array of place objects
    */
-  async searchPlacesByText(query, location = null, radius = 5000) {
+  async searchPlacesByText(query, location = null, radius = 5000, options = {}) {
+    const { places } = await this.searchPlacesByTextPage(query, location, radius, options);
+    return places;
+  }
+
+  /**
+   * searchPlacesByText, resumable like searchNearbyPlacesPage
+   * @returns {Promise<{places: Array, next: (Object|null)}>}
+   */
+  async searchPlacesByTextPage(query, location = null, radius = 5000, {
+    maxResults = 20,
+    minPrice = null,
+    maxPrice = null,
+    openNow = false,
+    enrich = true,
+    metrics = null,
+    cursor = null
+  } = {}) {
     try {
       const request = {
         params: {
@@ -211,24 +378,31 @@ class PlacesService {
         request.params.location = `${location.latitude},${location.longitude}`;
         request.params.radius = radius;
       }
-
-      const response = await this.client.textSearch(request);
-      
-      if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
-        throw new Error(`Google Places API error: ${response.data.status}`);
+      if (minPrice !== null) {
+        request.params.minprice = minPrice;
+      }
+      if (maxPrice !== null) {
+        request.params.maxprice = maxPrice;
+      }
+      if (openNow) {
+        request.params.opennow = true;
       }
 
-      const places = response.data.results || [];
-      
-      // Enhance place data
-      const enhancedPlaces = await Promise.all(
-        places.map(async (place) => {
-          const enhancedPlace = await this.enhancePlaceDetails(place);
-          return enhancedPlace;
-        })
+      const { results: places, next } = await fetchPages(
+        (pageToken, options) => this.fetchPage('textSearch', request.params, pageToken, {
+          ...options,
+          onCall: () => this.count(metrics, m => m.upstream.textSearch++)
+        }),
+        { maxResults, cursor }
       );
 
-      return enhancedPlaces;
+      // Enhance place data
+      return {
+        places: enrich
+          ? await this.enrichPlaces(places, { metrics })
+          : places.map(place => this.formatBasicPlace(place)),
+        next
+      };
     } catch (error) {
       console.error('Error searching places by text:', error);
       throw new Error(`Failed to search places by text: ${error.message}`);
@@ -1,28 +1,61 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { LLMRegistry } = require('../shared/llm');
+const { detectChatLanguage, replyInstruction, MULTILINGUAL_NOTE, LOCALE_NAMES } = require('../shared/language');
+const { matchLexicon } = require('../shared/lexicon');
+const {
+  chatAnalysisOutputSchema,
+  recommendationsOutputSchema,
+  placeDescriptionsOutputSchema,
+  activitySuggestionsOutputSchema
+} = require('./llm_schemas');
+
+// Gemini stays the default; each task can be moved to another provider with
+// LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL (or LLM_PROVIDER for all of them)
+const DEFAULT_LLM = { provider: 'gemini', model: 'gemini-pro' };
+
+const LLM_TASKS = ['place_analysis', 'place_recommendations', 'place_descriptions', 'activity_suggestions'];
 
 /**
- * Gemini AI Recommendation Service
- * Uses Google's Gemini AI to analyze chat conversations and recommend places
+ * Reply locale detected for the chat (see shared/language); English when unknown
+ * @param {Object} analysis - Analysis result from analyzeChatMessages
+ * @returns {string}
+ */
+const localeOf = (analysis = {}) => (analysis.chatLanguage && analysis.chatLanguage.locale) || 'en';
+
+/**
+ * AI Recommendation Service
+ * Uses an LLM (Gemini by default) to analyze chat conversations and recommend places
  */
 class RecommendationService {
   constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    
-    if (!this.apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
-    }
+    this.llm = new LLMRegistry({
+      defaults: DEFAULT_LLM,
+      mockHandlers: {
+        place_analysis: ({ context }) => this.fallbackAnalysis(context.messages),
+        place_recommendations: ({ context }) => this.fallbackRecommendations(context.analysis),
+        place_descriptions: () => [],
+        activity_suggestions: ({ context }) => this.fallbackActivities(context.analysis)
+      }
+    });
+
+    const unconfigured = LLM_TASKS
+      .map(task => this.llm.forTask(task))
+      .filter(provider => !provider.isConfigured());
 
-    this.genAI = new GoogleGenerativeAI(this.apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
+    if (unconfigured.length > 0) {
+      throw new Error(`LLM provider "${unconfigured[0].name}" is not configured (set its API key, e.g. GEMINI_API_KEY, or choose another LLM_PROVIDER)`);
+    }
   }
 
   /**
    * Analyze chat messages to extract location preferences and interests
    * @param {Array} messages - Array of chat messages
    * @param {string} userLocation - User's current location (city, state)
+   * @param {Object} meta - Optional; receives `source` ('ai' | 'repaired' | 'rule-based' | 'fallback')
    * @returns {Promise<Object>} Extracted preferences and interests
    */
-  async analyzeChatMessages(messages, userLocation = '') {
+  async analyzeChatMessages(messages, userLocation = '', meta = {}) {
+    const chatLanguage = detectChatLanguage(messages);
+
     try {
       const chatText = messages
         .map(msg => `${msg.sender}: ${msg.content}`)
@@ -36,6 +69,8 @@ Analyze the following group chat conversation and extract information about:
 4. Any constraints or requirements
 5. Group size and demographics if mentioned
 
+${MULTILINGUAL_NOTE}
+
 Chat conversation:
 ${chatText}
 
@@ -57,22 +92,27 @@ Please respond with a JSON object containing:
     "demographics": "age group or type"
   },
   "keywords": ["keyword1", "keyword2"],
-  "summary": "Brief summary of what the group is looking for"
+  "summary": "Brief summary of what the group is looking for, written in ${LOCALE_NAMES[chatLanguage.locale]}"
 }
 
 Only respond with valid JSON, no additional text.`;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { data, source } = await this.llm.completeJSON('place_analysis', {
+        prompt,
+        json: true,
+        context: { messages }
+      }, {
+        schema: chatAnalysisOutputSchema,
+        // Fallback analysis if AI fails
+        fallback: () => this.fallbackAnalysis(messages)
+      });
 
-      // Parse JSON response
-      const analysis = JSON.parse(text);
-      return analysis;
+      meta.source = source;
+      return { ...data, chatLanguage };
     } catch (error) {
       console.error('Error analyzing chat messages:', error);
       
-      // Fallback analysis if AI fails
+      meta.source = 'fallback';
       return this.fallbackAnalysis(messages);
     }
   }
@@ -82,9 +122,10 @@ Only respond with valid JSON, no additional text.`;
    * @param {Object} analysis - Analysis result from analyzeChatMessages
    * @param {Object} location - Location object with latitude and longitude
    * @param {number} radius - Search radius in meters
+   * @param {Object} meta - Optional; receives `source` ('ai' | 'repaired' | 'rule-based' | 'fallback')
    * @returns {Promise<Object>} Recommendation strategy and search parameters
    */
-  async generateRecommendations(analysis, location, radius = 5000) {
+  async generateRecommendations(analysis, location, radius = 5000, meta = {}) {
     try {
       const prompt = `
 Based on the following analysis of a group chat conversation, generate specific place recommendations:
@@ -116,18 +157,30 @@ Please provide a JSON response with:
   "tips": ["tip1", "tip2"]
 }
 
+Strategy "type" is one of:
+- "place_type": "value" is a Google place type (restaurant, cafe, movie_theater, ...)
+- "keyword": "value" is a word to search nearby places for (pizza, bowling, ...)
+- "text": "value" is a free-text query (rooftop cafe with live music, ...)
+Lower "priority" numbers are searched and ranked first.
+
 Only respond with valid JSON, no additional text.`;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { data, source } = await this.llm.completeJSON('place_recommendations', {
+        prompt,
+        json: true,
+        context: { analysis, location, radius }
+      }, {
+        schema: recommendationsOutputSchema,
+        // Fallback recommendations
+        fallback: () => this.fallbackRecommendations(analysis)
+      });
 
-      const recommendations = JSON.parse(text);
-      return recommendations;
+      meta.source = source;
+      return data;
     } catch (error) {
       console.error('Error generating recommendations:', error);
       
-      // Fallback recommendations
+      meta.source = 'fallback';
       return this.fallbackRecommendations(analysis);
     }
   }
@@ -136,9 +189,10 @@ Only respond with valid JSON, no additional text.`;
    * Generate personalized descriptions for places
    * @param {Array} places - Array of place objects
    * @param {Object} analysis - Analysis result from analyzeChatMessages
+   * @param {Object} meta - Optional; receives `source` ('ai' | 'repaired' | 'rule-based' | 'fallback')
    * @returns {Promise<Array>} Places with personalized descriptions
    */
-  async personalizePlaceDescriptions(places, analysis) {
+  async personalizePlaceDescriptions(places, analysis, meta = {}) {
     try {
       const prompt = `
 Based on the group's preferences and interests, create personalized descriptions for these places:
@@ -158,13 +212,19 @@ For each place, provide:
   "groupAppeal": "What makes this place appealing to this specific group"
 }
 
+${replyInstruction(localeOf(analysis))}
+
 Only respond with valid JSON array, no additional text.`;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { data: personalizedPlaces, source } = await this.llm.completeJSON('place_descriptions', {
+        prompt,
+        context: { places, analysis }
+      }, {
+        schema: placeDescriptionsOutputSchema,
+        fallback: () => []
+      });
 
-      const personalizedPlaces = JSON.parse(text);
+      meta.source = source;
       
       // Merge personalized data with original place data
       return places.map(place => {
@@ -181,6 +241,7 @@ Only respond with valid JSON array, no additional text.`;
       console.error('Error personalizing place descriptions:', error);
       
       // Return places with basic descriptions
+      meta.source = 'fallback';
       return places.map(place => ({
         ...place,
         personalizedDescription: place.name,
@@ -195,9 +256,10 @@ Only respond with valid JSON array, no additional text.`;
    * Generate activity suggestions based on chat analysis
    * @param {Object} analysis - Analysis result from analyzeChatMessages
    * @param {string} location - Location string
+   * @param {Object} meta - Optional; receives `source` ('ai' | 'repaired' | 'rule-based' | 'fallback')
    * @returns {Promise<Array>} Array of activity suggestions
    */
-  async generateActivitySuggestions(analysis, location) {
+  async generateActivitySuggestions(analysis, location, meta = {}) {
     try {
       const prompt = `
 Based on the group's interests and preferences, suggest specific activities for ${location}:
@@ -218,18 +280,25 @@ Provide a JSON array of activity suggestions:
   }
 ]
 
+${replyInstruction(localeOf(analysis))}
+
 Only respond with valid JSON array, no additional text.`;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { data, source } = await this.llm.completeJSON('activity_suggestions', {
+        prompt,
+        context: { analysis, location }
+      }, {
+        schema: activitySuggestionsOutputSchema,
+        // Fallback activities
+        fallback: () => this.fallbackActivities(analysis)
+      });
 
-      const activities = JSON.parse(text);
-      return activities;
+      meta.source = source;
+      return data;
     } catch (error) {
       console.error('Error generating activity suggestions:', error);
       
-      // Fallback activities
+      meta.source = 'fallback';
       return this.fallbackActivities(analysis);
     }
   }
@@ -243,17 +312,11 @@ Only respond with valid JSON array, no additional text.`;
     // Extract keywords from chat messages
     const chatText = messages.map(msg => msg.content.toLowerCase()).join(' ');
     
-    // Simple keyword extraction
-    const foodKeywords = ['food', 'eat', 'restaurant', 'dinner', 'lunch', 'breakfast', 'cafe', 'bar', 'drink', 'pizza', 'burger', 'sushi', 'italian', 'chinese', 'mexican', 'thai', 'indian'];
-    const activityKeywords = ['fun', 'activity', 'entertainment', 'movie', 'theater', 'museum', 'park', 'beach', 'hiking', 'shopping', 'mall', 'game', 'sports', 'concert', 'show'];
-    const attractionKeywords = ['visit', 'see', 'tourist', 'attraction', 'landmark', 'monument', 'gallery', 'exhibition', 'zoo', 'aquarium', 'theme park'];
-    const budgetKeywords = ['cheap', 'expensive', 'budget', 'affordable', 'luxury', 'fancy', 'casual', 'formal'];
-    
-    // Count keyword matches
-    const foodMatches = foodKeywords.filter(keyword => chatText.includes(keyword));
-    const activityMatches = activityKeywords.filter(keyword => chatText.includes(keyword));
-    const attractionMatches = attractionKeywords.filter(keyword => chatText.includes(keyword));
-    const budgetMatches = budgetKeywords.filter(keyword => chatText.includes(keyword));
+    // Keyword extraction; Hindi, Marathi and Hinglish words map to the English keyword
+    const foodMatches = matchLexicon(chatText, 'food');
+    const activityMatches = matchLexicon(chatText, 'activity');
+    const attractionMatches = matchLexicon(chatText, 'attraction');
+    const budgetMatches = matchLexicon(chatText, 'budget');
     
     // Determine interests based on matches
     const interests = [];
@@ -314,7 +377,8 @@ Only respond with valid JSON array, no additional text.`;
         demographics: 'mixed ages'
       },
       keywords: keywords.length > 0 ? keywords.slice(0, 5) : ['fun', 'good food', 'interesting'],
-      summary: `Group looking for ${interests.join(' and ')} based on chat conversation`
+      summary: `Group looking for ${interests.join(' and ')} based on chat conversation`,
+      chatLanguage: detectChatLanguage(messages)
     };
   }
 
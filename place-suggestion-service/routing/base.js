@@ -0,0 +1,36 @@
+/**
+ * Routing provider interface
+ *
+ * A provider estimates how long it takes to get from each origin to each
+ * destination. Recommendations use it to rank places by travel time from
+ * every group member.
+ */
+
+class RoutingProvider {
+  constructor() {
+    this.name = 'base';
+  }
+
+  /**
+   * Whether the provider has everything it needs (API key) to answer
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Travel time and distance for every origin/destination pair
+   * @param {Object} params
+   * @param {Array<{latitude: number, longitude: number}>} params.origins
+   * @param {Array<{latitude: number, longitude: number}>} params.destinations
+   * @param {string} params.mode - One of TRAVEL_MODES (see routing/index.js)
+   * @returns {Promise<Array<Array<({durationSeconds: number, distanceMeters: number}|null)>>>}
+   *   matrix[origin][destination]; null where no route was found
+   */
+  async getTravelTimes({ origins, destinations, mode }) {
+    throw new Error(`${this.name} routing provider does not implement getTravelTimes()`);
+  }
+}
+
+module.exports = RoutingProvider;
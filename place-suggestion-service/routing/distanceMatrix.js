@@ -0,0 +1,77 @@
+const { Client } = require('@googlemaps/google-maps-services-js');
+const RoutingProvider = require('./base');
+
+// Distance Matrix allows at most 25 origins, 25 destinations and 100 elements per request
+const MAX_PER_SIDE = 25;
+const MAX_ELEMENTS = 100;
+
+const toParam = ({ latitude, longitude }) => `${latitude},${longitude}`;
+
+/**
+ * Live travel times from the Google Distance Matrix API (same key as Places;
+ * the Distance Matrix API must be enabled for it). Driving and transit use
+ * the current departure time, so traffic and timetables count.
+ */
+class DistanceMatrixRoutingProvider extends RoutingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Google Maps API key
+   * @param {Client} options.client - Maps client override
+   */
+  constructor({ apiKey, client = new Client({}) } = {}) {
+    super();
+    this.name = 'distance_matrix';
+    this.apiKey = apiKey;
+    this.client = client;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async getTravelTimes({ origins, destinations, mode }) {
+    const matrix = origins.map(() => destinations.map(() => null));
+    const originChunk = Math.min(MAX_PER_SIDE, origins.length);
+    const destinationChunk = Math.max(1, Math.min(MAX_PER_SIDE, Math.floor(MAX_ELEMENTS / originChunk)));
+
+    // One request per block of the matrix, sent in parallel
+    const blocks = [];
+    for (let o = 0; o < origins.length; o += originChunk) {
+      for (let d = 0; d < destinations.length; d += destinationChunk) {
+        blocks.push({ o, d });
+      }
+    }
+
+    await Promise.all(blocks.map(async ({ o, d }) => {
+      const originBlock = origins.slice(o, o + originChunk);
+      const destinationBlock = destinations.slice(d, d + destinationChunk);
+      const params = {
+        origins: originBlock.map(toParam),
+        destinations: destinationBlock.map(toParam),
+        mode,
+        key: this.apiKey
+      };
+      if (mode !== 'walking') params.departure_time = 'now';
+
+      const response = await this.client.distancematrix({ params });
+      if (response.data.status !== 'OK') {
+        throw new Error(`Distance Matrix API error: ${response.data.status}`);
+      }
+
+      response.data.rows.forEach((row, i) => {
+        row.elements.forEach((element, j) => {
+          if (element.status !== 'OK') return;
+          const duration = element.duration_in_traffic || element.duration;
+          matrix[o + i][d + j] = {
+            durationSeconds: duration.value,
+            distanceMeters: element.distance.value
+          };
+        });
+      });
+    }));
+
+    return matrix;
+  }
+}
+
+module.exports = DistanceMatrixRoutingProvider;
@@ -0,0 +1,53 @@
+const RoutingProvider = require('./base');
+const { distanceMeters } = require('../geo');
+
+// Typical city speeds in km/h, door to door
+const DEFAULT_SPEEDS_KMH = {
+  driving: 25,
+  transit: 18,
+  walking: 4.8
+};
+
+// Roads are longer than the straight line between two points
+const DETOUR_FACTOR = 1.3;
+
+// Walking to the stop and waiting for the first train or bus
+const TRANSIT_OVERHEAD_SECONDS = 5 * 60;
+
+/**
+ * Offline travel times from straight-line distance and an average speed per
+ * mode. Needs no API key; used in development and when a live provider fails.
+ */
+class HaversineRoutingProvider extends RoutingProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.speeds - km/h per travel mode, overriding the defaults
+   */
+  constructor({ speeds = {} } = {}) {
+    super();
+    this.name = 'haversine';
+    this.speeds = { ...DEFAULT_SPEEDS_KMH, ...speeds };
+  }
+
+  /**
+   * Estimated trip between two points
+   * @returns {{durationSeconds: number, distanceMeters: number}|null}
+   */
+  estimate(origin, destination, mode) {
+    const straight = distanceMeters(origin, destination);
+    if (straight === null) return null;
+
+    const distance = Math.round(straight * DETOUR_FACTOR);
+    const overhead = mode === 'transit' && distance > 0 ? TRANSIT_OVERHEAD_SECONDS : 0;
+    return {
+      durationSeconds: Math.round(distance / (this.speeds[mode] / 3.6)) + overhead,
+      distanceMeters: distance
+    };
+  }
+
+  async getTravelTimes({ origins, destinations, mode }) {
+    return origins.map(origin => destinations.map(destination => this.estimate(origin, destination, mode)));
+  }
+}
+
+module.exports = HaversineRoutingProvider;
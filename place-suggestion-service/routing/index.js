@@ -0,0 +1,48 @@
+const RoutingProvider = require('./base');
+const HaversineRoutingProvider = require('./haversine');
+const DistanceMatrixRoutingProvider = require('./distanceMatrix');
+
+const TRAVEL_MODES = ['driving', 'transit', 'walking'];
+
+/**
+ * Routing providers by name; select one with ROUTING_PROVIDER
+ */
+const PROVIDERS = {
+  haversine: HaversineRoutingProvider,
+  distance_matrix: DistanceMatrixRoutingProvider
+};
+
+/**
+ * Create the routing provider configured in the environment
+ *
+ * ROUTING_PROVIDER picks the implementation (default "haversine", which works
+ * offline); "distance_matrix" uses GOOGLE_MAPS_API_KEY, or GOOGLE_PLACES_API_KEY
+ * when that is not set.
+ *
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {RoutingProvider}
+ */
+function createRoutingProvider(env = process.env) {
+  const name = (env.ROUTING_PROVIDER || 'haversine').toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown routing provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const provider = new Provider({ apiKey: env.GOOGLE_MAPS_API_KEY || env.GOOGLE_PLACES_API_KEY });
+  if (!provider.isConfigured()) {
+    throw new Error(`Routing provider "${name}" is not configured`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  RoutingProvider,
+  HaversineRoutingProvider,
+  DistanceMatrixRoutingProvider,
+  TRAVEL_MODES,
+  PROVIDERS,
+  createRoutingProvider
+};
@@ -0,0 +1,44 @@
+/**
+ * Showtimes provider interface
+ *
+ * A provider knows which cinemas play a movie and when. Implementations only
+ * need `getShowtimes`; `getMovie` lets the theater finder show a title when
+ * the caller did not send one.
+ */
+class ShowtimesProvider {
+  constructor() {
+    this.name = 'base';
+  }
+
+  /**
+   * Whether the provider has everything it needs (API key, data file) to answer
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Basic movie info, if the provider knows the movie
+   * @param {number|string} movieId - TMDB movie ID
+   * @returns {Promise<{id: number, title: string, runtime: (number|null)}|null>}
+   */
+  async getMovie(movieId) {
+    return null;
+  }
+
+  /**
+   * Showtimes for a movie at the given cinemas on one date
+   * @param {Object} params
+   * @param {number|string} params.movieId - TMDB movie ID
+   * @param {Array<Object>} params.theaters - Cinemas from PlacesService (place_id, name, ...)
+   * @param {string} params.date - Local date, YYYY-MM-DD
+   * @returns {Promise<Object<string, Array<{startsAt: string, format: string, language: (string|null), bookingUrl: (string|null)}>>>}
+   *   Showtimes keyed by place_id; cinemas not playing the movie are left out
+   */
+  async getShowtimes({ movieId, theaters, date }) {
+    throw new Error(`${this.name} showtimes provider does not implement getShowtimes()`);
+  }
+}
+
+module.exports = ShowtimesProvider;
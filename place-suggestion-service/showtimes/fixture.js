@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ShowtimesProvider = require('./base');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'showtimes.json');
+
+/**
+ * Stable number for a cinema, so the same cinema always gets the same schedule
+ * @param {string} value
+ * @returns {number}
+ */
+function seedFor(value) {
+  return crypto.createHash('sha1').update(String(value)).digest().readUInt32BE(0);
+}
+
+/**
+ * Showtimes from a local JSON fixture, for development and demos without a ticketing API
+ *
+ * The fixture lists movies with their daily slots and formats; each cinema
+ * gets a deterministic subset of them based on its place_id. Roughly one in
+ * four cinemas does not play a given movie.
+ */
+class FixtureShowtimesProvider extends ShowtimesProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.fixturePath - JSON file with a `movies` map keyed by TMDB ID
+   */
+  constructor({ fixturePath = DEFAULT_FIXTURE_PATH } = {}) {
+    super();
+    this.name = 'fixture';
+    this.fixturePath = fixturePath;
+    this.movies = null;
+  }
+
+  isConfigured() {
+    return fs.existsSync(this.fixturePath);
+  }
+
+  /**
+   * Load the fixture on first use
+   * @returns {Object} Movies keyed by TMDB ID
+   */
+  load() {
+    if (!this.movies) {
+      this.movies = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8')).movies || {};
+    }
+    return this.movies;
+  }
+
+  async getMovie(movieId) {
+    const movie = this.load()[String(movieId)];
+    if (!movie) return null;
+    return { id: Number(movieId), title: movie.title, runtime: movie.runtime || null };
+  }
+
+  async getShowtimes({ movieId, theaters = [], date }) {
+    const movie = this.load()[String(movieId)];
+    if (!movie) return {};
+
+    const slots = movie.slots || [];
+    const formats = movie.formats && movie.formats.length > 0 ? movie.formats : ['2D'];
+    const languages = [movie.language || null, ...(movie.dubs || [])];
+    const showtimes = {};
+
+    theaters.forEach(theater => {
+      const seed = seedFor(`${theater.place_id}:${movieId}`);
+      if (seed % 4 === 0) return;
+
+      // At least one slot per cinema; the rest are picked by the seed's bits
+      const picked = slots.filter((slot, index) => index === seed % slots.length || (seed >> (index + 2)) & 1);
+
+      showtimes[theater.place_id] = picked.map((slot, index) => ({
+        startsAt: `${date}T${slot}`,
+        format: formats[(seed + index) % formats.length],
+        language: languages[(seed + index) % languages.length],
+        bookingUrl: null
+      }));
+    });
+
+    return showtimes;
+  }
+}
+
+module.exports = FixtureShowtimesProvider;
@@ -0,0 +1,42 @@
+const ShowtimesProvider = require('./base');
+const FixtureShowtimesProvider = require('./fixture');
+
+/**
+ * Showtimes providers by name; add a ticketing integration here and select
+ * it with SHOWTIMES_PROVIDER
+ */
+const PROVIDERS = {
+  fixture: FixtureShowtimesProvider
+};
+
+/**
+ * Create the showtimes provider configured in the environment
+ *
+ * SHOWTIMES_PROVIDER picks the implementation (default "fixture");
+ * SHOWTIMES_FIXTURE_PATH points the fixture provider at another JSON file.
+ *
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {ShowtimesProvider}
+ */
+function createShowtimesProvider(env = process.env) {
+  const name = (env.SHOWTIMES_PROVIDER || 'fixture').toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown showtimes provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const provider = new Provider({ fixturePath: env.SHOWTIMES_FIXTURE_PATH || undefined });
+  if (!provider.isConfigured()) {
+    throw new Error(`Showtimes provider "${name}" is not configured`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  ShowtimesProvider,
+  FixtureShowtimesProvider,
+  PROVIDERS,
+  createShowtimesProvider
+};
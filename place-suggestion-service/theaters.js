@@ -0,0 +1,90 @@
+const { distanceMeters } = require('./geo');
+
+/**
+ * Theater Finder
+ * Lists cinemas near the group for a chosen movie, with distance, rating,
+ * opening hours and showtimes from a pluggable showtimes provider
+ */
+class TheaterService {
+  /**
+   * @param {Object} options
+   * @param {PlacesService} options.placesService - Google Places client
+   * @param {ShowtimesProvider} options.showtimesProvider - See showtimes/
+   */
+  constructor({ placesService, showtimesProvider }) {
+    this.placesService = placesService;
+    this.showtimesProvider = showtimesProvider;
+  }
+
+  /**
+   * Find cinemas near a location and what time they play the movie
+   * @param {Object} params
+   * @param {number|string} params.movieId - TMDB movie ID
+   * @param {string} params.title - Movie title, if the caller knows it
+   * @param {Object} params.location - { latitude, longitude } of the group
+   * @param {number} params.radius - Search radius in meters
+   * @param {string} params.date - Local date, YYYY-MM-DD
+   * @param {number} params.maxResults - Maximum cinemas to return
+   * @param {boolean} params.onlyWithShowtimes - Drop cinemas with no showtimes for the movie
+   * @returns {Promise<{movie: Object, theaters: Array}>}
+   */
+  async findTheaters({ movieId, title = null, location, radius = 5000, date, maxResults = 10, onlyWithShowtimes = false }) {
+    const [known, places] = await Promise.all([
+      this.showtimesProvider.getMovie(movieId),
+      this.placesService.searchNearbyPlaces({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        radius,
+        type: 'movie_theater',
+        maxResults
+      })
+    ]);
+
+    const showtimes = await this.showtimesProvider.getShowtimes({ movieId, theaters: places, date });
+
+    const theaters = places
+      .map(place => this.formatTheater(place, location, showtimes[place.place_id] || []))
+      .filter(theater => !onlyWithShowtimes || theater.showtimes.length > 0)
+      // Cinemas playing the movie first, then the closest
+      .sort((a, b) => (b.showtimes.length > 0) - (a.showtimes.length > 0)
+        || (a.distanceMeters ?? Infinity) - (b.distanceMeters ?? Infinity));
+
+    return {
+      movie: {
+        id: Number(movieId),
+        title: title || (known && known.title) || null,
+        runtime: (known && known.runtime) || null
+      },
+      theaters
+    };
+  }
+
+  /**
+   * Cinema card for the response
+   * @param {Object} place - Place from PlacesService
+   * @param {Object} location - Group location
+   * @param {Array} showtimes - Showtimes at this cinema
+   * @returns {Object}
+   */
+  formatTheater(place, location, showtimes) {
+    const hours = place.opening_hours || null;
+
+    return {
+      place_id: place.place_id,
+      name: place.name,
+      address: place.formatted_address || place.vicinity || null,
+      location: place.geometry ? place.geometry.location : null,
+      distanceMeters: distanceMeters(location, place),
+      rating: place.rating || 0,
+      user_ratings_total: place.user_ratings_total || 0,
+      openingHours: hours ? {
+        openNow: hours.open_now ?? null,
+        weekdayText: hours.weekday_text || []
+      } : null,
+      website: place.website || null,
+      showtimes
+    };
+  }
+}
+
+module.exports = TheaterService;
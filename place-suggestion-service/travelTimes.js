@@ -0,0 +1,84 @@
+const { toLatLng } = require('./geo');
+const { HaversineRoutingProvider } = require('./routing');
+
+const RANKINGS = ['total', 'max', 'none'];
+
+/**
+ * Travel Times
+ * How long every member needs to reach each candidate place, and ranking by
+ * the group's total or worst-case trip
+ */
+class TravelTimeService {
+  /**
+   * @param {Object} options
+   * @param {RoutingProvider} options.provider - See routing/
+   * @param {RoutingProvider} options.fallback - Used when the provider fails or finds no route
+   */
+  constructor({ provider, fallback = new HaversineRoutingProvider() }) {
+    this.provider = provider;
+    this.fallback = fallback;
+  }
+
+  /**
+   * Add `travel` to every place and optionally re-rank
+   * @param {Array} places - Places from PlacesService, in their current order
+   * @param {Array<{name: string, latitude: number, longitude: number}>} origins - Where members start from
+   * @param {Object} options
+   * @param {string} options.mode - driving, transit or walking
+   * @param {string} options.rankBy - 'total' (sum of trips), 'max' (longest trip) or 'none'
+   * @returns {Promise<{places: Array, report: {provider: string, mode: string, rankBy: string, estimated: boolean}}>}
+   *   `estimated` is true when any time came from the fallback
+   */
+  async rankPlaces(places, origins, { mode = 'driving', rankBy = 'total' } = {}) {
+    const report = { provider: this.provider.name, mode, rankBy, estimated: false };
+    const destinations = places.map(toLatLng);
+    const routable = destinations.map((point, index) => (point ? index : -1)).filter(index => index >= 0);
+    if (routable.length === 0 || origins.length === 0) return { places, report };
+
+    const points = routable.map(index => destinations[index]);
+    let matrix;
+    try {
+      matrix = await this.provider.getTravelTimes({ origins, destinations: points, mode });
+    } catch (error) {
+      console.error(`Routing with ${this.provider.name} failed, estimating travel times:`, error.message);
+      matrix = origins.map(() => points.map(() => null));
+    }
+
+    // Fill gaps (failed requests, no route found) with offline estimates
+    const missing = matrix.some(row => row.some(cell => !cell));
+    if (missing && this.fallback) {
+      report.estimated = true;
+      const estimates = await this.fallback.getTravelTimes({ origins, destinations: points, mode });
+      matrix = matrix.map((row, o) => row.map((cell, d) => cell || { ...estimates[o][d], estimated: true }));
+    }
+
+    const annotated = places.map(place => ({ ...place, travel: null }));
+    routable.forEach((placeIndex, d) => {
+      const trips = origins.map((origin, o) => ({ name: origin.name, ...(matrix[o][d] || { durationSeconds: null, distanceMeters: null }) }));
+      const durations = trips.map(trip => trip.durationSeconds).filter(seconds => seconds !== null);
+
+      annotated[placeIndex].travel = {
+        mode,
+        members: trips,
+        totalSeconds: durations.length === trips.length ? durations.reduce((sum, seconds) => sum + seconds, 0) : null,
+        maxSeconds: durations.length === trips.length ? Math.max(...durations) : null
+      };
+    });
+
+    if (rankBy === 'none') return { places: annotated, report };
+
+    const key = rankBy === 'max' ? 'maxSeconds' : 'totalSeconds';
+    const cost = place => (place.travel && place.travel[key] !== null ? place.travel[key] : Infinity);
+    // Stable sort: equally close places keep their search ranking
+    const ranked = annotated
+      .map((place, index) => ({ place, index }))
+      .sort((a, b) => cost(a.place) - cost(b.place) || a.index - b.index)
+      .map(({ place }) => place);
+
+    return { places: ranked, report };
+  }
+}
+
+TravelTimeService.RANKINGS = RANKINGS;
+
+module.exports = TravelTimeService;
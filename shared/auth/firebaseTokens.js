@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+
+// Google's signing certificates for Firebase ID tokens, keyed by `kid`
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const DEFAULT_CERTS_MAX_AGE_SECONDS = 3600;
+const CERTS_TIMEOUT_MS = 5000;
+
+// Allowed clock difference between us and Google when checking iat/auth_time
+const CLOCK_SKEW_SECONDS = 300;
+
+/**
+ * Why a token was rejected; `code` ends up in the 401 response
+ */
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+function decodeSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    value = null;
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TokenError('INVALID_TOKEN', 'The ID token is not a valid JWT');
+  }
+  return value;
+}
+
+/**
+ * Split a JWT into its parts without verifying anything
+ * @param {string} token
+ * @returns {{header: Object, payload: Object, signedPart: string, signature: Buffer}}
+ */
+function decodeToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new TokenError('INVALID_TOKEN', 'The ID token is not a valid JWT');
+  }
+
+  return {
+    header: decodeSegment(parts[0]),
+    payload: decodeSegment(parts[1]),
+    signedPart: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], 'base64url')
+  };
+}
+
+/**
+ * The claim checks Firebase documents for ID tokens
+ * @param {Object} payload
+ * @param {string} projectId
+ * @param {number} now - Seconds since the epoch
+ */
+function checkClaims(payload, projectId, now) {
+  if (payload.aud !== projectId) {
+    throw new TokenError('INVALID_TOKEN', `The ID token was issued for project "${payload.aud}", not "${projectId}"`);
+  }
+  if (payload.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new TokenError('INVALID_TOKEN', 'The ID token has an unexpected issuer');
+  }
+  if (typeof payload.sub !== 'string' || payload.sub.length === 0 || payload.sub.length > 128) {
+    throw new TokenError('INVALID_TOKEN', 'The ID token has no valid subject');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= now) {
+    throw new TokenError('TOKEN_EXPIRED', 'The ID token has expired; get a fresh one from the client SDK');
+  }
+  if (typeof payload.iat !== 'number' || payload.iat > now + CLOCK_SKEW_SECONDS) {
+    throw new TokenError('INVALID_TOKEN', 'The ID token was issued in the future');
+  }
+  if (payload.auth_time !== undefined && payload.auth_time > now + CLOCK_SKEW_SECONDS) {
+    throw new TokenError('INVALID_TOKEN', 'The ID token has an authentication time in the future');
+  }
+}
+
+/**
+ * Fetch Google's certificates and how long they may be cached
+ * @returns {Promise<{certs: Object<string, string>, maxAgeSeconds: number}>}
+ */
+async function fetchGoogleCerts() {
+  const response = await fetch(CERTS_URL, { signal: AbortSignal.timeout(CERTS_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Fetching Firebase signing certificates failed with HTTP ${response.status}`);
+  }
+
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  return {
+    certs: await response.json(),
+    maxAgeSeconds: maxAge ? parseInt(maxAge[1], 10) : DEFAULT_CERTS_MAX_AGE_SECONDS
+  };
+}
+
+/**
+ * Verifies Firebase Auth ID tokens without firebase-admin, so the place
+ * service (which does not depend on it) can accept the same tokens
+ *
+ * In emulator mode the Auth emulator's unsigned tokens are accepted; only the
+ * claims are checked, as firebase-admin does against the emulator.
+ */
+class FirebaseTokenVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.projectId - Firebase project ID (the token audience)
+   * @param {boolean} options.emulator - Accept unsigned Auth emulator tokens
+   * @param {Function} options.fetchCerts - Certificate loader, replaceable for offline use
+   */
+  constructor({ projectId, emulator = false, fetchCerts = fetchGoogleCerts }) {
+    this.projectId = projectId;
+    this.emulator = emulator;
+    this.fetchCerts = fetchCerts;
+    this.certs = null;
+    this.certsExpireAt = 0;
+    this.certsRequest = null;
+  }
+
+  /**
+   * Cached certificates; concurrent requests share one fetch
+   * @returns {Promise<Object<string, string>>}
+   */
+  async getCerts() {
+    if (this.certs && Date.now() < this.certsExpireAt) return this.certs;
+
+    if (!this.certsRequest) {
+      this.certsRequest = this.fetchCerts()
+        .then(({ certs, maxAgeSeconds }) => {
+          this.certs = certs;
+          this.certsExpireAt = Date.now() + maxAgeSeconds * 1000;
+          return certs;
+        })
+        .finally(() => {
+          this.certsRequest = null;
+        });
+    }
+    return this.certsRequest;
+  }
+
+  /**
+   * Check the RS256 signature against Google's certificate for the token's key
+   * @throws {TokenError}
+   */
+  async verifySignature(header, signedPart, signature) {
+    if (header.alg !== 'RS256') {
+      throw new TokenError('INVALID_TOKEN', `The ID token uses "${header.alg}" instead of RS256`);
+    }
+
+    let certs;
+    try {
+      certs = await this.getCerts();
+    } catch (error) {
+      throw new TokenError('AUTH_UNAVAILABLE', `Could not check the ID token: ${error.message}`);
+    }
+
+    // Own keys only: a `kid` like "constructor" must not reach Object.prototype
+    const cert = typeof header.kid === 'string' && Object.prototype.hasOwnProperty.call(certs, header.kid)
+      ? certs[header.kid]
+      : null;
+    if (typeof cert !== 'string') {
+      throw new TokenError('INVALID_TOKEN', 'The ID token was signed with an unknown key; it may be outdated');
+    }
+
+    let valid;
+    try {
+      valid = crypto.verify('RSA-SHA256', Buffer.from(signedPart), crypto.createPublicKey(cert), signature);
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new TokenError('INVALID_TOKEN', 'The ID token signature is invalid');
+    }
+  }
+
+  /**
+   * Verify a token and return its claims
+   * @param {string} token - Firebase ID token from the client SDK
+   * @returns {Promise<Object>} Decoded claims (uid is `sub`)
+   * @throws {TokenError}
+   */
+  async verify(token) {
+    const { header, payload, signedPart, signature } = decodeToken(token);
+
+    if (!this.emulator) {
+      await this.verifySignature(header, signedPart, signature);
+    }
+
+    checkClaims(payload, this.projectId, Math.floor(Date.now() / 1000));
+    return payload;
+  }
+}
+
+module.exports = {
+  FirebaseTokenVerifier,
+  TokenError,
+  decodeToken
+};
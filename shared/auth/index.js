@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { FirebaseTokenVerifier, TokenError } = require('./firebaseTokens');
+const { ApiError, sendError } = require('../errors');
+
+/**
+ * Firebase Auth for both services' HTTP APIs
+ *
+ * Callers send `Authorization: Bearer <Firebase ID token>`. `authenticate`
+ * verifies it and sets `req.user`; `requireChatMember` additionally checks
+ * that the user is listed under `chats/{chatId}/members` before a route
+ * touches that chat's data.
+ *
+ * Service-to-service calls (the chat bot asking the place service for
+ * places) have no user behind them; they send SERVICE_API_KEY as the bearer
+ * token instead and are trusted with any chat.
+ */
+
+const AUTH_MODES = ['firebase', 'emulator', 'off'];
+
+// Same default as the Realtime Database emulator setup in the movie bot
+const DEFAULT_EMULATOR_PROJECT_ID = 'demo-plan-outings';
+
+// Chat and user IDs become Realtime Database keys, which cannot contain . # $ / [ ] or control characters
+const DATABASE_KEY_PATTERN = /^[^.#$/[\]\x00-\x1f\x7f]{1,128}$/;
+
+/**
+ * Resolve the auth mode from the environment
+ *
+ * AUTH_MODE wins when set. Otherwise FIREBASE_AUTH_EMULATOR_HOST selects
+ * "emulator" and FIREBASE_PROJECT_ID selects "firebase". With neither, startup
+ * fails: running without auth takes an explicit AUTH_MODE=off.
+ *
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {{mode: string, projectId: (string|null)}}
+ */
+function resolveAuthConfig(env = process.env) {
+  let mode = (env.AUTH_MODE || '').toLowerCase();
+  if (!mode) {
+    if (env.FIREBASE_AUTH_EMULATOR_HOST) mode = 'emulator';
+    else if (env.FIREBASE_PROJECT_ID) mode = 'firebase';
+    else {
+      throw new Error('Auth is not configured: set FIREBASE_PROJECT_ID (or FIREBASE_AUTH_EMULATOR_HOST), or AUTH_MODE=off for local development without auth');
+    }
+  }
+
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown AUTH_MODE "${mode}" (use ${AUTH_MODES.join(', ')})`);
+  }
+
+  const projectId = env.FIREBASE_PROJECT_ID || (mode === 'emulator' ? DEFAULT_EMULATOR_PROJECT_ID : null);
+  if (mode === 'firebase' && !projectId) {
+    throw new Error('AUTH_MODE=firebase needs FIREBASE_PROJECT_ID to check token audiences');
+  }
+
+  return { mode, projectId };
+}
+
+/**
+ * Bearer token from the Authorization header
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Constant-time comparison against the shared service key
+ * @param {string} token
+ * @param {string} serviceKey
+ * @returns {boolean}
+ */
+function isServiceKey(token, serviceKey) {
+  if (!serviceKey || !token) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(serviceKey));
+}
+
+/**
+ * 401 with a WWW-Authenticate challenge, or 503 when tokens cannot be checked at all
+ */
+function sendAuthError(res, code, message) {
+  if (code === 'AUTH_UNAVAILABLE') {
+    return sendError(res, new ApiError(503, message, { code }));
+  }
+  res.set('WWW-Authenticate', `Bearer error="${code === 'AUTH_REQUIRED' ? 'invalid_request' : 'invalid_token'}"`);
+  sendError(res, new ApiError(401, message, { code }));
+}
+
+/**
+ * Create the auth middleware for a service
+ * @param {Object} options
+ * @param {Object} options.env - Environment (defaults to process.env)
+ * @param {FirebaseTokenVerifier} options.verifier - Token verifier override (e.g. offline certificates)
+ * @returns {{mode: string, projectId: (string|null), authenticate: Function, requireChatMember: Function}}
+ */
+function createAuth({ env = process.env, verifier = null } = {}) {
+  const { mode, projectId } = resolveAuthConfig(env);
+  const serviceKey = env.SERVICE_API_KEY || null;
+  const tokens = mode === 'off'
+    ? null
+    : verifier || new FirebaseTokenVerifier({ projectId, emulator: mode === 'emulator' });
+
+  /**
+   * Require a valid ID token; sets req.user = { uid, email, name, claims }.
+   * The service key sets req.user = { uid: 'service', service: true } instead.
+   */
+  async function authenticate(req, res, next) {
+    if (mode === 'off') {
+      req.user = null;
+      return next();
+    }
+
+    const token = bearerToken(req);
+    if (!token) {
+      return sendAuthError(res, 'AUTH_REQUIRED', 'Send a Firebase ID token as "Authorization: Bearer <token>"');
+    }
+
+    if (isServiceKey(token, serviceKey)) {
+      req.user = { uid: 'service', email: null, name: null, service: true, claims: null };
+      return next();
+    }
+
+    try {
+      const claims = await tokens.verify(token);
+      req.user = {
+        uid: claims.sub,
+        email: claims.email || null,
+        name: claims.name || null,
+        claims
+      };
+      next();
+    } catch (error) {
+      // A token we cannot make sense of is the caller's problem, never a 500
+      if (!(error instanceof TokenError)) {
+        console.error('Unexpected error verifying an ID token:', error.message);
+        return sendAuthError(res, 'INVALID_TOKEN', 'The ID token could not be verified');
+      }
+      sendAuthError(res, error.code, error.message);
+    }
+  }
+
+  /**
+   * Require the authenticated user to be a member of the chat
+   * @param {Function} isMember - async (chatId, uid) => boolean
+   * @param {Function} getChatId - (req) => chatId; defaults to req.params.chatId.
+   *   Requests without a chat ID pass through (there is no chat data to protect).
+   *   Chat IDs that are not valid database keys get a 400 before the database is touched.
+   * @returns {Function} Middleware; run it after `authenticate`
+   */
+  function requireChatMember(isMember, getChatId = req => req.params.chatId) {
+    return async (req, res, next) => {
+      const chatId = getChatId(req);
+      if (!chatId) return next();
+      if (typeof chatId !== 'string' || !DATABASE_KEY_PATTERN.test(chatId)) {
+        return sendError(res, ApiError.validation(['"chatId" must be a chat ID (no . # $ / [ ])']));
+      }
+      if (mode === 'off') return next();
+
+      if (!req.user) {
+        return sendAuthError(res, 'AUTH_REQUIRED', 'Send a Firebase ID token as "Authorization: Bearer <token>"');
+      }
+
+      // Services act on behalf of the chat's members
+      if (req.user.service) return next();
+
+      try {
+        if (!(await isMember(chatId, req.user.uid))) {
+          return sendError(res, new ApiError(403, `You are not a member of chat ${chatId}`, { code: 'NOT_A_MEMBER' }));
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  return { mode, projectId, authenticate, requireChatMember };
+}
+
+module.exports = {
+  AUTH_MODES,
+  DATABASE_KEY_PATTERN,
+  TokenError,
+  createAuth,
+  resolveAuthConfig,
+  bearerToken,
+  isServiceKey
+};
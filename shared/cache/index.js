@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+const { createRedisClient } = require('./redisStore');
+
+const CACHE_STATUS = {
+  HIT: 'HIT',
+  MISS: 'MISS',
+  BYPASS: 'BYPASS'
+};
+
+/**
+ * JSON.stringify with sorted object keys, so equal objects hash equally
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Reduce chat messages to what affects recommendations: sender and text
+ * Accepts both the movie bot's `text` and the place service's `content` field.
+ * Ids and timestamps are dropped so re-fetching the same chat hashes the same.
+ * @param {Array} messages
+ * @returns {Array<{sender: string, text: string}>}
+ */
+function normalizeMessages(messages = []) {
+  return messages.map(msg => ({
+    sender: String(msg.sender || '').trim(),
+    text: String(msg.text !== undefined ? msg.text : msg.content || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+  }));
+}
+
+/**
+ * Build a cache key: namespace plus a SHA-256 of the stable-stringified parts
+ * @param {string} namespace - e.g. "movie-suggestions"
+ * @param {Object} parts - Everything the cached value depends on
+ * @returns {string}
+ */
+function hashKey(namespace, parts) {
+  const digest = crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+  return `${namespace}:${digest}`;
+}
+
+/**
+ * TTL cache over a pluggable store, with request coalescing
+ */
+class Cache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryStore, RedisStore or anything with get/set/delete
+   * @param {number} options.ttlMs - Default TTL
+   * @param {boolean} options.enabled - When false every lookup is a BYPASS
+   */
+  constructor({ store = new MemoryStore(), ttlMs = 10 * 60 * 1000, enabled = true } = {}) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.enabled = enabled;
+    this.pending = new Map();
+  }
+
+  /**
+   * Return the cached value for `key`, or compute, store and return it
+   * Concurrent misses for the same key share one computation. Store errors are
+   * logged and treated as misses so the cache can never fail a request.
+   *
+   * @param {string} key - Cache key (see hashKey)
+   * @param {Function} compute - Async function producing the value
+   * @param {Object} options
+   * @param {boolean} options.refresh - Skip the lookup and overwrite the entry
+   * @param {number} options.ttlMs - TTL override for this entry
+   * @param {Function} options.cacheIf - Only store values for which this returns true
+   * @returns {Promise<{value: *, status: string, key: string}>}
+   */
+  async wrap(key, compute, { refresh = false, ttlMs = this.ttlMs, cacheIf = () => true } = {}) {
+    if (!this.enabled) {
+      return { value: await compute(), status: CACHE_STATUS.BYPASS, key };
+    }
+
+    if (!refresh) {
+      const cached = await this.safely(() => this.store.get(key));
+      if (cached !== undefined) {
+        return { value: cached, status: CACHE_STATUS.HIT, key };
+      }
+
+      if (this.pending.has(key)) {
+        return { value: await this.pending.get(key), status: CACHE_STATUS.HIT, key };
+      }
+    }
+
+    const promise = (async () => {
+      const value = await compute();
+      if (cacheIf(value)) {
+        await this.safely(() => this.store.set(key, value, ttlMs));
+      }
+      return value;
+    })();
+
+    this.pending.set(key, promise);
+    try {
+      return {
+        value: await promise,
+        status: refresh ? CACHE_STATUS.BYPASS : CACHE_STATUS.MISS,
+        key
+      };
+    } finally {
+      if (this.pending.get(key) === promise) this.pending.delete(key);
+    }
+  }
+
+  async delete(key) {
+    await this.safely(() => this.store.delete(key));
+  }
+
+  async safely(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      console.error(`⚠️ Cache ${this.store.name || 'store'} error:`, error.message);
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Build a Cache from environment variables
+ * CACHE_ENABLED (default true), CACHE_TTL_SECONDS (default 600),
+ * CACHE_MAX_ENTRIES (memory store size, default 500). A Redis store is used
+ * when the service passes in a connected client.
+ *
+ * @param {Object} options
+ * @param {Object} options.redisClient - Optional Redis-compatible client
+ * @param {string} options.prefix - Redis key prefix
+ * @param {Object} options.env - Environment (defaults to process.env)
+ * @returns {Cache}
+ */
+function createCache({ redisClient = null, prefix, env = process.env } = {}) {
+  const ttlSeconds = parseInt(env.CACHE_TTL_SECONDS, 10);
+  const maxEntries = parseInt(env.CACHE_MAX_ENTRIES, 10);
+
+  const store = redisClient
+    ? new RedisStore(redisClient, { prefix })
+    : new MemoryStore({ maxEntries: Number.isNaN(maxEntries) ? 500 : maxEntries });
+
+  return new Cache({
+    store,
+    ttlMs: (Number.isNaN(ttlSeconds) ? 600 : ttlSeconds) * 1000,
+    enabled: env.CACHE_ENABLED !== 'false'
+  });
+}
+
+/**
+ * Set X-Cache / X-Cache-Key headers from a wrap() result
+ * @param {Object} res - Express response
+ * @param {Object} result - Return value of Cache#wrap
+ */
+function setCacheHeaders(res, result) {
+  res.set('X-Cache', result.status);
+  res.set('X-Cache-Key', result.key.split(':').pop().slice(0, 16));
+}
+
+module.exports = {
+  Cache,
+  createCache,
+  MemoryStore,
+  RedisStore,
+  createRedisClient,
+  CACHE_STATUS,
+  stableStringify,
+  normalizeMessages,
+  hashKey,
+  setCacheHeaders
+};
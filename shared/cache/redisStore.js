@@ -0,0 +1,71 @@
+/**
+ * Cache store backed by a Redis-compatible client
+ * Works with node-redis v4+ (`set(key, value, { PX })`) and ioredis
+ * (`set(key, value, 'PX', ms)`); values are stored as JSON.
+ */
+class RedisStore {
+  /**
+   * @param {Object} client - Connected Redis client
+   * @param {Object} options
+   * @param {string} options.prefix - Key prefix, to share one Redis between services
+   */
+  constructor(client, { prefix = 'plan-outings:' } = {}) {
+    if (!client) {
+      throw new Error('RedisStore requires a Redis client');
+    }
+    this.name = 'redis';
+    this.client = client;
+    this.prefix = prefix;
+    // node-redis v4 exposes isOpen; ioredis exposes status
+    this.objectOptions = typeof client.isOpen === 'boolean';
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    const raw = JSON.stringify(value);
+    if (this.objectOptions) {
+      await this.client.set(this.prefix + key, raw, { PX: ttlMs });
+    } else {
+      await this.client.set(this.prefix + key, raw, 'PX', ttlMs);
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+/**
+ * Connect to REDIS_URL when it is set
+ * shared/ has no dependencies of its own, so the "redis" package is resolved
+ * from the calling service's directory; it is only needed when REDIS_URL is set.
+ *
+ * @param {Object} options
+ * @param {string} options.resolveFrom - Directory to resolve "redis" from (the service's __dirname)
+ * @param {Object} options.env - Environment (defaults to process.env)
+ * @returns {Object|null} A connecting node-redis client, or null to use the memory store
+ */
+function createRedisClient({ resolveFrom, env = process.env } = {}) {
+  if (!env.REDIS_URL) return null;
+
+  let redis;
+  try {
+    redis = require(require.resolve('redis', { paths: [resolveFrom] }));
+  } catch (error) {
+    console.warn('⚠️ REDIS_URL is set but the redis package is not installed, using memory cache');
+    return null;
+  }
+
+  const client = redis.createClient({ url: env.REDIS_URL });
+  client.on('error', (error) => console.error('❌ Redis error:', error.message));
+  client.connect().catch((error) => console.error('❌ Redis connection failed:', error.message));
+  console.log('🗄️ Using Redis cache');
+  return client;
+}
+
+module.exports = RedisStore;
+module.exports.createRedisClient = createRedisClient;
@@ -0,0 +1,69 @@
+/**
+ * One chat message shape for both services
+ *
+ * The movie bot stores messages as `{ sender, text }` (Firebase) and the place
+ * service accepts `{ sender, content }`. Anything that takes a chat from
+ * outside goes through `toChatMessages`, and `toPlaceMessages` turns it back
+ * into what the place service validates.
+ */
+
+/**
+ * Text of a chat message, whichever field it is in
+ * @param {Object} msg
+ * @returns {string}
+ */
+function messageText(msg) {
+  return String(msg.text !== undefined ? msg.text : msg.content || msg.message || '');
+}
+
+/**
+ * Canonical chat message
+ * @param {Object} msg - { sender, text } or { sender, content }, optionally id, senderId, timestamp, bot
+ * @param {number} index - Position in the chat, used for a stable id when none is given
+ * @returns {{id: string, sender: string, senderId: (string|null), text: string, timestamp: (number|null), bot: boolean}}
+ */
+function toChatMessage(msg = {}, index = 0) {
+  const timestamp = msg.timestamp !== undefined ? new Date(msg.timestamp).getTime() : NaN;
+
+  return {
+    id: msg.id !== undefined ? String(msg.id) : `m${index + 1}`,
+    sender: String(msg.sender || 'Unknown').trim(),
+    senderId: msg.senderId || msg.uid || null,
+    text: messageText(msg).trim(),
+    timestamp: Number.isNaN(timestamp) ? null : timestamp,
+    bot: msg.bot === true
+  };
+}
+
+/**
+ * Canonical messages, without empty ones
+ * @param {Array} messages
+ * @returns {Array<Object>} See toChatMessage
+ */
+function toChatMessages(messages = []) {
+  return messages
+    .map(toChatMessage)
+    .filter(msg => msg.text.length > 0);
+}
+
+/**
+ * Messages in the place service's request shape; bot messages are left out
+ * @param {Array} messages - Canonical or raw messages
+ * @returns {Array<{sender: string, content: string, timestamp: (number|undefined)}>}
+ */
+function toPlaceMessages(messages = []) {
+  return toChatMessages(messages)
+    .filter(msg => !msg.bot)
+    .map(msg => ({
+      sender: msg.sender,
+      content: msg.text,
+      ...(msg.timestamp !== null && { timestamp: msg.timestamp })
+    }));
+}
+
+module.exports = {
+  messageText,
+  toChatMessage,
+  toChatMessages,
+  toPlaceMessages
+};
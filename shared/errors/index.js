@@ -0,0 +1,140 @@
+/**
+ * One error envelope for every HTTP API in the repo:
+ *
+ *   { success: false, error: 'Validation error', code: 'VALIDATION_ERROR', message: '...', details: [...] }
+ *
+ * `error` keeps the short labels clients already read; `code` is stable and
+ * machine-readable; `details` only appears for validation errors.
+ */
+
+const LABELS = {
+  400: 'Validation error',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  429: 'Too many requests',
+  500: 'Internal server error',
+  502: 'Upstream error',
+  503: 'Service unavailable',
+  504: 'Upstream timeout'
+};
+
+const CODES = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+/**
+ * Error with an HTTP status and envelope fields
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Human-readable message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Machine-readable code (defaults from the status)
+   * @param {string} [options.error] - Short label (defaults from the status)
+   * @param {Array<string>} [options.details] - Individual validation problems
+   */
+  constructor(status, message, { code, error, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || CODES[status] || 'ERROR';
+    this.error = error || LABELS[status] || 'Error';
+    this.details = details;
+  }
+
+  /**
+   * 400 from a Joi error (every problem listed) or a list of messages
+   * @param {Object|Array<string>} problems
+   * @returns {ApiError}
+   */
+  static validation(problems) {
+    const details = Array.isArray(problems) ? problems : problems.details.map(d => d.message);
+    return new ApiError(400, details[0] || 'Invalid request', { details });
+  }
+
+  static notFound(message = 'The requested endpoint does not exist') {
+    return new ApiError(404, message);
+  }
+
+  static internal(message = 'An unexpected error occurred') {
+    return new ApiError(500, message);
+  }
+
+  /**
+   * 502 for a failing dependency (another service, an external API)
+   * @param {string} service - e.g. "places"
+   * @param {string} message
+   * @returns {ApiError}
+   */
+  static upstream(service, message) {
+    return new ApiError(502, `${service}: ${message}`, { code: `${service.toUpperCase()}_UNAVAILABLE` });
+  }
+}
+
+/**
+ * Envelope for any error; unexpected errors never leak their message
+ * @param {Error} error
+ * @returns {{success: false, error: string, code: string, message: string, details: (Array|undefined)}}
+ */
+function errorEnvelope(error) {
+  const apiError = error instanceof ApiError ? error : ApiError.internal();
+
+  return {
+    success: false,
+    error: apiError.error,
+    code: apiError.code,
+    message: apiError.message,
+    ...(apiError.details && { details: apiError.details })
+  };
+}
+
+/**
+ * Send an error in the envelope with its status
+ * @param {Object} res - Express response
+ * @param {Error} error
+ */
+function sendError(res, error) {
+  const status = error instanceof ApiError ? error.status : 500;
+  res.status(status).json(errorEnvelope(error));
+}
+
+/**
+ * Express 404 handler; mount after every route
+ */
+function notFoundHandler(req, res) {
+  sendError(res, ApiError.notFound());
+}
+
+/**
+ * Express error handler; mount last. Body parser errors (bad JSON) become 400s.
+ */
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, ApiError.validation(['Request body is not valid JSON']));
+  }
+
+  console.error('Unhandled error:', error);
+  sendError(res, error);
+}
+
+module.exports = {
+  ApiError,
+  errorEnvelope,
+  sendError,
+  notFoundHandler,
+  errorHandler
+};
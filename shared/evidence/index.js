@@ -0,0 +1,113 @@
+const { termRegExp } = require('../language');
+const { messageText } = require('../chat');
+
+/**
+ * Chat evidence for recommendation explanations: find the messages that
+ * mention a term and quote the sentence it appeared in, so a card can say
+ * `Because Priya said "I love thrillers"`.
+ */
+
+const MAX_QUOTE_LENGTH = 140;
+
+/**
+ * Whole-word (plural-tolerant) matcher for a term, in any script
+ * @param {string} term
+ * @returns {RegExp}
+ */
+function termPattern(term) {
+  return termRegExp(term, '(?:s|es)?');
+}
+
+/**
+ * Sentences of a message, keeping the original wording
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitSentences(text) {
+  return text.split(/(?<=[.!?।])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Shorten a long sentence to a window around the match
+ * @param {string} sentence
+ * @param {number} index - Where the term was found
+ * @returns {string}
+ */
+function trimQuote(sentence, index) {
+  if (sentence.length <= MAX_QUOTE_LENGTH) return sentence;
+
+  const start = Math.max(0, Math.min(index - MAX_QUOTE_LENGTH / 2, sentence.length - MAX_QUOTE_LENGTH));
+  const quote = sentence.slice(start, start + MAX_QUOTE_LENGTH).trim();
+  return `${start > 0 ? '…' : ''}${quote}${start + MAX_QUOTE_LENGTH < sentence.length ? '…' : ''}`;
+}
+
+/**
+ * Find quoted chat evidence for any of the given terms
+ * @param {Array} messages - Chat messages ({ sender, text } or { sender, content })
+ * @param {Array<string>} terms - Words that count as evidence, aliases included
+ * @param {Object} [options]
+ * @param {Function} [options.accept] - (sentence) => boolean, e.g. to skip "I hate horror"
+ * @param {string} [options.sender] - Only consider this sender's messages
+ * @param {number} [options.limit=2] - Maximum quotes to return
+ * @returns {Array<{sender: string, quote: string, term: string, messageId: (string|null)}>}
+ */
+function findEvidence(messages = [], terms = [], { accept = null, sender = null, limit = 2 } = {}) {
+  const patterns = [...new Set(terms.filter(Boolean).map(term => String(term).toLowerCase().trim()))]
+    .sort((a, b) => b.length - a.length)
+    .map(term => ({ term, pattern: termPattern(term) }));
+  if (patterns.length === 0) return [];
+
+  const evidence = [];
+  const seen = new Set();
+
+  for (const msg of messages) {
+    if (evidence.length >= limit) break;
+    if (msg.bot || (sender && msg.sender !== sender)) continue;
+
+    for (const sentence of splitSentences(messageText(msg))) {
+      const hit = patterns.find(({ pattern }) => pattern.test(sentence));
+      if (!hit || (accept && !accept(sentence))) continue;
+
+      const key = `${msg.sender}:${sentence.toLowerCase()}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      evidence.push({
+        sender: msg.sender || 'Someone',
+        quote: trimQuote(sentence, sentence.search(hit.pattern)),
+        term: hit.term,
+        messageId: msg.id || null
+      });
+      break;
+    }
+  }
+
+  return evidence;
+}
+
+// "Because <sender> said" in each reply locale (see shared/language)
+const BECAUSE = {
+  en: (sender) => `Because ${sender} said`,
+  hi: (sender) => `क्योंकि ${sender} ने कहा`,
+  'hi-Latn': (sender) => `Kyunki ${sender} ne kaha`,
+  mr: (sender) => `कारण ${sender} म्हणाले`,
+  'mr-Latn': (sender) => `Karan ${sender} mhanale`
+};
+
+/**
+ * One-line, UI-ready sentence for a piece of evidence
+ * @param {Object} evidence - An item returned by findEvidence
+ * @param {string} [locale='en'] - Reply locale, e.g. "hi-Latn"
+ * @returns {string}
+ */
+function describeEvidence(evidence, locale = 'en') {
+  const because = BECAUSE[locale] || BECAUSE.en;
+  return `${because(evidence.sender)} "${evidence.quote}"`;
+}
+
+module.exports = {
+  findEvidence,
+  describeEvidence,
+  messageText,
+  splitSentences
+};
@@ -0,0 +1,145 @@
+/**
+ * Language detection for group chats in English, Hindi, Marathi and the
+ * romanized mixes people actually type (Hinglish, Marathi in Latin script).
+ * Rule-based on purpose: it runs on every message and must work offline.
+ */
+
+const DEVANAGARI = /[\u0900-\u097F]/g;
+const LETTERS = /[\p{L}\p{M}]/gu;
+
+// Function words that only show up in one language; shared words like "nahi" are left out
+const MARKERS = {
+  hi: {
+    devanagari: ['है', 'हैं', 'नहीं', 'क्या', 'मुझे', 'हम', 'चलो', 'चाहिए', 'बहुत', 'कहाँ', 'देखते', 'पसंद', 'था', 'थी', 'में', 'का', 'की', 'को', 'भी', 'यार', 'अच्छा', 'कुछ'],
+    latin: ['hai', 'hain', 'kya', 'kyu', 'kyun', 'yaar', 'yar', 'chalo', 'bhai', 'accha', 'acha', 'kuch', 'mujhe', 'humko', 'dekhna', 'dekhte', 'khana', 'khaana', 'chahiye', 'bahut', 'bohot', 'kahan', 'abhi', 'aaj', 'sab', 'koi', 'wala', 'wali', 'matlab', 'pakka', 'theek', 'thik', 'haan', 'bhi', 'mein', 'hum', 'karte', 'karna', 'lagta', 'pasand']
+  },
+  mr: {
+    devanagari: ['आहे', 'आहेत', 'नाही', 'काय', 'आणि', 'मला', 'आपण', 'चला', 'पाहिजे', 'नको', 'खूप', 'आम्ही', 'तुम्ही', 'कुठे', 'बघू', 'आवडतो', 'आवडते', 'आवडत', 'जेवण', 'होय', 'पण', 'उद्या', 'किती', 'जाऊया', 'करूया', 'नंतर', 'खायला', 'बघायला', 'संध्याकाळी'],
+    latin: ['ahe', 'aahe', 'ahet', 'kay', 'mala', 'aapan', 'apan', 'chala', 'pahije', 'nako', 'khup', 'amhi', 'tumhi', 'kuthe', 'baghu', 'bagh', 'avadto', 'avadte', 'avadel', 'jevan', 'jevayla', 'hoy', 'ata', 'udya', 'kiti', 'zala', 'jhala', 'karuya', 'jauya', 'bhetu', 'mhanje', 'nantar', 'khayla', 'baghayla', 'sandhyakali']
+  }
+};
+
+// Romanized text needs this many marker words before we stop calling it English
+const MIN_LATIN_MARKERS = 2;
+
+const LOCALES = ['en', 'hi', 'hi-Latn', 'mr', 'mr-Latn'];
+
+// How each locale is named in LLM prompts
+const LOCALE_NAMES = {
+  en: 'English',
+  hi: 'Hindi (Devanagari script)',
+  'hi-Latn': 'Hinglish (Hindi written in Latin script, mixed with English)',
+  mr: 'Marathi (Devanagari script)',
+  'mr-Latn': 'Marathi written in Latin script'
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word matcher that also works for Devanagari, where `\b` does not
+ * @param {string} term
+ * @param {string} [suffix=''] - Optional regex suffix, e.g. 's?' for plurals
+ * @returns {RegExp}
+ */
+function termRegExp(term, suffix = '') {
+  const body = escapeRegExp(String(term).toLowerCase().trim()).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${body}${suffix}(?![\\p{L}\\p{M}\\p{N}])`, 'iu');
+}
+
+/**
+ * @param {string} text
+ * @param {string} term
+ * @returns {boolean}
+ */
+function containsTerm(text, term) {
+  return termRegExp(term).test(String(text || ''));
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+}
+
+const toLocale = (language, script) => (language !== 'en' && script === 'latin' ? `${language}-Latn` : language);
+
+/**
+ * Detect the language and script of one message
+ * @param {string} text
+ * @returns {{language: string, script: string, locale: string, confidence: number}}
+ */
+function detectLanguage(text) {
+  const tokens = tokenize(text);
+  const letters = (String(text || '').match(LETTERS) || []).length;
+  const devanagari = (String(text || '').match(DEVANAGARI) || []).length;
+  const script = letters > 0 && devanagari / letters > 0.3 ? 'devanagari' : 'latin';
+
+  const count = (language) => tokens.filter(token => MARKERS[language][script].includes(token)).length;
+  const hi = count('hi');
+  const mr = count('mr');
+
+  let language = 'en';
+  if (script === 'devanagari') {
+    language = mr > hi ? 'mr' : 'hi';
+  } else if (Math.max(hi, mr) >= Math.min(MIN_LATIN_MARKERS, tokens.length)) {
+    language = mr > hi ? 'mr' : 'hi';
+  }
+
+  const markers = Math.max(hi, mr);
+  const confidence = language === 'en'
+    ? (tokens.length ? 1 - markers / tokens.length : 0)
+    : (tokens.length ? Math.min(1, 0.5 + markers / tokens.length) : 0);
+
+  return { language, script, locale: toLocale(language, script), confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Dominant language of a chat, by number of messages in each locale
+ * @param {Array} messages - { text } or { content }
+ * @returns {{language: string, script: string, locale: string, locales: Object, mixed: boolean}}
+ */
+function detectChatLanguage(messages = []) {
+  const locales = {};
+  messages.forEach(msg => {
+    const text = msg.text !== undefined ? msg.text : msg.content;
+    if (!tokenize(text).length) return;
+    const { locale } = detectLanguage(text);
+    locales[locale] = (locales[locale] || 0) + 1;
+  });
+
+  // Ties go to the locale listed first in LOCALES, so English wins an even split
+  const locale = LOCALES.reduce((best, candidate) =>
+    ((locales[candidate] || 0) > (locales[best] || 0) ? candidate : best), 'en');
+  const [language] = locale.split('-');
+
+  return {
+    language,
+    script: locale === 'en' || locale.endsWith('-Latn') ? 'latin' : 'devanagari',
+    locale,
+    locales,
+    mixed: Object.keys(locales).length > 1
+  };
+}
+
+/**
+ * Prompt instruction for replying in the chat's language
+ * @param {string} locale
+ * @returns {string}
+ */
+function replyInstruction(locale) {
+  return `Write any free-text fields meant for the group (summaries, descriptions, reasons, tips) in ${LOCALE_NAMES[locale] || LOCALE_NAMES.en}.`;
+}
+
+// Shared prompt note so both services read multilingual chats the same way
+const MULTILINGUAL_NOTE = 'Messages may be in English, Hindi, Marathi or a romanized mix (Hinglish, Marathi in Latin script). Understand all of them, but use English for genre names, place types, keywords and other structured values.';
+
+module.exports = {
+  LOCALES,
+  LOCALE_NAMES,
+  MULTILINGUAL_NOTE,
+  detectLanguage,
+  detectChatLanguage,
+  replyInstruction,
+  termRegExp,
+  containsTerm
+};
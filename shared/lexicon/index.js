@@ -0,0 +1,102 @@
+const { termRegExp } = require('../language');
+
+/**
+ * Multilingual outing keyword lexicon, used by the place service's fallback
+ * analysis and by the outing gateway to tell food talk from activity talk.
+ * Each canonical English keyword (what we send to Google Places) lists the
+ * words that mean it in English, Hinglish, Hindi and Marathi.
+ */
+const PLACE_LEXICON = {
+  food: {
+    food: ['food', 'khana', 'khaana', 'खाना', 'jevan', 'जेवण', 'pet pooja', 'पेट पूजा'],
+    eat: ['eat', 'khayenge', 'khaate', 'khaane', 'खाने', 'खाएंगे', 'khauya', 'खाऊया', 'khayla', 'खायला', 'bhook', 'bhukh', 'भूख', 'bhuk', 'भूक'],
+    restaurant: ['restaurant', 'restaurants', 'hotel', 'dhaba', 'ढाबा', 'रेस्टोरेंट', 'रेस्टॉरंट', 'khanaval', 'खानावळ'],
+    dinner: ['dinner', 'raat ka khana', 'रात का खाना', 'ratriche jevan', 'रात्रीचे जेवण'],
+    lunch: ['lunch', 'dopahar ka khana', 'दोपहर का खाना'],
+    breakfast: ['breakfast', 'nashta', 'naashta', 'नाश्ता'],
+    cafe: ['cafe', 'coffee', 'chai', 'चाय', 'tapri', 'टपरी', 'चहा', 'kaafi', 'कॉफी'],
+    bar: ['bar', 'drink', 'drinks', 'daaru', 'daru', 'दारू', 'beer', 'बियर', 'pub'],
+    pizza: ['pizza', 'पिज़्ज़ा', 'पिझ्झा'],
+    burger: ['burger', 'बर्गर'],
+    sushi: ['sushi'],
+    italian: ['italian', 'pasta'],
+    chinese: ['chinese', 'चाइनीज़', 'चायनीज', 'momos', 'मोमोज'],
+    mexican: ['mexican'],
+    thai: ['thai'],
+    indian: ['indian', 'desi', 'देसी'],
+    biryani: ['biryani', 'बिरयानी'],
+    'street food': ['street food', 'chaat', 'चाट', 'pani puri', 'golgappe', 'vada pav', 'वडा पाव', 'pav bhaji', 'पाव भाजी'],
+    'south indian': ['south indian', 'dosa', 'डोसा', 'idli', 'इडली'],
+    misal: ['misal', 'मिसळ']
+  },
+  activity: {
+    fun: ['fun', 'masti', 'मस्ती', 'maja', 'maza', 'मज़ा', 'मजा', 'dhamaal', 'धमाल'],
+    activity: ['activity', 'activities'],
+    entertainment: ['entertainment', 'manoranjan', 'मनोरंजन'],
+    movie: ['movie', 'film', 'picture', 'फिल्म', 'पिक्चर', 'chitrapat', 'चित्रपट', 'cinema', 'सिनेमा'],
+    theater: ['theater', 'theatre', 'natak', 'नाटक'],
+    museum: ['museum', 'sangrahalay', 'संग्रहालय', 'वस्तुसंग्रहालय'],
+    park: ['park', 'garden', 'baag', 'बाग', 'बाग़', 'udyan', 'उद्यान', 'पार्क'],
+    beach: ['beach', 'samundar', 'समुंदर', 'samudra', 'समुद्र', 'chowpatty', 'चौपाटी', 'kinara', 'किनारा'],
+    hiking: ['hiking', 'trek', 'trekking', 'ट्रेक', 'ghoomne', 'ghumne', 'घूमने', 'firayla', 'फिरायला'],
+    shopping: ['shopping', 'शॉपिंग', 'kharidari', 'खरीदारी', 'kharedi', 'खरेदी'],
+    mall: ['mall', 'मॉल'],
+    game: ['game', 'games', 'gaming', 'bowling', 'khel', 'खेल'],
+    sports: ['sports', 'cricket', 'क्रिकेट', 'football', 'turf'],
+    concert: ['concert', 'gig', 'live music', 'गाना बजाना'],
+    show: ['show', 'standup', 'stand-up', 'शो']
+  },
+  attraction: {
+    visit: ['visit', 'ghoomna', 'ghoomenge', 'घूमना', 'bhet', 'भेट'],
+    see: ['see', 'dekhne', 'देखने', 'baghayla', 'बघायला'],
+    tourist: ['tourist', 'paryatak', 'पर्यटक', 'sightseeing'],
+    attraction: ['attraction', 'attractions'],
+    landmark: ['landmark', 'fort', 'qila', 'kila', 'किला', 'killa', 'किल्ला', 'gad', 'गड'],
+    monument: ['monument', 'smarak', 'स्मारक'],
+    temple: ['temple', 'mandir', 'मंदिर', 'darshan', 'दर्शन'],
+    gallery: ['gallery', 'art', 'कला'],
+    exhibition: ['exhibition', 'pradarshani', 'प्रदर्शनी', 'pradarshan', 'प्रदर्शन'],
+    zoo: ['zoo', 'chidiyaghar', 'चिड़ियाघर', 'prani sangrahalay', 'प्राणीसंग्रहालय'],
+    aquarium: ['aquarium', 'मत्स्यालय'],
+    'theme park': ['theme park', 'water park', 'amusement park', 'imagica']
+  },
+  budget: {
+    cheap: ['cheap', 'sasta', 'sasti', 'सस्ता', 'सस्ती', 'swasta', 'swast', 'स्वस्त', 'kam paise', 'कम पैसे'],
+    affordable: ['affordable', 'budget', 'pocket friendly', 'pocket-friendly', 'बजट'],
+    expensive: ['expensive', 'mehenga', 'mehnga', 'महंगा', 'mahag', 'महाग'],
+    luxury: ['luxury', 'luxurious', 'shahi', 'शाही'],
+    fancy: ['fancy', 'classy', 'posh'],
+    casual: ['casual', 'chill', 'simple', 'sadha', 'साधा'],
+    formal: ['formal']
+  }
+};
+
+/**
+ * Canonical keywords in one lexicon category found in the text
+ * @param {string} text - Chat text in any supported language
+ * @param {string} category - "food", "activity", "attraction" or "budget"
+ * @returns {Array<string>}
+ */
+function matchLexicon(text, category) {
+  const entries = PLACE_LEXICON[category] || {};
+  // Whole words only, so "bar" no longer matches "barely", but "movies" and "eating" still count
+  return Object.keys(entries).filter(keyword =>
+    entries[keyword].some(term => termRegExp(term, '(?:s|es|ing)?').test(text)));
+}
+
+/**
+ * A word plus its lexicon synonyms in every language, e.g. "cheap" -> sasta, स्वस्त...
+ * @param {Array<string>} words - English keywords
+ * @returns {Array<string>}
+ */
+function withSynonyms(words) {
+  const synonyms = words.flatMap(word => Object.values(PLACE_LEXICON)
+    .flatMap(entries => entries[String(word).toLowerCase()] || []));
+  return [...new Set([...words, ...synonyms])];
+}
+
+module.exports = {
+  PLACE_LEXICON,
+  matchLexicon,
+  withSynonyms
+};
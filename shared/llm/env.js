@@ -0,0 +1,15 @@
+/**
+ * Integer from an environment variable; unset or non-numeric values use the
+ * fallback, while an explicit 0 is kept (e.g. LLM_MAX_RETRIES=0)
+ * @param {string} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+const numberFromEnv = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+module.exports = {
+  numberFromEnv
+};
@@ -0,0 +1,16 @@
+/**
+ * Error raised by any LLM provider
+ * `retryable` tells the retry loop whether another attempt could succeed
+ */
+class LLMError extends Error {
+  constructor(message, { provider = null, status = null, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = { LLMError };
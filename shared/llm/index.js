@@ -0,0 +1,127 @@
+const OpenAIProvider = require('./providers/openai');
+const GeminiProvider = require('./providers/gemini');
+const LocalProvider = require('./providers/local');
+const MockProvider = require('./providers/mock');
+const BaseProvider = require('./providers/base');
+const { LLMError } = require('./errors');
+const { generateStructured, extractJSON, SOURCES } = require('./structured');
+const { numberFromEnv } = require('./env');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  gemini: GeminiProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+const toEnvKey = (task) => String(task).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+/**
+ * Resolve the provider and model for a task
+ *
+ * Precedence: LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL, then LLM_PROVIDER /
+ * LLM_MODEL, then the service's defaults. A model default only applies when
+ * the provider is the service's default provider.
+ *
+ * @param {string} task - Task name, e.g. "movie_preferences"
+ * @param {Object} defaults - { provider, model } the service was written against
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {{provider: string, model: (string|undefined), timeoutMs: number, maxRetries: number}}
+ */
+function resolveTaskConfig(task, defaults = {}, env = process.env) {
+  const key = toEnvKey(task);
+  const provider = (env[`LLM_${key}_PROVIDER`] || env.LLM_PROVIDER || defaults.provider || 'openai').toLowerCase();
+
+  let model = env[`LLM_${key}_MODEL`] || env.LLM_MODEL;
+  if (!model && provider === defaults.provider) model = defaults.model;
+
+  return {
+    provider,
+    model,
+    timeoutMs: numberFromEnv(env[`LLM_${key}_TIMEOUT_MS`] || env.LLM_TIMEOUT_MS, 30000),
+    maxRetries: numberFromEnv(env[`LLM_${key}_MAX_RETRIES`] || env.LLM_MAX_RETRIES, 2)
+  };
+}
+
+/**
+ * Per-service registry that hands out one provider instance per task
+ */
+class LLMRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.defaults - Default { provider, model } for every task
+   * @param {Object<string, Function>} options.mockHandlers - Rule-based handlers for the mock provider
+   * @param {Object} options.env - Environment override (defaults to process.env)
+   */
+  constructor({ defaults = {}, mockHandlers = {}, env = process.env } = {}) {
+    this.defaults = defaults;
+    this.env = env;
+    this.mock = new MockProvider({ handlers: mockHandlers });
+    this.instances = new Map();
+  }
+
+  /**
+   * Get the provider configured for a task
+   * @param {string} task - Task name
+   * @returns {BaseProvider}
+   */
+  forTask(task) {
+    const config = resolveTaskConfig(task, this.defaults, this.env);
+    if (config.provider === 'mock') return this.mock;
+
+    const Provider = PROVIDERS[config.provider];
+    if (!Provider) {
+      throw new LLMError(`Unknown LLM provider "${config.provider}" for task "${task}"`);
+    }
+
+    const cacheKey = `${config.provider}:${config.model || ''}:${config.timeoutMs}:${config.maxRetries}`;
+    if (!this.instances.has(cacheKey)) {
+      const options = { timeoutMs: config.timeoutMs, maxRetries: config.maxRetries };
+      if (config.model) options.model = config.model;
+      this.instances.set(cacheKey, new Provider(options));
+    }
+    return this.instances.get(cacheKey);
+  }
+
+  /**
+   * Run a completion for a task on whichever provider it is configured to use
+   * @param {string} task - Task name
+   * @param {Object} params - See BaseProvider#complete
+   */
+  async complete(task, params) {
+    return this.forTask(task).complete({ ...params, task });
+  }
+
+  /**
+   * Run a task through the structured output pipeline (extract, validate, repair, fall back)
+   * @param {string} task - Task name
+   * @param {Object} params - See BaseProvider#complete
+   * @param {Object} options - See generateStructured
+   */
+  async completeJSON(task, params, options) {
+    return generateStructured(this, task, params, options);
+  }
+
+  /**
+   * Register a rule-based handler used when a task runs on the mock provider
+   */
+  registerMockHandler(task, handler) {
+    this.mock.setHandler(task, handler);
+    return this;
+  }
+}
+
+module.exports = {
+  LLMRegistry,
+  LLMError,
+  BaseProvider,
+  OpenAIProvider,
+  GeminiProvider,
+  LocalProvider,
+  MockProvider,
+  PROVIDERS,
+  resolveTaskConfig,
+  generateStructured,
+  extractJSON,
+  SOURCES
+};
@@ -0,0 +1,127 @@
+const { LLMError } = require('../errors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Base class for LLM providers
+ * Subclasses implement `request()`; this class adds timeout and retry semantics
+ * shared by every backend.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Model name passed to the backend
+   * @param {number} options.timeoutMs - Per-attempt timeout in milliseconds
+   * @param {number} options.maxRetries - Retries after the first attempt for retryable errors
+   * @param {number} options.retryDelayMs - Base delay for exponential backoff
+   */
+  constructor({ model, timeoutMs = 30000, maxRetries = 2, retryDelayMs = 500 } = {}) {
+    this.name = 'base';
+    // True for backends that answer from rules rather than a model (see MockProvider)
+    this.ruleBased = false;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  /**
+   * Whether the provider has everything it needs (API key, URL) to make calls
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} params
+   * @param {string} params.prompt - User prompt
+   * @param {string} params.system - Optional system instruction
+   * @param {number} params.temperature - Sampling temperature
+   * @param {number} params.maxTokens - Maximum output tokens
+   * @param {boolean} params.json - Ask the backend for JSON output when it supports it
+   * @param {string} params.task - Task name, used for logging and by the mock provider
+   * @param {Object} params.context - Raw task input, only read by the mock provider
+   * @returns {Promise<{text: string, provider: string, model: string, ruleBased: boolean, attempts: number}>}
+   */
+  async complete(params) {
+    if (!this.isConfigured()) {
+      throw new LLMError(`${this.name} provider is not configured`, { provider: this.name });
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+      try {
+        const text = await this.request(params, controller.signal);
+        return { text, provider: this.name, model: this.model, ruleBased: this.ruleBased, attempts: attempt + 1 };
+      } catch (error) {
+        lastError = this.normalizeError(error, controller.signal.aborted);
+        if (!lastError.retryable || attempt === this.maxRetries) break;
+        await sleep(this.retryDelayMs * Math.pow(2, attempt));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Perform one backend call; subclasses receive `(params, signal)` where
+   * `params` matches `complete()` and `signal` aborts when the attempt times out
+   * @returns {Promise<string>} Raw completion text
+   */
+  async request() {
+    throw new LLMError('request() not implemented', { provider: this.name });
+  }
+
+  /**
+   * Wrap any thrown value in an LLMError with the right retry flag
+   */
+  normalizeError(error, timedOut) {
+    if (timedOut) {
+      return new LLMError(`${this.name} request timed out after ${this.timeoutMs}ms`, {
+        provider: this.name,
+        retryable: true,
+        cause: error
+      });
+    }
+    if (error instanceof LLMError) return error;
+
+    // fetch() rejects with a TypeError on network failures
+    return new LLMError(`${this.name} request failed: ${error.message}`, {
+      provider: this.name,
+      retryable: true,
+      cause: error
+    });
+  }
+
+  /**
+   * POST JSON and turn non-2xx responses into LLMErrors
+   */
+  async postJSON(url, body, headers, signal) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new LLMError(`${this.name} API error ${response.status}: ${detail.slice(0, 200)}`, {
+        provider: this.name,
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500
+      });
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,47 @@
+const BaseProvider = require('./base');
+const { LLMError } = require('../errors');
+
+/**
+ * Google Gemini provider (Generative Language REST API)
+ */
+class GeminiProvider extends BaseProvider {
+  constructor({
+    apiKey = process.env.GEMINI_API_KEY,
+    baseURL = 'https://generativelanguage.googleapis.com/v1beta',
+    model = 'gemini-pro',
+    ...options
+  } = {}) {
+    super({ model, ...options });
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/$/, '');
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async request({ prompt, system, temperature = 0.7, maxTokens = 2048, json = false }, signal) {
+    const body = {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens
+      }
+    };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    if (json) body.generationConfig.responseMimeType = 'application/json';
+
+    const url = `${this.baseURL}/models/${encodeURIComponent(this.model)}:generateContent`;
+    const data = await this.postJSON(url, body, { 'x-goog-api-key': this.apiKey }, signal);
+
+    const parts = data.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) {
+      const reason = data.promptFeedback?.blockReason || 'no candidates';
+      throw new LLMError(`${this.name} returned no content (${reason})`, { provider: this.name });
+    }
+    return parts.map(part => part.text || '').join('');
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,28 @@
+const OpenAIProvider = require('./openai');
+
+/**
+ * Local OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp server)
+ * No API key is required; one is sent if LOCAL_LLM_API_KEY is set.
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor({
+    baseURL = process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+    apiKey = process.env.LOCAL_LLM_API_KEY || null,
+    model = process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    ...options
+  } = {}) {
+    super({ baseURL, apiKey, model, ...options });
+    this.name = 'local';
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL);
+  }
+
+  async request(params, signal) {
+    // Not every local server understands response_format
+    return super.request({ ...params, json: false }, signal);
+  }
+}
+
+module.exports = LocalProvider;
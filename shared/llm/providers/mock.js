@@ -0,0 +1,43 @@
+const BaseProvider = require('./base');
+const { LLMError } = require('../errors');
+
+/**
+ * Rule-based / mock provider that never touches the network
+ * Responses come from per-task handlers registered by the calling service, so
+ * the same deterministic logic serves offline development and tests.
+ */
+class MockProvider extends BaseProvider {
+  /**
+   * @param {Object} options
+   * @param {Object<string, Function|Object|string>} options.handlers - Task name to handler;
+   *   a function receives the complete() params and returns an object or string
+   */
+  constructor({ handlers = {}, model = 'rule-based', ...options } = {}) {
+    super({ model, maxRetries: 0, ...options });
+    this.name = 'mock';
+    this.ruleBased = true;
+    this.handlers = { ...handlers };
+  }
+
+  /**
+   * Register or replace the handler for a task
+   */
+  setHandler(task, handler) {
+    this.handlers[task] = handler;
+    return this;
+  }
+
+  async request(params) {
+    const handler = this.handlers[params.task];
+    if (handler === undefined) {
+      throw new LLMError(`mock provider has no handler for task "${params.task}"`, {
+        provider: this.name
+      });
+    }
+
+    const result = typeof handler === 'function' ? await handler(params) : handler;
+    return typeof result === 'string' ? result : JSON.stringify(result);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,49 @@
+const BaseProvider = require('./base');
+const { LLMError } = require('../errors');
+
+/**
+ * OpenAI Chat Completions provider
+ * Also used for any OpenAI-compatible endpoint by passing `baseURL`.
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    baseURL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model = 'gpt-3.5-turbo',
+    ...options
+  } = {}) {
+    super({ model, ...options });
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/$/, '');
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async request({ prompt, system, temperature = 0.7, maxTokens = 1000, json = false }, signal) {
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+
+    const body = {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (json) body.response_format = { type: 'json_object' };
+
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const data = await this.postJSON(`${this.baseURL}/chat/completions`, body, headers, signal);
+
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new LLMError(`${this.name} returned no content`, { provider: this.name });
+    }
+    return content;
+  }
+}
+
+module.exports = OpenAIProvider;
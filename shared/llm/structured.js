@@ -0,0 +1,180 @@
+/**
+ * Structured (JSON) output pipeline for LLM calls
+ *
+ * complete -> extract JSON from the raw text -> validate against the task schema
+ * -> on failure, ask the model to repair its own answer -> otherwise fall back.
+ * Schemas are anything with a Joi-style `validate(value, options)` method.
+ */
+
+const { numberFromEnv } = require('./env');
+
+const SOURCES = {
+  AI: 'ai',
+  REPAIRED: 'repaired',
+  // Valid output from a rule-based backend (the mock provider), not a model
+  RULE_BASED: 'rule-based',
+  FALLBACK: 'fallback'
+};
+
+/**
+ * Find the first balanced JSON object or array in a string, ignoring brackets inside strings
+ * @param {string} text
+ * @returns {string|null}
+ */
+function findJSONBlock(text) {
+  const start = text.search(/[[{]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract and parse JSON from raw model output (code fences, leading/trailing prose, trailing commas)
+ * @param {string} text - Raw completion text
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When no JSON can be recovered
+ */
+function extractJSON(text) {
+  const raw = String(text || '').trim();
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    // Fall through to the more forgiving strategies
+  }
+
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced && fenced[1], findJSONBlock(fenced ? fenced[1] : raw), findJSONBlock(raw)]
+    .filter(Boolean);
+
+  for (const candidate of candidates) {
+    for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+      try {
+        return JSON.parse(attempt);
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+  }
+
+  throw new SyntaxError('No valid JSON found in model output');
+}
+
+/**
+ * Parse and validate one completion
+ * @returns {{value: *, errors: Array<string>}}
+ */
+function parseAndValidate(text, schema) {
+  let parsed;
+  try {
+    parsed = extractJSON(text);
+  } catch (error) {
+    return { value: null, errors: [error.message] };
+  }
+
+  if (!schema) return { value: parsed, errors: [] };
+
+  const { error, value } = schema.validate(parsed, { abortEarly: false, allowUnknown: true });
+  if (error) {
+    return { value: null, errors: error.details ? error.details.map(d => d.message) : [error.message] };
+  }
+  return { value, errors: [] };
+}
+
+function buildRepairPrompt(originalPrompt, previousText, errors) {
+  return `${originalPrompt}
+
+Your previous response could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${String(previousText || '').slice(0, 4000)}
+
+Respond again with only the corrected JSON, no code fences or additional text.`;
+}
+
+/**
+ * Run an LLM task and return schema-valid JSON
+ *
+ * @param {Object} registry - LLMRegistry (or anything with `complete(task, params)`)
+ * @param {string} task - Task name
+ * @param {Object} params - Completion params (prompt, system, temperature, context, ...)
+ * @param {Object} options
+ * @param {Object} options.schema - Joi-style schema the parsed JSON must satisfy
+ * @param {Function} options.fallback - Called with the last error when everything fails
+ * @param {number} options.maxRepairs - Repair prompts to try after an invalid response
+ * @returns {Promise<{data: *, source: string, provider: (string|null), errors: Array<string>}>}
+ */
+async function generateStructured(registry, task, params, {
+  schema = null,
+  fallback = null,
+  maxRepairs = numberFromEnv(process.env.LLM_MAX_REPAIRS, 1)
+} = {}) {
+  let errors = [];
+  let provider = null;
+  let prompt = params.prompt;
+
+  try {
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const result = await registry.complete(task, { ...params, prompt });
+      provider = result.provider;
+
+      const { value, errors: attemptErrors } = parseAndValidate(result.text, schema);
+      if (attemptErrors.length === 0) {
+        return {
+          data: value,
+          source: result.ruleBased ? SOURCES.RULE_BASED : attempt === 0 ? SOURCES.AI : SOURCES.REPAIRED,
+          provider,
+          errors
+        };
+      }
+
+      errors = attemptErrors;
+      console.warn(`⚠️ Invalid ${task} output from ${provider} (attempt ${attempt + 1}):`, attemptErrors.join('; '));
+      prompt = buildRepairPrompt(params.prompt, result.text, attemptErrors);
+    }
+  } catch (error) {
+    errors = [error.message];
+  }
+
+  if (!fallback) {
+    throw new Error(`${task} failed: ${errors.join('; ')}`);
+  }
+
+  return {
+    data: await fallback(errors),
+    source: SOURCES.FALLBACK,
+    provider,
+    errors
+  };
+}
+
+module.exports = {
+  SOURCES,
+  extractJSON,
+  findJSONBlock,
+  parseAndValidate,
+  generateStructured
+};